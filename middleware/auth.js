@@ -1,15 +1,23 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken, findSessionUser } = require('../utils/tokens');
+const { isBlockedByVerification } = require('../utils/emailVerification');
+const { isTwoFactorRequired, isTwoFactorEnabled } = require('../utils/twoFactor');
+const { isKnownPermission, getEffectivePermissions } = require('../utils/permissions');
+const { runWithTenant } = require('../utils/tenancy');
+const { setRequestActor } = require('../utils/requestContext');
+const College = require('../models/College');
 
 // Role-based authorization middleware
 const authorize = (...roles) => {
+  // Accept authorize(['a', 'b']) as well as authorize('a', 'b')
+  roles = roles.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Not authorized' });
     }
-    
+
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
+      return res.status(403).json({
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
@@ -17,62 +25,145 @@ const authorize = (...roles) => {
   };
 };
 
-// Authentication middleware
-const authMiddleware = async (req, res, next) => {
+/**
+ * Permission-based authorization middleware. The user needs every listed permission;
+ * see utils/permissions.js for the registry and the defaults of each role.
+ * @param {...string} permissions - Permission names
+ * @throws {Error} At startup, if a permission is not in the registry
+ */
+const requirePermission = (...permissions) => {
+  permissions = permissions.flat();
+
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const granted = getEffectivePermissions(req.user);
+    const missing = permissions.find(permission => !granted.has(permission));
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        permission: missing
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Authentication middleware.
+ * Verifies the Bearer access token, checks that its session has not been revoked and
+ * loads the account. `req.user` is the User document (without password), so `id`,
+ * `_id`, `role` and `college` are always available to route handlers.
+ * Accounts that must use two-factor authentication but have not enrolled yet are
+ * refused, unless `allowTwoFactorSetup` is set for the enrollment routes.
+ * For everyone except superadmins the rest of the request runs in a tenant context,
+ * so queries only see the user's own college (see utils/tenancy.js), and `req.college`
+ * is the user's College document. The user is recorded as the actor of the request for
+ * the audit log.
+ */
+const createAuthMiddleware = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
+  // Get token from header
+  const authHeader = req.header('Authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const token = authHeader.substring(7);
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  // Fail closed: never verify tokens against a default secret
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT secret is missing');
+    return res.status(500).json({ message: 'Server error in auth middleware' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
   try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
-    console.log('Auth middleware called');
-    console.log('Authorization header:', authHeader);
-
-    // Check if no token
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('No authorization header provided or invalid format');
-      return res.status(401).json({ message: 'No token, authorization denied' });
+    const user = await findSessionUser(decoded);
+
+    // Unknown user, deleted user, or a session that was logged out or revoked
+    if (!user) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
     }
 
-    // Extract token from Bearer format
-    const token = authHeader.substring(7, authHeader.length);
+    if (!allowTwoFactorSetup && isTwoFactorRequired(user) && !isTwoFactorEnabled(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up before using this account',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
 
-    console.log('Token extracted:', token);
+    req.user = user;
+    req.auth = { sid: decoded.sid };
+    setRequestActor(user);
 
-    if (!token) {
-      console.log('No token provided');
-      return res.status(401).json({ message: 'No token, authorization denied' });
+    if (user.role === 'superadmin') {
+      return next();
     }
 
-    try {
-      // Verify token
-      if (!process.env.JWT_SECRET) {
-        console.error('JWT secret is missing');
-        return res.status(500).json({ message: 'Server error in auth middleware' });
-      }
-      console.log('Verifying token with secret:', process.env.JWT_SECRET ? 'Secret exists' : 'Secret missing');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log('Decoded token:', decoded);
-
-      // Add user from payload
-      req.user = decoded.user;
-      console.log('User ID from token:', req.user.id);
-
-      next();
-    } catch (err) {
-      console.error('Token verification error:', err);
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({ message: 'Token has expired' });
-      } else if (err.name === 'JsonWebTokenError') {
-        return res.status(401).json({ message: 'Invalid token' });
-      } else {
-        return res.status(401).json({ message: 'Token is not valid' });
-      }
+    const college = user.college && await College.findById(user.college).lean();
+    if (!college) {
+      return res.status(403).json({
+        message: 'Account is not assigned to a college',
+        code: 'COLLEGE_REQUIRED'
+      });
     }
+    if (!college.isActive) {
+      return res.status(403).json({ message: 'College is deactivated' });
+    }
+
+    req.college = college;
+    runWithTenant(college._id, next);
   } catch (err) {
     console.error('Auth middleware error:', err);
     return res.status(500).json({ message: 'Server error in auth middleware' });
   }
 };
 
-module.exports = { 
-  auth: authMiddleware,
-  authorize 
+// Refuse accounts whose college requires a verified email before using this route
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (await isBlockedByVerification(req.user, ['restrict', 'block-login'], req.college)) {
+      return res.status(403).json({
+        message: 'Please verify your email address to access this route',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (err) {
+    console.error('Email verification check error:', err);
+    return res.status(500).json({ message: 'Server error in auth middleware' });
+  }
+};
+
+module.exports = {
+  auth: createAuthMiddleware(),
+  authForTwoFactorSetup: createAuthMiddleware({ allowTwoFactorSetup: true }),
+  authorize,
+  requirePermission,
+  requireVerifiedEmail
 };
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
 
 const assignmentSchema = new mongoose.Schema({
   uuid: {
@@ -29,6 +31,13 @@ const assignmentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Gradebook category the assignment counts in, e.g. assignments or quizzes
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'assignments'
+  },
   trainerResources: [{
     type: String,
     enum: ['notes', 'ppt'],
@@ -61,13 +70,66 @@ const assignmentSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Time and file of the latest attempt
     submittedAt: {
       type: Date,
       default: Date.now
     },
     fileUrl: String,
+    // Every uploaded version, oldest first (see utils/submissions.js)
+    attempts: [{
+      number: {
+        type: Number,
+        required: true
+      },
+      // Stored privately under uploads/
+      file: {
+        key: String,
+        originalName: String,
+        mimeType: String,
+        size: Number
+      },
+      // Link of a submission made before uploads existed
+      fileUrl: String,
+      submittedAt: {
+        type: Date,
+        default: Date.now
+      },
+      daysLate: {
+        type: Number,
+        default: 0
+      }
+    }],
+    // Percentage taken off the grade for the latest attempt being late
+    latePenalty: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    // Points given by the grader, before the late penalty
+    pointsAwarded: Number,
+    // Score per criterion when the assignment has a rubric
+    rubricScores: [{
+      criterion: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      level: mongoose.Schema.Types.ObjectId,
+      points: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      comment: String
+    }],
     grade: Number,
     feedback: String,
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gradedAt: Date,
     status: {
       type: String,
       enum: ['submitted', 'graded', 'late'],
@@ -97,74 +159,87 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  course: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Course',
-    required: true
+  // Lifecycle, see utils/assignmentLifecycle.js. Assignments created before drafts existed
+  // were published right away, hence the default; the API creates new ones as drafts.
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed', 'archived'],
+    default: 'published'
   },
-  dueDate: {
-    type: Date,
-    required: true
+  // Students see a published assignment from this moment on; immediately when not set
+  publishAt: Date,
+  publishedAt: Date,
+  closedAt: Date,
+  archivedAt: Date,
+  // Copy of the rubric submissions are graded with (see models/Rubric.js)
+  rubric: {
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric'
+    },
+    title: String,
+    criteria: [{
+      title: String,
+      description: String,
+      levels: [{
+        title: String,
+        description: String,
+        points: Number
+      }]
+    }]
   },
-  totalPoints: {
+  // Uploads a student may make, the first submission included
+  maxAttempts: {
     type: Number,
-    required: true
+    min: 1,
+    default: 1
   },
-  trainerResources: [{
-    type: String,
-    enum: ['notes', 'ppt'],
-    required: true
-  }],
-  resources: [{
-    type: {
-      type: String,
-      enum: ['notes', 'ppt'],
-      required: true
+  // Late submissions lose penaltyPerDay percent of their grade per started day, up to
+  // maxPenalty percent; with acceptLate off they are refused
+  latePolicy: {
+    acceptLate: {
+      type: Boolean,
+      default: true
     },
-    fileUrl: String,
-    uploadedBy: {
+    penaltyPerDay: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    maxPenalty: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100
+    }
+  },
+  // Later due dates for single students
+  extensions: [{
+    student: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
-    uploadedAt: {
+    dueDate: {
       type: Date,
-      default: Date.now
-    }
-  }],
-  submissions: [{
-    student: {
+      required: true
+    },
+    reason: String,
+    grantedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    submittedAt: {
+    grantedAt: {
       type: Date,
       default: Date.now
-    },
-    fileUrl: String,
-    grade: Number,
-    feedback: String,
-    status: {
-      type: String,
-      enum: ['submitted', 'graded', 'late'],
-      default: 'submitted'
-    },
-    downloadedResources: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'AssignmentResource'
-    }]
-  }],
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  }
+    }
+  }]
 });
 
+assignmentSchema.plugin(tenantScoped);
+assignmentSchema.plugin(audited);
+
 const Assignment = mongoose.model('Assignment', assignmentSchema);
 
 module.exports = Assignment;
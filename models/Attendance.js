@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
 
 const attendanceSchema = new mongoose.Schema({
   student: {
@@ -27,18 +29,57 @@ const attendanceSchema = new mongoose.Schema({
     required: true
   },
   college: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: true,
+    index: true
   },
   remarks: {
     type: String,
     trim: true
-  }
+  },
+  // Set when the student checked in to a class session with a code
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession'
+  },
+  // Corrections made after the session was marked
+  editHistory: [{
+    previousStatus: {
+      type: String,
+      enum: ['present', 'absent', 'late', 'excused']
+    },
+    newStatus: {
+      type: String,
+      enum: ['present', 'absent', 'late', 'excused']
+    },
+    previousRemarks: String,
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
-// Index for faster querying
-attendanceSchema.index({ student: 1, date: 1, course: 1 }, { unique: true });
+// One record per student and class session; records marked without a session share a
+// null session, so those stay one per day. Databases created with the earlier
+// student/date/course index need scripts/migrateAttendanceIndex.js.
+attendanceSchema.index({ student: 1, course: 1, date: 1, session: 1 }, { unique: true });
+attendanceSchema.index({ course: 1, date: 1 });
+
+attendanceSchema.plugin(tenantScoped);
+attendanceSchema.plugin(audited);
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
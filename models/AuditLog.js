@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One changed field; arrays of plain values record what was added and removed
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  added: [mongoose.Schema.Types.Mixed],
+  removed: [mongoose.Schema.Types.Mixed]
+}, { _id: false });
+
+/**
+ * Append-only record of a write to an audited model (see utils/audit.js).
+ * Entries are never updated or deleted by the application.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Missing for writes made by scripts and unauthenticated requests
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  // Model name, e.g. User or Report
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College'
+  },
+  changes: [changeSchema],
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  method: String,
+  path: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ college: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const refuseChange = () => {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre([
+  'deleteMany',
+  'deleteOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+], refuseChange);
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) refuseChange();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
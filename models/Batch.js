@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
 
 const batchSchema = new mongoose.Schema({
   name: {
@@ -40,6 +42,28 @@ const batchSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Students who were removed or transferred out. Their attendance and submissions
+  // belong to the courses, so they stay where they are.
+  formerStudents: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    leftAt: {
+      type: Date,
+      default: Date.now
+    },
+    transferredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -156,6 +180,9 @@ batchSchema.statics.findByStudent = function(studentId) {
   return this.find({ students: studentId });
 };
 
+batchSchema.plugin(tenantScoped);
+batchSchema.plugin(audited);
+
 const Batch = mongoose.model('Batch', batchSchema);
 
 module.exports = Batch;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
+
+const classSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // The Course.schedule slot this session was opened for, if any
+  scheduleSlot: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  graceMinutes: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // Identifier of the currently valid check-in code; rotating the code replaces it
+  codeId: {
+    type: String,
+    required: true
+  },
+  codeExpiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Virtual for the moment after which check-ins are recorded as late
+classSessionSchema.virtual('lateAfter').get(function() {
+  return new Date(this.startsAt.getTime() + this.graceMinutes * 60 * 1000);
+});
+
+classSessionSchema.index({ course: 1, date: 1 });
+classSessionSchema.index({ status: 1 });
+
+classSessionSchema.plugin(tenantScoped);
+classSessionSchema.plugin(audited);
+
+module.exports = mongoose.model('ClassSession', classSessionSchema);
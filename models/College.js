@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { audited } = require('../utils/audit');
+
+const collegeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Short identifier used at registration and in imports, e.g. AITM
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]+$/, 'Code can only contain letters, numbers, dashes and underscores']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address']
+  },
+  // Users of an inactive college cannot sign in
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  settings: {
+    /**
+     * What an unverified account is allowed to do:
+     * - none:        no restriction
+     * - restrict:    can log in, but routes guarded by requireVerifiedEmail are refused
+     * - block-login: cannot log in until the email is verified
+     * Unset means the EMAIL_VERIFICATION_POLICY default applies.
+     */
+    emailVerificationPolicy: {
+      type: String,
+      enum: ['none', 'restrict', 'block-login']
+    },
+    // Add semester-wise breakdowns to the faculty department performance report
+    semesterBreakdown: {
+      type: Boolean,
+      default: false
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+collegeSchema.plugin(audited);
+
+const College = mongoose.model('College', collegeSchema);
+
+module.exports = College;
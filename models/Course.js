@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
 
 const courseSchema = new mongoose.Schema({
   batchId: {
@@ -34,17 +36,32 @@ const courseSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // pending: waiting for the instructor; waitlisted: accepted, waiting for a seat
+    // (see utils/enrollment.js)
     status: {
       type: String,
-      enum: ['active', 'completed', 'dropped'],
+      enum: ['pending', 'waitlisted', 'active', 'completed', 'dropped', 'rejected'],
       default: 'active'
     },
+    requestedAt: Date,
+    // Position in the waitlist, first in first out
+    waitlistedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    droppedAt: Date,
+    // Percentage computed by utils/courseProgress.js
     progress: {
       type: Number,
       min: 0,
       max: 100,
       default: 0
     },
+    completedMaterials: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
     lastAccessed: Date
   }],
   startDate: {
@@ -63,18 +80,94 @@ const courseSchema = new mongoose.Schema({
     startTime: String,
     endTime: String
   }],
+  // Shown to students in array order
   materials: [{
     title: String,
+    description: String,
     type: {
       type: String,
       enum: ['document', 'video', 'link']
     },
+    // Link target, or the download route of an uploaded file
     url: String,
+    // Uploaded files are stored privately (see utils/fileUpload.js)
+    file: {
+      key: String,
+      originalName: String,
+      mimeType: String,
+      size: Number
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    updatedAt: Date
   }],
+  // Share of materials viewed and assignments graded in a student's progress
+  progressWeights: {
+    materials: {
+      type: Number,
+      min: 0,
+      default: 50
+    },
+    assignments: {
+      type: Number,
+      min: 0,
+      default: 50
+    }
+  },
+  // Weighted categories of the gradebook and its letter scale; defaults apply when empty
+  gradebook: {
+    categories: [{
+      // Assignment.category, or "attendance" for the attendance record
+      key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+      },
+      name: String,
+      weight: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Lowest scores of the category left out of a student's grade
+      dropLowest: {
+        type: Number,
+        min: 0,
+        default: 0
+      }
+    }],
+    letterScale: [{
+      letter: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      minPercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }]
+  },
+  // Active students at a time; unlimited when not set
+  capacity: {
+    type: Number,
+    min: 1
+  },
+  // Enrollment requests wait for the instructor's approval. Off by default, so courses
+  // saved before approvals existed keep enrolling students right away.
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -90,6 +183,12 @@ const courseSchema = new mongoose.Schema({
   }
 });
 
+courseSchema.plugin(tenantScoped);
+courseSchema.plugin(audited, {
+  // Touched on every read by a student, and recomputed from materials and grades
+  ignore: ['students.*.lastAccessed', 'students.*.progress']
+});
+
 const Course = mongoose.model('Course', courseSchema);
 
 module.exports = Course;
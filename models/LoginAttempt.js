@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS, 10) || 90;
+
+const loginAttemptSchema = new mongoose.Schema({
+  // Missing when the username did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'unknown_user',
+      'invalid_password',
+      'locked',
+      'deactivated',
+      'email_not_verified',
+      'invalid_2fa',
+      'college_unavailable'
+    ],
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ success: 1, createdAt: -1 });
+// Expire old entries automatically
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
+const { getRequestContext } = require('../utils/requestContext');
 
 const reportSchema = new mongoose.Schema({
   student: {
@@ -140,12 +143,13 @@ reportSchema.index({
 reportSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
-  // If this is a new document or status is being updated, add to status history
-  if (this.isNew || this.isModified('status')) {
+  // If this is a new document or status is being updated, add to status history,
+  // unless the route already recorded the change (with a comment)
+  if ((this.isNew || this.isModified('status')) && !this.isModified('statusHistory')) {
     this.statusHistory = this.statusHistory || [];
     this.statusHistory.push({
       status: this.status,
-      changedBy: this.createdBy, // This will be updated in the route if needed
+      changedBy: getRequestContext().actor || this.createdBy,
       changedAt: new Date()
     });
   }
@@ -230,6 +234,9 @@ reportSchema.statics.findByFilters = async function(filters = {}) {
   };
 };
 
+reportSchema.plugin(tenantScoped);
+reportSchema.plugin(audited);
+
 const Report = mongoose.model('Report', reportSchema);
 
 module.exports = Report;
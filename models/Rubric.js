@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { audited } = require('../utils/audit');
+
+// One performance level of a criterion, e.g. "Excellent" for 10 points
+const levelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  levels: {
+    type: [levelSchema],
+    validate: {
+      validator: levels => levels.length > 0,
+      message: 'A criterion needs at least one level'
+    }
+  }
+});
+
+// Reusable grading template. Attaching it to an assignment copies its criteria, so
+// later edits do not change assignments that are already being graded.
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0,
+      message: 'A rubric needs at least one criterion'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Highest score: the best level of every criterion
+rubricSchema.virtual('maxPoints').get(function() {
+  return (this.criteria || []).reduce(
+    (sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => level.points)),
+    0
+  );
+});
+
+rubricSchema.index({ createdBy: 1 });
+
+rubricSchema.plugin(tenantScoped);
+rubricSchema.plugin(audited);
+
+module.exports = mongoose.model('Rubric', rubricSchema);
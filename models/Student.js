@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('../utils/tenancy');
+const { softDeletable } = require('../utils/softDelete');
+const { audited } = require('../utils/audit');
 
+// Academic record of a student. The student's login, attendance, batches and submissions
+// belong to the linked User (role 'student'), which points back via User.studentProfile.
 const studentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
   rollNumber: {
     type: String,
     required: true,
@@ -17,10 +28,11 @@ const studentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Students registered without an email address have none
   email: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     trim: true,
     lowercase: true
   },
@@ -29,8 +41,10 @@ const studentSchema = new mongoose.Schema({
     required: true
   },
   college: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: true,
+    index: true
   },
   semester: {
     type: Number,
@@ -57,6 +71,10 @@ const studentSchema = new mongoose.Schema({
 studentSchema.index({ rollNumber: 1 });
 studentSchema.index({ assignedFaculty: 1 });
 
+studentSchema.plugin(tenantScoped);
+studentSchema.plugin(softDeletable);
+studentSchema.plugin(audited);
+
 const Student = mongoose.model('Student', studentSchema);
 
 module.exports = Student;
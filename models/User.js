@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { tenantScoped } = require('../utils/tenancy');
+const { softDeletable } = require('../utils/softDelete');
+const { audited } = require('../utils/audit');
+
+// A refresh token issued to one signed-in device. Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced, used to detect reuse of a rotated token
+  previousHash: String,
+  device: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,6 +48,20 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Only a hash of the emailed verification token is stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   firstName: {
     type: String,
     required: true
@@ -37,11 +75,23 @@ const userSchema = new mongoose.Schema({
     enum: ['student', 'trainer', 'faculty', 'admin', 'superadmin'],
     required: true
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Every account except superadmin belongs to exactly one college
   college: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
     required: function() {
-      return ['faculty', 'superadmin'].includes(this.role);
-    }
+      return this.role !== 'superadmin';
+    },
+    index: true
+  },
+  // Academic record of a student, which links back via Student.user
+  studentProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
   },
   // Student specific fields
   studentInfo: {
@@ -53,6 +103,7 @@ const userSchema = new mongoose.Schema({
     dateOfBirth: Date,
     branch: String,
     semester: Number,
+    academicYear: String,
     rollNumber: String,
     address: {
       street: String,
@@ -101,7 +152,67 @@ const userSchema = new mongoose.Schema({
   adminInfo: {
     department: String,
     phoneNumber: String,
-    permissions: [String]
+    // Permissions granted on top of, or denied from, the role defaults (see utils/permissions.js)
+    permissions: [String],
+    deniedPermissions: [String]
+  },
+  refreshTokens: {
+    type: [refreshTokenSchema],
+    select: false
+  },
+  // Incremented to revoke every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
+  lastLogin: Date,
+  // Failed logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Number of lockouts in a row; each one lasts longer than the previous
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Self-service password reset; only a hash of the emailed token is stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication (admin and superadmin only)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, kept until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, to refuse replays
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   },
   createdAt: {
     type: Date,
@@ -124,11 +235,84 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A changed email address has to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email')) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Method to check if the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to record a failed login, locking the account once the limit is reached.
+// Lockouts double in length each time (15m, 30m, 1h, ...) up to a day.
+userSchema.methods.registerFailedLogin = async function() {
+  const attempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (attempts < MAX_FAILED_LOGINS) {
+    await this.constructor.updateOne({ _id: this._id }, { $inc: { failedLoginAttempts: 1 } });
+    this.failedLoginAttempts = attempts;
+    return { locked: false, remainingAttempts: MAX_FAILED_LOGINS - attempts };
+  }
+
+  const lockCount = (this.lockCount || 0) + 1;
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (lockCount - 1), LOCKOUT_MAX_MINUTES);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil, lockCount } }
+  );
+  this.failedLoginAttempts = 0;
+  this.lockUntil = lockUntil;
+  this.lockCount = lockCount;
+  return { locked: true, lockUntil };
+};
+
+// Method to reset lockout state after a successful login
+userSchema.methods.registerSuccessfulLogin = async function() {
+  const lastLogin = new Date();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockCount: 0, lastLogin },
+      $unset: { lockUntil: 1 }
+    }
+  );
+  this.lastLogin = lastLogin;
+};
+
+userSchema.index({ 'refreshTokens.tokenHash': 1 });
+
+userSchema.plugin(tenantScoped);
+userSchema.plugin(softDeletable);
+userSchema.plugin(audited, {
+  redact: [
+    'password',
+    'emailVerificationToken',
+    'passwordResetToken',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+    'twoFactor.recoveryCodes'
+  ],
+  // Bookkeeping of every login and token refresh
+  ignore: ['refreshTokens', 'lastLogin', 'failedLoginAttempts', 'twoFactor.lastUsedStep']
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -5,6 +5,11 @@ const Assignment = require('./Assignment');
 const Batch = require('./Batch');
 const Attendance = require('./Attendance');
 const Report = require('./Report');
+const ClassSession = require('./ClassSession');
+const LoginAttempt = require('./LoginAttempt');
+const College = require('./College');
+const AuditLog = require('./AuditLog');
+const Rubric = require('./Rubric');
 
 module.exports = {
   User,
@@ -13,5 +18,10 @@ module.exports = {
   Assignment,
   Batch,
   Attendance,
-  Report
+  Report,
+  ClassSession,
+  LoginAttempt,
+  College,
+  AuditLog,
+  Rubric
 };
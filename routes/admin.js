@@ -3,44 +3,13 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-
-// Middleware to check if user is admin
-const isAdmin = async (req, res, next) => {
-  try {
-    console.log('isAdmin middleware - user:', req.user);
-
-    if (!req.user || !req.user.id) {
-      console.log('No user ID in request');
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    const user = await User.findById(req.user.id);
-
-    if (!user) {
-      console.log('User not found in database');
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    console.log('User role:', user.role);
-
-    if (user.role !== 'admin' && user.role !== 'superadmin') {
-      console.log('User is not admin or superadmin');
-      return res.status(403).json({ message: 'Access denied. Admin role required' });
-    }
-
-    console.log('User is admin, proceeding to next middleware');
-    next();
-  } catch (err) {
-    console.error('isAdmin middleware error:', err);
-    res.status(500).json({ message: 'Server error in isAdmin middleware' });
-  }
-};
+const { auth, requirePermission } = require('../middleware/auth');
+const { softDeleteUser } = require('../utils/userLifecycle');
 
 // @route   GET api/admin/users
 // @desc    Get all users
 // @access  Admin only
-router.get('/users', auth, isAdmin, async (req, res) => {
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
   try {
     console.log('GET /users - Fetching all users');
     const users = await User.find().select('-password');
@@ -57,7 +26,7 @@ router.get('/users', auth, isAdmin, async (req, res) => {
 // @access  Admin only
 router.post('/users',
   auth,
-  isAdmin,
+  requirePermission('users:create'),
   [
     check('username', 'Username is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -80,7 +49,7 @@ router.post('/users',
 
     try {
       // Check if user already exists
-      let user = await User.findOne({ $or: [{ email }, { username }] });
+      let user = await User.findOne({ $or: [{ email }, { username }] }).setOptions({ withDeleted: true });
 
       if (user) {
         console.log('User already exists');
@@ -117,7 +86,7 @@ router.post('/users',
 // @route   PUT api/admin/users/:id
 // @desc    Update a user
 // @access  Admin only
-router.put('/users/:id', auth, isAdmin, async (req, res) => {
+router.put('/users/:id', auth, requirePermission('users:update'), async (req, res) => {
   console.log(`PUT /users/${req.params.id} - Updating user`);
   console.log('Request body:', req.body);
 
@@ -163,9 +132,9 @@ router.put('/users/:id', auth, isAdmin, async (req, res) => {
 });
 
 // @route   DELETE api/admin/users/:id
-// @desc    Delete a user
-// @access  Admin only
-router.delete('/users/:id', auth, isAdmin, async (req, res) => {
+// @desc    Soft delete a user
+// @access  Super Admin (users:delete)
+router.delete('/users/:id', auth, requirePermission('users:delete'), async (req, res) => {
   console.log(`DELETE /users/${req.params.id} - Deleting user`);
 
   try {
@@ -176,7 +145,7 @@ router.delete('/users/:id', auth, isAdmin, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    await User.findByIdAndRemove(req.params.id);
+    await softDeleteUser(user, req.user._id);
     console.log('User deleted successfully');
 
     res.json({ message: 'User deleted successfully' });
@@ -1,19 +1,46 @@
 ﻿const express = require('express');
 const router = express.Router();
 const { check, validationResult, body } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
-const { User, Student, Batch, Course } = require('../models');
+const { User, Student, Batch } = require('../models');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
 const xlsx = require('xlsx');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { createStudentProfile, syncStudentProfile } = require('../utils/studentIdentity');
+const { generateUniqueUsername, generateStrongPassword } = require('../utils/credentials');
+const { getRetentionDays, softDeleteUser, restoreUser } = require('../utils/userLifecycle');
+const { preserveTenant, runWithoutTenant } = require('../utils/tenancy');
+const { EXPORT_FORMATS, selectColumns, sendSpreadsheet } = require('../utils/spreadsheetExport');
+const { searchRegex } = require('../utils/search');
+const {
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  importUsers,
+  storeCredentialsSheet,
+  takeCredentialsSheet
+} = require('../utils/userImport');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isKnownPermission,
+  getEffectivePermissions,
+  preservePermissionOverrides
+} = require('../utils/permissions');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/temp/');
+    const uploadDir = path.join(__dirname, '../uploads/temp');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
@@ -36,6 +63,64 @@ const upload = multer({
   }
 }).single('usersFile');
 
+// Account fields an admin can change through PUT /api/admin/users/:userId. Security state
+// such as two-factor settings, sessions and lockouts has its own routes.
+const EDITABLE_USER_FIELDS = ['email', 'password', 'firstName', 'lastName', 'role', 'isActive', 'studentInfo', 'trainerInfo', 'adminInfo'];
+
+const pickEditable = body => EDITABLE_USER_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Roles that can be listed and exported; superadmins are never shown to admins
+const LISTED_ROLES = ['student', 'trainer', 'faculty', 'admin'];
+
+// Columns that can be exported with GET /api/admin/users/export
+const USER_EXPORT_COLUMNS = [
+  'username', 'firstName', 'lastName', 'email', 'role', 'isActive', 'emailVerified', 'lastLogin', 'createdAt', 'deletedAt',
+  'studentInfo.rollNumber', 'studentInfo.branch', 'studentInfo.semester', 'studentInfo.academicYear',
+  'studentInfo.phoneNumber', 'studentInfo.gender',
+  'trainerInfo.specialization', 'trainerInfo.experience', 'trainerInfo.phoneNumber',
+  'adminInfo.department', 'adminInfo.phoneNumber'
+];
+const DEFAULT_USER_EXPORT_COLUMNS = ['username', 'firstName', 'lastName', 'email', 'role', 'isActive', 'createdAt'];
+
+/**
+ * Build the user filter shared by the list and the export
+ * @param {Object} query - Request query (role, isActive, deleted, search)
+ * @returns {Object} MongoDB filter
+ */
+const buildUserFilter = query => {
+  const filter = { role: { $ne: 'superadmin' } }; // Don't show superadmins
+  if (query.role) filter.role = { $eq: String(query.role), $ne: 'superadmin' };
+  if (query.isActive) filter.isActive = query.isActive === 'true';
+  // deleted=true lists soft-deleted accounts instead of current ones
+  if (query.deleted === 'true') filter.deletedAt = { $ne: null };
+  if (query.search) {
+    const search = searchRegex(query.search);
+    filter.$or = [
+      { firstName: search },
+      { lastName: search },
+      { email: search },
+      { rollNumber: search }
+    ];
+  }
+  return filter;
+};
+
+// Run the upload, answering 400 instead of failing the request on a bad file
+const uploadUsersFile = (req, res, next) => {
+  upload(req, res, err => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
 /**
  * @route   POST /api/admin/users
  * @desc    Create a new user (student/trainer/faculty)
@@ -43,38 +128,7 @@ const upload = multer({
  */
 router.post('/users', [
   auth,
-  async (req, res, next) => {
-    // Handle single user creation
-    if (!req.file) {
-      return next();
-    }
-    
-    // Handle bulk user upload
-    upload(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({
-          success: false,
-          message: err.message
-        });
-      }
-      
-      try {
-        const result = await processBulkUsers(req.file.path, req.user._id);
-        res.json({
-          success: true,
-          message: 'Bulk user upload completed',
-          ...result
-        });
-      } catch (error) {
-        console.error('Bulk upload error:', error);
-        res.status(500).json({
-          success: false,
-          message: 'Error processing bulk upload',
-          error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-      }
-    });
-  },
+  requirePermission('users:create'),
   [
     check('email', 'Please include a valid email').if(
       (value, { req }) => req.body.email
@@ -94,14 +148,6 @@ router.post('/users', [
     ).isMongoId()
   ],
   asyncHandler(async (req, res) => {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to create users'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -116,61 +162,24 @@ router.post('/users', [
     try {
       const { email, firstName, lastName, role, isActive = true, batchId, ...otherFields } = req.body;
       
-      // Generate a unique username
-      let username, isUnique = false, attempts = 0;
-      const maxAttempts = 5;
-      
-      // Keep trying until we find a unique username or hit max attempts
-      while (!isUnique && attempts < maxAttempts) {
-        const randomSuffix = Math.floor(100 + Math.random() * 900);
-        const baseUsername = `${firstName.toLowerCase()}${lastName.toLowerCase().charAt(0)}`;
-        username = `${baseUsername}${randomSuffix}`.substring(0, 20); // Ensure max length
-        
-        const exists = await User.findOne({ username }).session(session);
-        if (!exists) isUnique = true;
-        attempts++;
-      }
-      
-      if (!isUnique) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to generate a unique username. Please try again.'
-        });
-      }
+      // Usernames are unique across every college, not just the current one
+      const username = await generateUniqueUsername(firstName, lastName);
       
       // Generate a stronger random password (10 characters with mixed case, numbers, and special chars)
       const password = generateStrongPassword(10);
 
-      // Check if user with same email or username exists
+      // Check if user with same email exists, in any college
       if (email) {
-        const existingUser = await User.findOne({ 
-          $or: [
-            { email: email.toLowerCase() },
-            { username }
-          ]
-        }).session(session);
+        const existingUser = await runWithoutTenant(() => User.findOne({ email: email.toLowerCase() })
+          .setOptions({ withDeleted: true })
+          .session(session));
         
         if (existingUser) {
           await session.abortTransaction();
           session.endSession();
           return res.status(400).json({
             success: false,
-            message: existingUser.email === email.toLowerCase() 
-              ? 'Email already in use' 
-              : 'Username already exists'
-          });
-        }
-      } else {
-        // Check if username exists when no email is provided
-        const existingUser = await User.findOne({ username }).session(session);
-        if (existingUser) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({
-            success: false,
-            message: 'Username already exists'
+            message: 'Email already in use'
           });
         }
       }
@@ -191,7 +200,7 @@ router.post('/users', [
       try {
         // Create user with generated credentials
         user = new User({
-          email: email ? email.toLowerCase() : `${username}@college.edu`,
+          email: email ? email.toLowerCase() : undefined,
           username,
           password,
           firstName: firstName.trim(),
@@ -199,7 +208,6 @@ router.post('/users', [
           role,
           isActive,
           createdBy: req.user._id,
-          ...(email && { emailVerified: false }),
           ...otherFields
         });
         
@@ -232,14 +240,8 @@ router.post('/users', [
       // Create student profile if role is student
       if (role === 'student') {
         try {
-          const student = new Student({
-            user: user._id,
-            batch: batchId,
-            admissionDate: new Date(),
-            ...(otherFields.studentDetails || {})
-          });
-          
-          await student.save({ session });
+          // Batch membership is kept on the batch, not on the academic record
+          await createStudentProfile(user, otherFields.studentDetails, { session });
 
           // Add student to batch
           await Batch.findByIdAndUpdate(
@@ -293,6 +295,15 @@ router.post('/users', [
       await session.commitTransaction();
       session.endSession();
 
+      // Ask the user to confirm the email address they were registered with
+      if (email) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (mailError) {
+          console.error('Verification email error:', mailError);
+        }
+      }
+
       // Return user with generated credentials (only once)
       const responseUser = user.toObject();
       const responseData = {
@@ -303,7 +314,7 @@ router.post('/users', [
         }
       };
       delete responseUser.password;
-      delete responseUser.refreshToken;
+      delete responseUser.refreshTokens;
 
       res.status(201).json({
         success: true,
@@ -329,14 +340,7 @@ router.post('/users', [
  * @desc    Download user upload template
  * @access  Private (Admin)
  */
-router.get('/users/template', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to download templates'
-    });
-  }
-
+router.get('/users/template', auth, requirePermission('users:create'), asyncHandler(async (req, res) => {
   try {
     // Create a sample workbook
     const wb = xlsx.utils.book_new();
@@ -367,6 +371,116 @@ router.get('/users/template', auth, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route   POST /api/admin/users/import
+ * @desc    Import users from an XLSX or CSV file (usersFile) laid out like the template.
+ *          Existing accounts are matched by email or roll number and updated; with
+ *          ?dryRun=true nothing is written and the result shows what would happen.
+ * @access  Private (Admin)
+ */
+router.post('/users/import', [
+  auth,
+  requirePermission('users:create'),
+  preserveTenant(uploadUsersFile),
+  check('dryRun', 'dryRun must be a boolean').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a usersFile'
+    });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+
+  try {
+    let rows;
+    try {
+      rows = readImportFile(req.file.path);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as a spreadsheet'
+      });
+    }
+
+    if (!rows.length || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The file must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const { summary, rows: results, credentials } = await importUsers(rows, {
+      dryRun,
+      createdBy: req.user._id
+    });
+
+    // Passwords are only handed out through the one-time credentials download
+    const credentialsSheet = credentials.length
+      ? storeCredentialsSheet(credentials, req.user._id)
+      : null;
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run completed, nothing was saved' : 'User import completed',
+      data: {
+        dryRun,
+        summary,
+        rows: results,
+        credentials: credentialsSheet && {
+          ...credentialsSheet,
+          url: `/api/admin/users/import/${credentialsSheet.importId}/credentials`
+        }
+      }
+    });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+}));
+
+/**
+ * @route   GET /api/admin/users/import/:importId/credentials
+ * @desc    Download the usernames and passwords of accounts created by an import.
+ *          Only the importing user can download it, once, within 15 minutes.
+ * @access  Private (Admin)
+ */
+router.get('/users/import/:importId/credentials', [
+  auth,
+  requirePermission('users:create'),
+  check('importId', 'Invalid import ID').isHexadecimal()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const buffer = takeCredentialsSheet(req.params.importId, req.user._id);
+  if (!buffer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Credentials not found, already downloaded or expired'
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', 'attachment; filename=imported_user_credentials.xlsx');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(buffer);
+}));
+
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with filtering and pagination
@@ -374,11 +488,14 @@ router.get('/users/template', auth, asyncHandler(async (req, res) => {
  */
 router.get('/users', [
   auth,
+  requirePermission('users:read'),
+  check('role', 'Invalid role').optional().isIn(LISTED_ROLES),
   asyncHandler(async (req, res) => {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to view users'
+        errors: errors.array()
       });
     }
 
@@ -387,24 +504,12 @@ router.get('/users', [
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
 
-      // Build filter
-      const filter = { role: { $ne: 'superadmin' } }; // Don't show superadmins
-      if (req.query.role) filter.role = req.query.role;
-      if (req.query.isActive) filter.isActive = req.query.isActive === 'true';
-      if (req.query.search) {
-        const searchRegex = new RegExp(req.query.search, 'i');
-        filter.$or = [
-          { firstName: searchRegex },
-          { lastName: searchRegex },
-          { email: searchRegex },
-          { rollNumber: searchRegex }
-        ];
-      }
+      const filter = buildUserFilter(req.query);
 
       // Get users with pagination
       const [users, total] = await Promise.all([
         User.find(filter)
-          .select('-password -refreshToken')
+          .select('-password -refreshTokens')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
@@ -415,10 +520,11 @@ router.get('/users', [
       // Populate additional data based on role
       const populatedUsers = await Promise.all(users.map(async user => {
         if (user.role === 'student') {
-          const student = await Student.findOne({ user: user._id })
-            .populate('batch', 'name code')
-            .lean();
-          return { ...user, studentDetails: student };
+          const [student, batches] = await Promise.all([
+            Student.findOne({ user: user._id }).lean(),
+            Batch.find({ students: user._id }, 'name code').lean()
+          ]);
+          return { ...user, studentDetails: student, batches };
         } else if (user.role === 'trainer') {
           const batches = await Batch.find({ trainers: user._id }, 'name code').lean();
           return { ...user, batches };
@@ -449,6 +555,44 @@ router.get('/users', [
   })
 ]);
 
+/**
+ * @route   GET /api/admin/users/export
+ * @desc    Export users as XLSX or CSV. Takes the filters of GET /api/admin/users,
+ *          plus format (xlsx or csv) and columns (comma-separated, e.g. studentInfo.rollNumber).
+ * @access  Private (Admin)
+ */
+router.get('/users/export', [
+  auth,
+  requirePermission('users:read'),
+  check('format', 'Format must be xlsx or csv').optional().isIn(Object.keys(EXPORT_FORMATS)),
+  check('role', 'Invalid role').optional().isIn(LISTED_ROLES)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { columns, unknown } = selectColumns(req.query.columns, USER_EXPORT_COLUMNS, DEFAULT_USER_EXPORT_COLUMNS);
+  if (unknown) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown columns: ${unknown.join(', ')}`,
+      allowedColumns: USER_EXPORT_COLUMNS
+    });
+  }
+
+  const rows = User.find(buildUserFilter(req.query))
+    .select(columns.join(' '))
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  await sendSpreadsheet(res, { rows, columns, format: req.query.format || 'xlsx', name: 'users' });
+}));
+
 /**
  * @route   PUT /api/admin/users/reset-password/:userId
  * @desc    Reset user password
@@ -456,17 +600,11 @@ router.get('/users', [
  */
 router.put('/users/reset-password/:userId', [
   auth,
+  requirePermission('users:update'),
   [
     check('sendEmail', 'sendEmail must be a boolean').optional().isBoolean()
   ],
   asyncHandler(async (req, res) => {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to reset passwords'
-      });
-    }
-
     const { userId } = req.params;
     const { sendEmail = false } = req.body;
     
@@ -492,6 +630,9 @@ router.put('/users/reset-password/:userId', [
         });
       }
 
+      // Sessions started with the old password end
+      await revokeAllSessions(user._id);
+
       // TODO: Implement email sending logic if sendEmail is true
       
       res.json({
@@ -512,6 +653,234 @@ router.put('/users/reset-password/:userId', [
   })
 ]);
 
+/**
+ * @route   PUT /api/admin/users/unlock/:userId
+ * @desc    Clear a login lockout and the failed attempt counter
+ * @access  Private (Admin, Super Admin)
+ */
+router.put('/users/unlock/:userId', [
+  auth,
+  requirePermission('users:unlock'),
+  asyncHandler(async (req, res) => {
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.params.userId,
+        {
+          $set: { failedLoginAttempts: 0, lockCount: 0 },
+          $unset: { lockUntil: 1 }
+        },
+        { new: true }
+      ).select('username lockUntil failedLoginAttempts');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Account unlocked successfully',
+        data: user
+      });
+    } catch (err) {
+      console.error('Unlock account error:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Error unlocking account',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  })
+]);
+
+/**
+ * @route   PUT /api/admin/users/reset-2fa/:userId
+ * @desc    Remove two-factor authentication from an account that lost its authenticator
+ *          and recovery codes. The user is signed out everywhere and must enroll again.
+ * @access  Private (Super Admin)
+ */
+router.put('/users/reset-2fa/:userId', [
+  auth,
+  requirePermission('users:reset-2fa'),
+  asyncHandler(async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId).select('username role twoFactor');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await disableTwoFactor(user._id);
+      await revokeAllSessions(user._id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset successfully',
+        data: { _id: user._id, username: user.username, role: user.role }
+      });
+    } catch (err) {
+      console.error('Reset two-factor authentication error:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Error resetting two-factor authentication',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  })
+]);
+
+/**
+ * @route   GET /api/admin/users/permissions
+ * @desc    List every permission and the defaults of each role
+ * @access  Private (Super Admin)
+ */
+router.get('/users/permissions', [
+  auth,
+  requirePermission('permissions:manage'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles: ROLE_PERMISSIONS
+      }
+    });
+  })
+]);
+
+/**
+ * @route   GET /api/admin/users/permissions/:userId
+ * @desc    Get a user's grants, denials and effective permissions
+ * @access  Private (Super Admin)
+ */
+router.get('/users/permissions/:userId', [
+  auth,
+  requirePermission('permissions:manage'),
+  check('userId', 'Invalid user ID').isMongoId(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('username role adminInfo');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+        granted: user.adminInfo?.permissions || [],
+        denied: user.adminInfo?.deniedPermissions || [],
+        effective: [...getEffectivePermissions(user)]
+      }
+    });
+  })
+]);
+
+/**
+ * @route   PUT /api/admin/users/permissions/:userId
+ * @desc    Replace a user's grants and denials on top of their role defaults.
+ *          Only permissions the caller holds can be granted.
+ * @access  Private (Super Admin)
+ */
+router.put('/users/permissions/:userId', [
+  auth,
+  requirePermission('permissions:manage'),
+  [
+    check('userId', 'Invalid user ID').isMongoId(),
+    check('granted', 'granted must be an array of permissions').optional().isArray(),
+    check('granted.*', 'Unknown permission').custom(isKnownPermission),
+    check('denied', 'denied must be an array of permissions').optional().isArray(),
+    check('denied.*', 'Unknown permission').custom(isKnownPermission)
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { userId } = req.params;
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own permissions'
+        });
+      }
+
+      const callerPermissions = getEffectivePermissions(req.user);
+      const granted = [...new Set(req.body.granted || [])];
+      const denied = [...new Set(req.body.denied || [])];
+
+      const notHeld = granted.filter(permission => !callerPermissions.has(permission));
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        {
+          $set: {
+            'adminInfo.permissions': granted,
+            'adminInfo.deniedPermissions': denied
+          }
+        },
+        { new: true }
+      ).select('username role adminInfo');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Permissions updated successfully',
+        data: {
+          _id: user._id,
+          username: user.username,
+          role: user.role,
+          granted: user.adminInfo.permissions,
+          denied: user.adminInfo.deniedPermissions,
+          effective: [...getEffectivePermissions(user)]
+        }
+      });
+    } catch (err) {
+      console.error('Update permissions error:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating permissions',
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  })
+]);
+
 /**
  * @route   PUT /api/admin/users/:userId
  * @desc    Update a user
@@ -519,6 +888,7 @@ router.put('/users/reset-password/:userId', [
  */
 router.put('/users/:userId', [
   auth,
+  requirePermission('users:update'),
   [
     check('email', 'Please include a valid email').optional().isEmail(),
     check('password', 'Password must be at least 6 characters').optional().isLength({ min: 6 }),
@@ -531,13 +901,6 @@ router.put('/users/:userId', [
     check('batchIds.*', 'Invalid batch ID').optional().isMongoId()
   ],
   asyncHandler(async (req, res) => {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update users'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -551,7 +914,8 @@ router.put('/users/:userId', [
 
     try {
       const { userId } = req.params;
-      const updateFields = { ...req.body };
+      const updateFields = pickEditable(req.body);
+      const { studentDetails, batchIds } = req.body;
 
       // Don't allow updating to superadmin
       if (updateFields.role === 'superadmin') {
@@ -574,27 +938,22 @@ router.put('/users/:userId', [
         });
       }
 
-      // Handle password update
-      if (updateFields.password) {
-        const salt = await bcrypt.genSalt(10);
-        updateFields.password = await bcrypt.hash(updateFields.password, salt);
-      }
-
-      // Update user fields
-      Object.assign(user, updateFields);
+      // Update user fields; the password is hashed when the user is saved
+      Object.assign(user, preservePermissionOverrides(user, updateFields));
+      if (updateFields.password) user.passwordChangedAt = new Date();
+      const emailChanged = user.isModified('email');
       await user.save({ session });
 
       // Handle student-specific updates
-      if (user.role === 'student' && updateFields.studentDetails) {
-        await Student.findOneAndUpdate(
-          { user: user._id },
-          { $set: updateFields.studentDetails },
-          { session, new: true, upsert: true }
-        );
+      if (user.role === 'student') {
+        const studentProfile = await syncStudentProfile(user, studentDetails, { session });
+        if (!studentProfile && studentDetails) {
+          await createStudentProfile(user, studentDetails, { session });
+        }
       }
 
       // Handle trainer batch assignments
-      if (user.role === 'trainer' && Array.isArray(updateFields.batchIds)) {
+      if (user.role === 'trainer' && Array.isArray(batchIds)) {
         // Remove from all batches first
         await Batch.updateMany(
           { trainers: user._id },
@@ -602,9 +961,9 @@ router.put('/users/:userId', [
           { session }
         );
         // Add to selected batches
-        if (updateFields.batchIds.length > 0) {
+        if (batchIds.length > 0) {
           await Batch.updateMany(
-            { _id: { $in: updateFields.batchIds } },
+            { _id: { $in: batchIds } },
             { $addToSet: { trainers: user._id } },
             { session }
           );
@@ -614,10 +973,25 @@ router.put('/users/:userId', [
       await session.commitTransaction();
       session.endSession();
 
+      // Deactivated users, and sessions started with the old password, must not keep
+      // using tokens issued earlier
+      if (updateFields.password || String(updateFields.isActive) === 'false') {
+        await revokeAllSessions(user._id);
+      }
+
+      // A new email address has to be verified again
+      if (emailChanged && user.email) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (mailError) {
+          console.error('Verification email error:', mailError);
+        }
+      }
+
       // Return updated user without sensitive data
       user = user.toObject();
       delete user.password;
-      delete user.refreshToken;
+      delete user.refreshTokens;
 
       res.json({
         success: true,
@@ -640,46 +1014,36 @@ router.put('/users/:userId', [
 
 /**
  * @route   DELETE /api/admin/users/:userId
- * @desc    Delete a user (student/trainer/faculty)
- * @access  Private (Admin)
- */
-/**
- * @route   DELETE /api/admin/users/:userId
- * @desc    Delete a user (student/trainer/faculty)
+ * @desc    Soft delete a user (student/trainer/faculty). Their history is kept, and the
+ *          account can be restored until it is purged after the retention period.
  * @access  Private (Super Admin only)
  */
 router.delete('/users/:userId', [
   auth,
+  requirePermission('users:delete'),
+  check('userId', 'Invalid user ID').isMongoId(),
   asyncHandler(async (req, res) => {
-    // Only super admin can delete users
-    if (req.user.role !== 'superadmin') {
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Only super admin can delete users'
+        errors: errors.array()
       });
     }
 
-    const session = await User.startSession();
-    session.startTransaction();
-
     try {
       const { userId } = req.params;
 
       // Don't allow deleting yourself
       if (userId === req.user._id.toString()) {
-        await session.abortTransaction();
-        session.endSession();
         return res.status(400).json({
           success: false,
           message: 'You cannot delete your own account'
         });
       }
 
-      // Find the user first to determine their role
-      const user = await User.findById(userId).session(session);
+      const user = await User.findById(userId);
       if (!user) {
-        await session.abortTransaction();
-        session.endSession();
         return res.status(404).json({
           success: false,
           message: 'User not found'
@@ -688,62 +1052,23 @@ router.delete('/users/:userId', [
 
       // Don't allow deleting superadmins
       if (user.role === 'superadmin') {
-        await session.abortTransaction();
-        session.endSession();
         return res.status(403).json({
           success: false,
           message: 'Cannot delete superadmin accounts'
         });
       }
 
-      // Handle role-specific cleanup
-      if (user.role === 'student') {
-        // Remove from batch
-        await Batch.updateMany(
-          { students: user._id },
-          { $pull: { students: user._id } },
-          { session }
-        );
-        
-        // Delete student record
-        await Student.deleteOne({ user: user._id }).session(session);
-      } else if (user.role === 'trainer') {
-        // Remove from batches
-        await Batch.updateMany(
-          { trainers: user._id },
-          { $pull: { trainers: user._id } },
-          { session }
-        );
-        
-        // Remove from courses
-        await Course.updateMany(
-          { instructors: user._id },
-          { $pull: { instructors: user._id } },
-          { session }
-        );
-      } else if (user.role === 'faculty') {
-        // Remove from courses
-        await Course.updateMany(
-          { faculty: user._id },
-          { $unset: { faculty: 1 } },
-          { session }
-        );
-      }
-
-      // Delete the user
-      await User.findByIdAndDelete(userId).session(session);
-
-      await session.commitTransaction();
-      session.endSession();
+      await softDeleteUser(user, req.user._id);
 
       res.json({
         success: true,
-        message: `${user.role.charAt(0).toUpperCase() + user.role.slice(1)} deleted successfully`
+        message: `${user.role.charAt(0).toUpperCase() + user.role.slice(1)} deleted successfully`,
+        data: {
+          deletedAt: user.deletedAt,
+          purgeAfter: new Date(user.deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000)
+        }
       });
     } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
-      
       console.error('Delete user error:', err);
       return res.status(500).json({
         success: false,
@@ -754,63 +1079,108 @@ router.delete('/users/:userId', [
   })
 ]);
 
-/**
- * Generate a unique username
- * @param {string} firstName - User's first name
- * @param {string} lastName - User's last name
- * @returns {Promise<string>} Generated username
- */
-async function generateUniqueUsername(firstName, lastName) {
-  let username, isUnique = false, attempts = 0;
-  const maxAttempts = 5;
-  
-  while (!isUnique && attempts < maxAttempts) {
-    const randomSuffix = Math.floor(100 + Math.random() * 900);
-    const baseUsername = `${firstName.toLowerCase()}${lastName.toLowerCase().charAt(0)}`;
-    username = `${baseUsername}${randomSuffix}`.substring(0, 20);
-    
-    const exists = await User.findOne({ username });
-    if (!exists) isUnique = true;
-    attempts++;
+// Shared by the activate and deactivate routes
+const setUserActive = isActive => asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
   }
-  
-  if (!isUnique) {
-    // Fallback to UUID if we can't generate a unique username
-    return `user_${uuidv4().substring(0, 8)}`;
+
+  if (!isActive && req.params.userId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot deactivate your own account'
+    });
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.userId, role: { $ne: 'superadmin' } },
+    { $set: { isActive } },
+    { new: true }
+  ).select('username role isActive');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  // Deactivated users must not keep using tokens issued earlier
+  if (!isActive) {
+    await revokeAllSessions(user._id);
   }
-  
-  return username;
-}
+
+  res.json({
+    success: true,
+    message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+    data: user
+  });
+});
 
 /**
- * Generate a strong password with the specified length
- * @param {number} length - Length of the password
- * @returns {string} Generated password
+ * @route   PUT /api/admin/users/deactivate/:userId
+ * @desc    Block sign-in without deleting anything. The user is signed out everywhere.
+ * @access  Private (Admin, Super Admin)
  */
-function generateStrongPassword(length = 10) {
-  const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()_+~`|}{[]\\\\:;?><,./-=';
-  let password = '';
-  
-  // Ensure at least one of each character type
-  const requirements = [
-    'abcdefghijklmnopqrstuvwxyz',
-    'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-    '0123456789',
-    '!@#$%^&*()_+~`|}{[]\\\\:;?><,./-='
-  ];
-  
-  // Add one character from each requirement
-  requirements.forEach(charset => {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
-  });
-  
-  // Fill the rest randomly
-  for (let i = password.length; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
+router.put('/users/deactivate/:userId', [
+  auth,
+  requirePermission('users:update'),
+  check('userId', 'Invalid user ID').isMongoId()
+], setUserActive(false));
+
+/**
+ * @route   PUT /api/admin/users/activate/:userId
+ * @desc    Allow a deactivated user to sign in again
+ * @access  Private (Admin, Super Admin)
+ */
+router.put('/users/activate/:userId', [
+  auth,
+  requirePermission('users:update'),
+  check('userId', 'Invalid user ID').isMongoId()
+], setUserActive(true));
+
+/**
+ * @route   PUT /api/admin/users/restore/:userId
+ * @desc    Restore a soft-deleted user
+ * @access  Private (Super Admin only)
+ */
+router.put('/users/restore/:userId', [
+  auth,
+  requirePermission('users:delete'),
+  check('userId', 'Invalid user ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findOne({ _id: req.params.userId, deletedAt: { $ne: null } });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Deleted user not found'
+    });
   }
-  
-  // Shuffle the password
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-}
+
+  await restoreUser(user);
+
+  res.json({
+    success: true,
+    message: 'User restored successfully',
+    data: {
+      _id: user._id,
+      username: user.username,
+      role: user.role,
+      isActive: user.isActive
+    }
+  });
+}));
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const Assignment = require('../models/Assignment');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { preserveTenant } = require('../utils/tenancy');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
@@ -42,7 +43,7 @@ const upload = multer({
 });
 
 // Upload trainer resources (notes/PPT)
-router.post('/:assignmentId/upload', auth, authorize('trainer'), upload.single('file'), async (req, res) => {
+router.post('/:assignmentId/upload', auth, requirePermission('assignments:upload-resources'), preserveTenant(upload.single('file')), async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.assignmentId);
     
@@ -1,100 +1,393 @@
 const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Assignment = require('../models/Assignment');
-const { auth, authorize } = require('../middleware/auth');
+const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { recalculateCourseProgress, updateStudentProgress } = require('../utils/courseProgress');
+const { ENROLLED_STATUSES, findEnrollment } = require('../utils/enrollment');
+const {
+  PUBLISHED_STATUSES,
+  visibleFilter,
+  isVisible,
+  canManageAssignments,
+  getDueDate,
+  refreshLateStatus,
+  publishAssignment,
+  unpublishAssignment,
+  closeAssignment,
+  archiveAssignment,
+  grantExtension,
+  revokeExtension
+} = require('../utils/assignmentLifecycle');
+const { findSubmission, getAttempts, assertCanSubmit, recordAttempt } = require('../utils/submissions');
+const { hasRubric, rubricMaxPoints, gradeSubmission, describeRubricScores, attachRubric } = require('../utils/grading');
+const {
+  GRADESHEET_COLUMNS,
+  MAX_GRADESHEET_ROWS,
+  buildGradesheetRows,
+  readGradesheet,
+  planGradeImport,
+  applyGradeImport
+} = require('../utils/gradesheet');
+const { EXPORT_FORMATS, sendSpreadsheet } = require('../utils/spreadsheetExport');
+const { createUpload, handleUploadErrors, resolvePrivateFile, removeUploadedFile } = require('../utils/fileUpload');
+const { preserveTenant } = require('../utils/tenancy');
 const router = express.Router();
 
-// Get all assignments for a course
+// Fields that can be set when creating or editing an assignment
+const EDITABLE_FIELDS = ['title', 'description', 'dueDate', 'totalPoints', 'trainerResources', 'maxAttempts', 'latePolicy', 'category'];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const parseDate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+const isPublished = assignment => PUBLISHED_STATUSES.includes(assignment.status || null);
+
+// Students only see their own submission
+const forStudent = (assignment, studentId) => {
+  const data = assignment.toObject();
+  data.submissions = data.submissions.filter(sub => sub.student && sub.student.toString() === studentId.toString());
+  data.extensions = data.extensions.filter(e => e.student.toString() === studentId.toString());
+  return data;
+};
+
+// Errors raised by the lifecycle rules carry their own status code
+const sendAssignmentError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error('Assignment error:', error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Load the assignment and its course, and check the user teaches the course
+const loadManagedAssignment = async (req, res, next) => {
+  try {
+    const assignment = mongoose.isValidObjectId(req.params.id) && await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course).select('instructor students');
+    if (!course || !canManageAssignments(req.user, course)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    req.assignment = assignment;
+    req.course = course;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get all assignments for a course. Students only see published assignments.
 router.get('/course/:courseId', auth, async (req, res) => {
   try {
-    const assignments = await Assignment.find({ course: req.params.courseId })
+    const isStudent = req.user.role === 'student';
+    const filter = { course: req.params.courseId };
+    if (isStudent) Object.assign(filter, visibleFilter());
+
+    const assignments = await Assignment.find(filter)
       .populate('createdBy', 'username email')
       .populate('submissions.student', 'username email');
-    
-    res.json(assignments);
+
+    res.json(isStudent ? assignments.map(a => forStudent(a, req.user._id)) : assignments);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create new assignment (faculty only)
-router.post('/', auth, authorize('faculty'), async (req, res) => {
+// Create new assignment (course instructor only). It starts as a draft unless
+// `publish` or a `publishAt` date is given.
+router.post('/', auth, requirePermission('assignments:create'), async (req, res) => {
   try {
+    const course = mongoose.isValidObjectId(req.body.course) &&
+      await Course.findById(req.body.course).select('instructor');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!canManageAssignments(req.user, course)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
     const assignment = new Assignment({
-      ...req.body,
+      ...pickEditable(req.body),
+      course: course._id,
+      status: 'draft',
       createdBy: req.user._id
     });
 
+    if (req.body.publish || req.body.publishAt) {
+      const publishAt = req.body.publishAt && parseDate(req.body.publishAt);
+      if (req.body.publishAt && !publishAt) {
+        return res.status(400).json({ message: 'Invalid publish date' });
+      }
+      publishAssignment(assignment, publishAt);
+    }
+
     await assignment.save();
+
+    // Everyone in the course has one more assignment to go through
+    if (isPublished(assignment)) {
+      await recalculateCourseProgress(assignment.course);
+    }
     res.status(201).json(assignment);
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    sendAssignmentError(res, error);
   }
 });
 
-// Submit assignment (student only)
-router.post('/:id/submit', auth, authorize('student'), async (req, res) => {
+// Submission files are stored privately per assignment and student
+const SUBMISSION_KINDS = ['document', 'image', 'archive'];
+const uploadSubmissionFile = handleUploadErrors(createUpload(req => `assignments/${req.params.id}/${req.user._id}`, {
+  kinds: SUBMISSION_KINDS,
+  maxFileSize: 25 * 1024 * 1024, // 25MB limit
+  isPrivate: true
+}).single('file'));
+
+// Load the assignment and check the student is enrolled and may submit, before any
+// file is stored
+const loadSubmittableAssignment = async (req, res, next) => {
   try {
-    const assignment = await Assignment.findById(req.params.id);
-    
+    const assignment = mongoose.isValidObjectId(req.params.id) && await Assignment.findById(req.params.id);
+
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    // Check if already submitted
-    const existingSubmission = assignment.submissions.find(
-      sub => sub.student.toString() === req.user._id.toString()
-    );
-
-    if (existingSubmission) {
-      return res.status(400).json({ message: 'Already submitted' });
+    const course = await Course.findById(assignment.course).select('students');
+    const enrollment = course && findEnrollment(course, req.user._id);
+    if (!enrollment || !ENROLLED_STATUSES.includes(enrollment.status)) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
     }
 
-    // Check if past due date
-    const status = new Date() > assignment.dueDate ? 'late' : 'submitted';
+    assertCanSubmit(assignment, req.user._id);
+    req.assignment = assignment;
+    next();
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+};
+
+// Submit assignment (student only). Upload the work as multipart "file"; each upload is
+// a new attempt, up to the assignment's maxAttempts.
+router.post('/:id/submit', auth, requirePermission('assignments:submit'), requireVerifiedEmail, loadSubmittableAssignment, preserveTenant(uploadSubmissionFile), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload your work as a file' });
+    }
 
-    assignment.submissions.push({
-      student: req.user._id,
-      fileUrl: req.body.fileUrl,
-      status
+    const attempt = await recordAttempt(req.assignment, req.user._id, req.file);
+    res.status(201).json({
+      message: attempt.number > 1 ? 'Assignment resubmitted successfully' : 'Assignment submitted successfully',
+      attempt: attempt.number,
+      attemptsLeft: Math.max((req.assignment.maxAttempts || 1) - attempt.number, 0),
+      status: attempt.status,
+      latePenalty: attempt.latePenalty
     });
+  } catch (error) {
+    if (req.file) await removeUploadedFile(req.file.path).catch(() => {});
+    sendAssignmentError(res, error);
+  }
+});
 
-    await assignment.save();
-    res.status(201).json({ message: 'Assignment submitted successfully' });
+// Load the submission of a student, for the student themselves or the course's instructors
+const loadSubmission = async (req, res) => {
+  const assignment = mongoose.isValidObjectId(req.params.id) && await Assignment.findById(req.params.id);
+  const submission = assignment && findSubmission(assignment, req.params.studentId);
+
+  if (!submission) {
+    res.status(404).json({ message: 'Submission not found' });
+    return null;
+  }
+
+  if (req.params.studentId !== req.user._id.toString()) {
+    const course = await Course.findById(assignment.course).select('instructor');
+    if (!course || !canManageAssignments(req.user, course)) {
+      res.status(403).json({ message: 'Not authorized' });
+      return null;
+    }
+  }
+
+  return submission;
+};
+
+// Get every attempt of a student's submission (the student or course instructor only)
+router.get('/:id/submissions/:studentId/attempts', auth, async (req, res) => {
+  try {
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    res.json({
+      status: submission.status,
+      latePenalty: submission.latePenalty,
+      attempts: getAttempts(submission).map(attempt => ({
+        number: attempt.number,
+        submittedAt: attempt.submittedAt,
+        daysLate: attempt.daysLate,
+        fileName: attempt.file ? attempt.file.originalName : undefined,
+        size: attempt.file ? attempt.file.size : undefined,
+        fileUrl: attempt.file && attempt.file.key
+          ? `/api/assignments/${req.params.id}/submissions/${req.params.studentId}/attempts/${attempt.number}/download`
+          : attempt.fileUrl
+      }))
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Grade assignment (faculty only)
-router.post('/:id/grade/:studentId', auth, authorize('faculty'), async (req, res) => {
+// Download the file of one attempt (the student or course instructor only)
+router.get('/:id/submissions/:studentId/attempts/:number/download', auth, async (req, res) => {
   try {
-    const assignment = await Assignment.findById(req.params.id);
-    
-    if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    const attempt = getAttempts(submission).find(a => String(a.number) === req.params.number);
+    const filePath = attempt && attempt.file && attempt.file.key && resolvePrivateFile(attempt.file.key);
+    if (!filePath) {
+      return res.status(404).json({ message: 'File not found' });
     }
 
-    const submission = assignment.submissions.find(
-      sub => sub.student.toString() === req.params.studentId
-    );
+    res.download(filePath, attempt.file.originalName, err => {
+      if (err && !res.headersSent) {
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({
+          message: err.code === 'ENOENT' ? 'File not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grade assignment (course instructor only). Send { grade, feedback }, or
+// { rubricScores, feedback } with a score per criterion when the assignment has a rubric.
+router.post('/:id/grade/:studentId', auth, requirePermission('assignments:grade'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const submission = findSubmission(assignment, req.params.studentId);
 
     if (!submission) {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    submission.grade = req.body.grade;
-    submission.feedback = req.body.feedback;
-    submission.status = 'graded';
+    // Late submissions lose their penalty from the points given
+    gradeSubmission(assignment, submission, {
+      grade: req.body.grade,
+      rubricScores: req.body.rubricScores,
+      feedback: req.body.feedback,
+      gradedBy: req.user._id
+    });
 
     await assignment.save();
-    res.json({ message: 'Assignment graded successfully' });
+    await updateStudentProgress(assignment.course, req.params.studentId);
+    res.json({
+      message: 'Assignment graded successfully',
+      grade: submission.grade,
+      pointsAwarded: submission.pointsAwarded,
+      latePenalty: submission.latePenalty,
+      rubricBreakdown: describeRubricScores(assignment, submission)
+    });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Gradesheets are read in memory and never stored
+const uploadGradesheet = handleUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const filetypes = /xlsx|xls|csv/;
+    if (filetypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only Excel and CSV files are allowed'));
+  }
+}).single('gradesheet'));
+
+// Export the submissions as a gradesheet (course instructor only). ?format=csv for CSV.
+// The grade column holds the points given, before any late penalty.
+router.get('/:id/gradesheet', auth, requirePermission('assignments:grade'), loadManagedAssignment, async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: 'Format must be xlsx or csv' });
+    }
+
+    const rows = await buildGradesheetRows(req.assignment);
+    await sendSpreadsheet(res, { rows, columns: GRADESHEET_COLUMNS, format, name: `gradesheet_${req.assignment._id}` });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get student's assignments
-router.get('/my-assignments', auth, authorize('student'), async (req, res) => {
+// Import an edited gradesheet (course instructor only), uploaded as multipart "gradesheet".
+// With ?dryRun=true nothing is saved and the result shows what would change. Otherwise
+// the changes are saved all together, and none of them if any row has an error.
+router.post('/:id/gradesheet', auth, requirePermission('assignments:grade'), loadManagedAssignment, preserveTenant(uploadGradesheet), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a gradesheet' });
+    }
+
+    let rows;
+    try {
+      rows = readGradesheet(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: 'The file could not be read as a spreadsheet' });
+    }
+
+    if (!rows.length || rows.length > MAX_GRADESHEET_ROWS) {
+      return res.status(400).json({ message: `The gradesheet must contain between 1 and ${MAX_GRADESHEET_ROWS} rows` });
+    }
+
+    const assignment = req.assignment;
+    const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+    const { summary, rows: results, changes } = await planGradeImport(assignment, rows);
+
+    if (dryRun) {
+      return res.json({ message: 'Dry run completed, nothing was saved', dryRun, summary, rows: results });
+    }
+    if (summary.failed) {
+      return res.status(400).json({ message: 'The gradesheet has errors, nothing was saved', dryRun, summary, rows: results });
+    }
+
+    if (changes.length) {
+      const gradedStudents = await applyGradeImport(assignment, changes, req.user._id);
+      for (const studentId of gradedStudents) {
+        await updateStudentProgress(assignment.course, studentId);
+      }
+    }
+
+    res.json({ message: 'Gradesheet imported successfully', dryRun, summary, rows: results });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'The assignment was changed while importing, please try again' });
+    }
+    sendAssignmentError(res, error);
+  }
+});
+
+// Get student's assignments, with the rubric scores of graded submissions
+router.get('/my-assignments', auth, requirePermission('assignments:submit'), async (req, res) => {
   try {
     const assignments = await Assignment.find({
       'submissions.student': req.user._id
@@ -102,10 +395,240 @@ router.get('/my-assignments', auth, authorize('student'), async (req, res) => {
       .populate('course', 'title')
       .populate('createdBy', 'username');
     
-    res.json(assignments);
+    res.json(assignments.map(assignment => {
+      const data = forStudent(assignment, req.user._id);
+      const rubricBreakdown = describeRubricScores(assignment, findSubmission(assignment, req.user._id));
+      data.submissions = data.submissions.map(submission => ({ ...submission, rubricBreakdown }));
+      return data;
+    }));
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get assignment by ID. Students only see published assignments of their courses.
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const assignment = mongoose.isValidObjectId(req.params.id) &&
+      await Assignment.findById(req.params.id).populate('createdBy', 'username email');
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const course = await Course.findById(assignment.course).select('instructor students');
+    if (course && canManageAssignments(req.user, course)) {
+      return res.json(assignment);
+    }
+
+    const enrollment = course && findEnrollment(course, req.user._id);
+    if (!enrollment || !ENROLLED_STATUSES.includes(enrollment.status) || !isVisible(assignment)) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    res.json({ ...forStudent(assignment, req.user._id), dueDate: getDueDate(assignment, req.user._id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update assignment (course instructor only)
+router.put('/:id', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    if (assignment.status === 'archived') {
+      return res.status(400).json({ message: 'Archived assignments cannot be changed' });
+    }
+
+    const fields = pickEditable(req.body);
+    const gradedAbove = fields.totalPoints !== undefined &&
+      assignment.submissions.some(sub => (sub.pointsAwarded ?? sub.grade) > fields.totalPoints);
+    if (gradedAbove) {
+      return res.status(400).json({ message: 'Some submissions are graded above the new total points' });
+    }
+    if (fields.totalPoints !== undefined && hasRubric(assignment) && rubricMaxPoints(assignment.rubric) > fields.totalPoints) {
+      return res.status(400).json({ message: 'The rubric is worth more than the new total points' });
+    }
+
+    Object.assign(assignment, fields);
+    if (fields.dueDate !== undefined && assignment.publishAt && assignment.publishAt >= assignment.dueDate) {
+      return res.status(400).json({ message: 'Due date must be after the publish date' });
+    }
+    if (fields.dueDate !== undefined || fields.latePolicy !== undefined) {
+      refreshLateStatus(assignment);
+    }
+
+    await assignment.save();
+    res.json(assignment);
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Delete assignment (course instructor only). Assignments with submissions can only
+// be archived.
+router.delete('/:id', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    if (assignment.submissions.length) {
+      return res.status(400).json({ message: 'Assignment has submissions, archive it instead' });
+    }
+
+    await assignment.deleteOne();
+
+    if (isPublished(assignment)) {
+      await recalculateCourseProgress(assignment.course);
+    }
+    res.json({ message: 'Assignment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish a draft or reopen a closed assignment (course instructor only). A future
+// `publishAt` date keeps it hidden from students until then.
+router.put('/:id/publish', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const publishAt = req.body.publishAt && parseDate(req.body.publishAt);
+    if (req.body.publishAt && !publishAt) {
+      return res.status(400).json({ message: 'Invalid publish date' });
+    }
+
+    const wasPublished = isPublished(assignment);
+    publishAssignment(assignment, publishAt);
+    await assignment.save();
+
+    if (!wasPublished) {
+      await recalculateCourseProgress(assignment.course);
+    }
+    res.json({
+      message: assignment.publishAt ? 'Assignment scheduled for publishing' : 'Assignment published',
+      assignment
+    });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Take a published assignment back to draft (course instructor only)
+router.put('/:id/draft', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    unpublishAssignment(assignment);
+    await assignment.save();
+
+    await recalculateCourseProgress(assignment.course);
+    res.json({ message: 'Assignment moved back to draft', assignment });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Close an assignment for submissions (course instructor only)
+router.put('/:id/close', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    closeAssignment(assignment);
+    await assignment.save();
+
+    res.json({ message: 'Assignment closed', assignment });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Archive an assignment (course instructor only). It no longer counts for progress.
+router.put('/:id/archive', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    const wasPublished = isPublished(assignment);
+    archiveAssignment(assignment);
+    await assignment.save();
+
+    if (wasPublished) {
+      await recalculateCourseProgress(assignment.course);
+    }
+    res.json({ message: 'Assignment archived', assignment });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Attach a copy of a rubric to an assignment (course instructor only)
+router.put('/:id/rubric', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const rubric = mongoose.isValidObjectId(req.body.rubricId) &&
+      await Rubric.findOne({ _id: req.body.rubricId, isArchived: false });
+
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    attachRubric(assignment, rubric);
+    await assignment.save();
+
+    res.json({ message: 'Rubric attached', rubric: assignment.rubric });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Detach the rubric from an assignment (course instructor only)
+router.delete('/:id/rubric', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    attachRubric(assignment, null);
+    await assignment.save();
+
+    res.json({ message: 'Rubric detached' });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Extend the due date for one student (course instructor only)
+router.put('/:id/extensions/:studentId', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const dueDate = parseDate(req.body.dueDate);
+    if (!dueDate) {
+      return res.status(400).json({ message: 'Please provide a valid due date' });
+    }
+
+    grantExtension(assignment, req.course, {
+      student: req.params.studentId,
+      dueDate,
+      reason: req.body.reason,
+      grantedBy: req.user._id
+    });
+    await assignment.save();
+
+    res.json({ message: 'Due date extended', extensions: assignment.extensions });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
+// Take back a student's extension (course instructor only)
+router.delete('/:id/extensions/:studentId', auth, requirePermission('assignments:create'), loadManagedAssignment, async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    revokeExtension(assignment, req.params.studentId);
+    await assignment.save();
+
+    res.json({ message: 'Extension removed', extensions: assignment.extensions });
+  } catch (error) {
+    sendAssignmentError(res, error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,697 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const { User, Course, Attendance, ClassSession } = require('../models');
+const {
+  ATTENDANCE_STATUSES,
+  DEFAULT_GRACE_MINUTES,
+  DEFAULT_CODE_TTL_MINUTES,
+  toSessionDate,
+  isCourseInstructor,
+  getEnrolledStudentIds,
+  findScheduleSlot,
+  resolveSessionStart,
+  signCheckInCode,
+  verifyCheckInCode
+} = require('../utils/attendance');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * @route   POST /api/attendance/mark
+ * @desc    Mark attendance for a whole class session in one request
+ * @access  Private (Course instructor, Admin)
+ */
+router.post('/mark', [
+  auth,
+  requirePermission('attendance:mark'),
+  check('courseId', 'Valid course ID is required').isMongoId(),
+  check('date', 'Date must be a valid ISO 8601 date').optional().isISO8601(),
+  check('records', 'Attendance records must be a non-empty array').isArray({ min: 1 }),
+  check('records.*.studentId', 'Invalid student ID').isMongoId(),
+  check('records.*.status', 'Invalid attendance status').isIn(ATTENDANCE_STATUSES),
+  check('records.*.remarks', 'Remarks must be a string').optional().isString().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { courseId, date, records } = req.body;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!hasPermission(req.user, 'attendance:manage-any') && !isCourseInstructor(course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the course instructor can mark attendance'
+    });
+  }
+
+  // Each student may only appear once per session
+  const studentIds = records.map(record => record.studentId);
+  if (new Set(studentIds).size !== studentIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each student can only be marked once per session'
+    });
+  }
+
+  const enrolled = getEnrolledStudentIds(course);
+  const notEnrolled = studentIds.filter(id => !enrolled.has(id));
+  if (notEnrolled.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some students are not enrolled in this course',
+      data: { notEnrolled }
+    });
+  }
+
+  const sessionDate = toSessionDate(date);
+
+  const existing = await Attendance.find({
+    course: course._id,
+    date: sessionDate,
+    session: null,
+    student: { $in: studentIds }
+  }).select('_id student');
+
+  if (existing.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Attendance already marked for some students in this session. Edit those records instead.',
+      data: {
+        existing: existing.map(record => ({
+          id: record._id,
+          student: record.student
+        }))
+      }
+    });
+  }
+
+  const [students, marker] = await Promise.all([
+    User.find({ _id: { $in: studentIds } }).select('college').lean(),
+    User.findById(req.user.id).select('college').lean()
+  ]);
+  const collegeByStudent = new Map(students.map(s => [s._id.toString(), s.college]));
+
+  const docs = records.map(record => ({
+    student: record.studentId,
+    course: course._id,
+    date: sessionDate,
+    status: record.status,
+    remarks: record.remarks,
+    markedBy: req.user.id,
+    college: collegeByStudent.get(record.studentId) || (marker && marker.college)
+  }));
+
+  if (docs.some(doc => !doc.college)) {
+    return res.status(400).json({
+      success: false,
+      message: 'College could not be determined for some students'
+    });
+  }
+
+  let attendance;
+  try {
+    attendance = await Attendance.insertMany(docs);
+  } catch (err) {
+    // Another request marked the same students after the check above
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendance already marked for some students in this session. Edit those records instead.'
+      });
+    }
+    throw err;
+  }
+
+  const summary = ATTENDANCE_STATUSES.reduce((acc, status) => {
+    acc[status] = attendance.filter(record => record.status === status).length;
+    return acc;
+  }, {});
+
+  res.status(201).json({
+    success: true,
+    message: 'Attendance marked successfully',
+    data: {
+      course: course._id,
+      date: sessionDate,
+      total: attendance.length,
+      summary,
+      records: attendance
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/attendance/course/:courseId
+ * @desc    Get attendance records for a course, optionally for a single session date
+ * @access  Private (Course instructor, Admin)
+ */
+router.get('/course/:courseId', [
+  auth,
+  requirePermission('attendance:view'),
+  check('courseId', 'Valid course ID is required').isMongoId(),
+  check('date', 'Date must be a valid ISO 8601 date').optional().isISO8601(),
+  check('startDate', 'Start date must be a valid ISO 8601 date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid ISO 8601 date').optional().isISO8601()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const course = await Course.findById(req.params.courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!hasPermission(req.user, 'attendance:manage-any') && !isCourseInstructor(course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view attendance for this course'
+    });
+  }
+
+  const { date, startDate, endDate } = req.query;
+  const filter = { course: course._id };
+
+  if (date) {
+    filter.date = toSessionDate(date);
+  } else if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = toSessionDate(startDate);
+    if (endDate) filter.date.$lte = toSessionDate(endDate);
+  }
+
+  const records = await Attendance.find(filter)
+    .sort({ date: -1 })
+    .populate('student', 'firstName lastName studentInfo.rollNumber')
+    .populate('markedBy', 'firstName lastName');
+
+  res.json({
+    success: true,
+    count: records.length,
+    data: records
+  });
+}));
+
+/**
+ * @route   POST /api/attendance/sessions
+ * @desc    Open a class session and issue a short-lived check-in code
+ * @access  Private (Course instructor)
+ */
+router.post('/sessions', [
+  auth,
+  requirePermission('attendance:sessions'),
+  check('courseId', 'Valid course ID is required').isMongoId(),
+  check('scheduleSlotId', 'Invalid schedule slot ID').optional().isMongoId(),
+  check('graceMinutes', 'Grace window must be between 0 and 120 minutes').optional().isInt({ min: 0, max: 120 }),
+  check('codeTtlMinutes', 'Code lifetime must be between 1 and 180 minutes').optional().isInt({ min: 1, max: 180 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { courseId, scheduleSlotId } = req.body;
+  const graceMinutes = req.body.graceMinutes !== undefined
+    ? parseInt(req.body.graceMinutes, 10)
+    : DEFAULT_GRACE_MINUTES;
+  const codeTtlMinutes = req.body.codeTtlMinutes !== undefined
+    ? parseInt(req.body.codeTtlMinutes, 10)
+    : DEFAULT_CODE_TTL_MINUTES;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!isCourseInstructor(course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the course instructor can open a class session'
+    });
+  }
+
+  const now = new Date();
+  const slot = findScheduleSlot(course, now, scheduleSlotId);
+  if (scheduleSlotId && !slot) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule slot not found for this course'
+    });
+  }
+
+  const sessionDate = toSessionDate(now);
+  const alreadyOpen = await ClassSession.findOne({
+    course: course._id,
+    date: sessionDate,
+    status: 'open'
+  });
+
+  if (alreadyOpen) {
+    return res.status(409).json({
+      success: false,
+      message: 'A session is already open for this course today',
+      data: { sessionId: alreadyOpen._id }
+    });
+  }
+
+  const session = new ClassSession({
+    course: course._id,
+    scheduleSlot: slot ? slot._id : undefined,
+    date: sessionDate,
+    startsAt: resolveSessionStart(sessionDate, slot, now),
+    graceMinutes,
+    openedBy: req.user.id
+  });
+
+  const { code, codeId, expiresAt } = signCheckInCode(session, codeTtlMinutes);
+  session.codeId = codeId;
+  session.codeExpiresAt = expiresAt;
+  await session.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Class session opened',
+    data: {
+      session,
+      lateAfter: session.lateAfter,
+      checkIn: { code, expiresAt }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/attendance/sessions/:id/rotate-code
+ * @desc    Issue a fresh check-in code for an open session; previous codes stop working
+ * @access  Private (Course instructor)
+ */
+router.post('/sessions/:id/rotate-code', [
+  auth,
+  requirePermission('attendance:sessions'),
+  check('id', 'Valid session ID is required').isMongoId(),
+  check('codeTtlMinutes', 'Code lifetime must be between 1 and 180 minutes').optional().isInt({ min: 1, max: 180 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await ClassSession.findById(req.params.id).populate('course', 'instructor');
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  if (!isCourseInstructor(session.course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this session'
+    });
+  }
+
+  if (session.status !== 'open') {
+    return res.status(400).json({
+      success: false,
+      message: 'Session is closed'
+    });
+  }
+
+  const codeTtlMinutes = req.body.codeTtlMinutes !== undefined
+    ? parseInt(req.body.codeTtlMinutes, 10)
+    : DEFAULT_CODE_TTL_MINUTES;
+  const { code, codeId, expiresAt } = signCheckInCode(
+    { _id: session._id, course: session.course._id },
+    codeTtlMinutes
+  );
+  session.codeId = codeId;
+  session.codeExpiresAt = expiresAt;
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'Check-in code rotated',
+    data: { code, expiresAt }
+  });
+}));
+
+/**
+ * @route   POST /api/attendance/sessions/:id/close
+ * @desc    Close a session, optionally marking students who did not check in as absent
+ * @access  Private (Course instructor)
+ */
+router.post('/sessions/:id/close', [
+  auth,
+  requirePermission('attendance:sessions'),
+  check('id', 'Valid session ID is required').isMongoId(),
+  check('markAbsent', 'markAbsent must be a boolean').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await ClassSession.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  const course = await Course.findById(session.course);
+  if (!course || !isCourseInstructor(course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this session'
+    });
+  }
+
+  if (session.status !== 'open') {
+    return res.status(400).json({
+      success: false,
+      message: 'Session is already closed'
+    });
+  }
+
+  // Absentees are recorded before the session is closed, so a failed insert leaves the
+  // session open and the close can be retried
+  let markedAbsent = 0;
+  const markAbsent = req.body.markAbsent === true || req.body.markAbsent === 'true';
+
+  if (markAbsent) {
+    const enrolled = [...getEnrolledStudentIds(course)];
+    const recorded = await Attendance.find({
+      session: session._id,
+      student: { $in: enrolled }
+    }).distinct('student');
+    const recordedIds = new Set(recorded.map(id => id.toString()));
+    const missing = enrolled.filter(id => !recordedIds.has(id));
+
+    if (missing.length > 0) {
+      const [students, marker] = await Promise.all([
+        User.find({ _id: { $in: missing } }).select('college').lean(),
+        User.findById(req.user.id).select('college').lean()
+      ]);
+
+      const docs = students
+        .map(student => ({
+          student: student._id,
+          course: course._id,
+          date: session.date,
+          status: 'absent',
+          session: session._id,
+          markedBy: req.user.id,
+          college: student.college || (marker && marker.college)
+        }))
+        .filter(doc => doc.college);
+
+      // A student may check in while the session closes; their record is kept and the
+      // rest are still inserted
+      try {
+        const inserted = await Attendance.insertMany(docs, { ordered: false });
+        markedAbsent = inserted.length;
+      } catch (err) {
+        // Mongoose copies the driver's write errors, which keeps the code only on .err
+        const codes = (err.writeErrors || []).map(writeError => (writeError.err || writeError).code);
+        if (!codes.length || codes.some(code => code !== 11000)) throw err;
+        markedAbsent = (err.insertedDocs || []).length;
+      }
+    }
+  }
+
+  session.status = 'closed';
+  session.closedAt = new Date();
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'Class session closed',
+    data: {
+      session,
+      markedAbsent
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/attendance/sessions/:id
+ * @desc    Get a session with the check-ins recorded so far
+ * @access  Private (Course instructor, Admin)
+ */
+router.get('/sessions/:id', [
+  auth,
+  requirePermission('attendance:view'),
+  check('id', 'Valid session ID is required').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await ClassSession.findById(req.params.id)
+    .populate('course', 'title instructor students');
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  if (!hasPermission(req.user, 'attendance:manage-any') && !isCourseInstructor(session.course, req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this session'
+    });
+  }
+
+  const records = await Attendance.find({ session: session._id })
+    .populate('student', 'firstName lastName studentInfo.rollNumber')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      session: {
+        _id: session._id,
+        course: { _id: session.course._id, title: session.course.title },
+        date: session.date,
+        startsAt: session.startsAt,
+        lateAfter: session.lateAfter,
+        status: session.status,
+        codeExpiresAt: session.codeExpiresAt,
+        closedAt: session.closedAt
+      },
+      enrolled: getEnrolledStudentIds(session.course).size,
+      checkedIn: records.filter(record => ['present', 'late'].includes(record.status)).length,
+      records
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/attendance/check-in
+ * @desc    Redeem a session check-in code to self-mark attendance
+ * @access  Private (Student)
+ */
+router.post('/check-in', [
+  auth,
+  requirePermission('attendance:check-in'),
+  requireVerifiedEmail,
+  check('code', 'Check-in code is required').isString().trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyCheckInCode(req.body.code);
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      message: err.name === 'TokenExpiredError'
+        ? 'Check-in code has expired'
+        : 'Invalid check-in code'
+    });
+  }
+
+  const session = await ClassSession.findById(payload.session);
+  if (!session || session.codeId !== payload.jti) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid check-in code'
+    });
+  }
+
+  if (session.status !== 'open') {
+    return res.status(400).json({
+      success: false,
+      message: 'This session is closed'
+    });
+  }
+
+  const course = await Course.findById(session.course);
+  if (!course || !getEnrolledStudentIds(course).has(req.user.id.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not enrolled in this course'
+    });
+  }
+
+  const student = await User.findById(req.user.id).select('college').lean();
+  const college = (student && student.college) ||
+    (await User.findById(course.instructor).select('college').lean() || {}).college;
+
+  if (!college) {
+    return res.status(400).json({
+      success: false,
+      message: 'College could not be determined for your account'
+    });
+  }
+
+  const now = new Date();
+  const status = now > session.lateAfter ? 'late' : 'present';
+
+  try {
+    const attendance = await Attendance.create({
+      student: req.user.id,
+      course: course._id,
+      date: session.date,
+      status,
+      session: session._id,
+      markedBy: req.user.id,
+      college
+    });
+
+    res.status(201).json({
+      success: true,
+      message: status === 'late' ? 'Checked in late' : 'Checked in successfully',
+      data: attendance
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendance already recorded for this session'
+      });
+    }
+    throw err;
+  }
+}));
+
+/**
+ * @route   PUT /api/attendance/:id
+ * @desc    Correct a single attendance record, keeping the reason for the change
+ * @access  Private (Course instructor, Admin)
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('attendance:edit'),
+  check('id', 'Valid attendance ID is required').isMongoId(),
+  check('status', 'Invalid attendance status').optional().isIn(ATTENDANCE_STATUSES),
+  check('remarks', 'Remarks must be a string').optional().isString().trim(),
+  check('reason', 'A reason is required when editing attendance').isString().trim().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const attendance = await Attendance.findById(req.params.id);
+  if (!attendance) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attendance record not found'
+    });
+  }
+
+  const course = await Course.findById(attendance.course).select('instructor');
+  if (!hasPermission(req.user, 'attendance:manage-any') && !(course && isCourseInstructor(course, req.user.id))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this attendance record'
+    });
+  }
+
+  const { status, remarks, reason } = req.body;
+  const statusChanged = status !== undefined && status !== attendance.status;
+  const remarksChanged = remarks !== undefined && remarks !== attendance.remarks;
+
+  if (!statusChanged && !remarksChanged) {
+    return res.status(400).json({
+      success: false,
+      message: 'No changes to apply'
+    });
+  }
+
+  attendance.editHistory.push({
+    previousStatus: attendance.status,
+    newStatus: statusChanged ? status : attendance.status,
+    previousRemarks: attendance.remarks,
+    reason,
+    editedBy: req.user.id,
+    editedAt: new Date()
+  });
+
+  if (statusChanged) attendance.status = status;
+  if (remarksChanged) attendance.remarks = remarks;
+
+  await attendance.save();
+
+  const updated = await Attendance.findById(attendance._id)
+    .populate('student', 'firstName lastName studentInfo.rollNumber')
+    .populate('markedBy', 'firstName lastName')
+    .populate('editHistory.editedBy', 'firstName lastName');
+
+  res.json({
+    success: true,
+    message: 'Attendance updated successfully',
+    data: updated
+  });
+}));
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const Attendance = require('../models/Attendance');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 const { parse } = require('date-fns');
 const { format } = require('date-fns');
@@ -110,7 +110,7 @@ async function generatePDFReport(data, filename) {
 }
 
 // Get monthly attendance report for a student
-router.get('/monthly/:studentId', auth, authorize('trainer', 'admin'), async (req, res) => {
+router.get('/monthly/:studentId', auth, requirePermission('attendance:reports'), async (req, res) => {
   try {
     const { month, year, courseId } = req.query;
     
@@ -164,7 +164,7 @@ router.get('/monthly/:studentId', auth, authorize('trainer', 'admin'), async (re
 });
 
 // Get batch-wise monthly attendance report
-router.get('/batch/:batchId', auth, authorize('trainer', 'admin'), async (req, res) => {
+router.get('/batch/:batchId', auth, requirePermission('attendance:reports'), async (req, res) => {
   try {
     const { month, year, courseId } = req.query;
     
@@ -1,50 +1,117 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const College = require('../models/College');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { check, validationResult } = require('express-validator');
+const { auth, authForTwoFactorSetup } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimiter');
+const { recordLoginAttempt } = require('../utils/loginAudit');
+const { sendMail } = require('../utils/mailer');
+const {
+  isBlockedByVerification,
+  sendVerificationEmail,
+  verifyEmailToken
+} = require('../utils/emailVerification');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/tokens');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  signChallengeToken,
+  findChallengeUser,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+const { getEffectivePermissions } = require('../utils/permissions');
 
-// Auth middleware
-exports.auth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30;
 
-    const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-here';
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+// Device metadata stored alongside each refresh token
+const getClientInfo = req => ({
+  device: req.body.device || req.get('User-Agent'),
+  ip: req.ip
+});
 
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
+// Reset lockout state, audit the login and issue tokens for this device
+const completeLogin = async (req, user) => {
+  await user.registerSuccessfulLogin();
+  await recordLoginAttempt(req, { user, username: user.username, success: true, reason: 'success' });
 
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Auth error:', error.message);
-    res.status(401).json({ message: 'Invalid token' });
+  // Issue an access token and a refresh token for this device
+  const { accessToken, refreshToken, refreshTokenExpiresAt } = await createSession(
+    user,
+    getClientInfo(req)
+  );
+
+  // Return user info without password
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: isTwoFactorEnabled(user),
+    token: accessToken,
+    refreshToken,
+    refreshTokenExpiresAt
+  };
+};
+
+// Reply to a wrong second factor; it counts towards the account lockout like a wrong password
+const rejectSecondFactor = async (req, res, user) => {
+  const { locked, lockUntil } = await user.registerFailedLogin();
+  await recordLoginAttempt(req, { user, username: user.username, success: false, reason: 'invalid_2fa' });
+
+  if (locked) {
+    return res.status(423).json({
+      message: 'Account is temporarily locked due to too many failed login attempts',
+      lockUntil
+    });
   }
+  return res.status(400).json({ message: 'Invalid two-factor code' });
 };
 
-// Authorize roles
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: `User role ${req.user.role} is not authorized to access this route` 
-      });
+// Enrollment is reachable with a signed-in session or with the 2fa-setup challenge token
+// issued at login to accounts that must enroll before they can sign in
+const twoFactorSetupAuth = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authForTwoFactorSetup(req, res, next);
+  }
+
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, '2fa-setup');
+    if (!user || user.isActive === false) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
     }
+
+    req.user = user;
+    req.twoFactorChallenge = true;
     next();
-  };
+  } catch (err) {
+    console.error('Server error during two-factor challenge:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
 };
 
 // @route   POST api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
 router.post('/login', [
+  loginLimiter,
   check('username', 'Username is required').not().isEmpty(),
   check('password', 'Password is required').exists()
 ], async (req, res) => {
@@ -59,44 +126,75 @@ router.post('/login', [
     // Check if user exists
     const user = await User.findOne({ username });
     if (!user) {
+      await recordLoginAttempt(req, { username, success: false, reason: 'unknown_user' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { user, username, success: false, reason: 'locked' });
+      return res.status(423).json({
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const { locked, lockUntil } = await user.registerFailedLogin();
+      await recordLoginAttempt(req, { user, username, success: false, reason: 'invalid_password' });
+
+      if (locked) {
+        return res.status(423).json({
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          lockUntil
+        });
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your-secret-key-here',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        
-        // Return user info without password
-        const userResponse = {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          token
-        };
-
-        res.json(userResponse);
+    if (user.isActive === false) {
+      await recordLoginAttempt(req, { user, username, success: false, reason: 'deactivated' });
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    // Superadmins are the only accounts without a college
+    let college = null;
+    if (user.role !== 'superadmin') {
+      college = user.college && await College.findById(user.college).lean();
+      if (!college || !college.isActive) {
+        await recordLoginAttempt(req, { user, username, success: false, reason: 'college_unavailable' });
+        return res.status(403).json({
+          message: college ? 'College is deactivated' : 'Account is not assigned to a college'
+        });
       }
-    );
+    }
+
+    if (await isBlockedByVerification(user, ['block-login'], college)) {
+      await recordLoginAttempt(req, { user, username, success: false, reason: 'email_not_verified' });
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Password is correct, but the second factor is still missing
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-login')
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-setup')
+      });
+    }
+
+    res.json(await completeLogin(req, user));
   } catch (err) {
     console.error('Server error during login:', err);
     res.status(500).json({ message: 'Server error' });
@@ -104,16 +202,13 @@ router.post('/login', [
 });
 
 // @route   GET api/auth/me
-// @desc    Get current user
+// @desc    Get current user with their effective permissions
 // @access  Private
-router.get('/me', exports.auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('-password');
-    res.json(user);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
-  }
+router.get('/me', auth, (req, res) => {
+  res.json({
+    ...req.user.toObject(),
+    permissions: [...getEffectivePermissions(req.user)]
+  });
 });
 
 // @route   POST api/auth/register
@@ -125,18 +220,20 @@ router.post('/register', [
   check('email', 'Please include a valid email').isEmail(),
   check('firstName', 'First name is required').not().isEmpty(),
   check('lastName', 'Last name is required').not().isEmpty(),
-  check('role', 'Role is required').not().isEmpty()
+  check('role', 'Role is required').not().isEmpty(),
+  check('college', 'College code is required').isString().notEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { username, password, email, firstName, lastName, role } = req.body;
+  const { username, password, email, firstName, lastName, role, college: collegeCode } = req.body;
 
   try {
     // Check if user exists
-    let user = await User.findOne({ username });
+    // Deleted accounts keep their username until they are purged
+    let user = await User.findOne({ username }).setOptions({ withDeleted: true });
     if (user) {
       return res.status(400).json({ message: 'User already exists' });
     }
@@ -148,6 +245,11 @@ router.post('/register', [
       }
     }
 
+    const college = await College.findOne({ code: collegeCode.toUpperCase(), isActive: true });
+    if (!college) {
+      return res.status(400).json({ message: 'Unknown college' });
+    }
+
     // Create new user
     user = new User({
       username,
@@ -155,7 +257,8 @@ router.post('/register', [
       email,
       firstName,
       lastName,
-      role
+      role,
+      college: college._id
     });
 
     // Hash password
@@ -165,35 +268,433 @@ router.post('/register', [
     // Save user to database
     await user.save();
 
-    // Create and return JWT token
-    const payload = {
+    // The account exists now, so a mail failure must not fail the registration
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Issue an access token and a refresh token for this device
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await createSession(
+      user,
+      getClientInfo(req)
+    );
+
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user.id,
-        role: user.role
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your-secret-key-here',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          token,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role
-          }
-        });
+    });
+  } catch (err) {
+    console.error('Server error during registration:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token; the refresh token is rotated
+// @access  Public
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rotated = await rotateSession(req.body.refreshToken, { ip: req.ip });
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: rotated.refreshTokenExpiresAt
+    });
+  } catch (err) {
+    console.error('Server error during token refresh:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    End the current device session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.auth.sid);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Server error during logout:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    End every session of the current user on all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('Server error during logout from all devices:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  // User.email is only trimmed and lowercased, so normalizeEmail() would miss e.g. dotted Gmail addresses
+  check('email', 'Please include a valid email').trim().isEmail().toLowerCase()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  const genericResponse = {
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || user.isActive === false) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordResetToken: hashToken(resetToken),
+          passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000)
+        }
       }
     );
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.firstName},\n\n` +
+        `Use the link below to reset your password. It expires in ${PASSWORD_RESET_EXPIRE_MINUTES} minutes ` +
+        `and can only be used once.\n\n${resetUrl}\n\n` +
+        'If you did not request a password reset, you can ignore this email.'
+    });
+
+    res.json(genericResponse);
   } catch (err) {
-    console.error('Server error during registration:', err);
+    console.error('Server error during forgot password:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password using a reset token; signs the user out everywhere
+// @access  Public
+router.post('/reset-password', [
+  check('token', 'Reset token is required').isString().notEmpty(),
+  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+    // Matching on the token and clearing it in one update makes the token single-use
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        $set: { password: hashedPassword, passwordChangedAt: new Date(), failedLoginAttempts: 0 },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1, lockUntil: 1 }
+      }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    await revokeAllSessions(user._id);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    console.error('Server error during password reset:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Confirm an email address using the token from the verification link
+// @access  Public
+router.post('/verify-email', [
+  check('token', 'Verification token is required').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyEmailToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (err) {
+    console.error('Server error during email verification:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/resend-verification
+// @desc    Send a new verification link. Public, because unverified users may be unable to log in.
+// @access  Public
+router.post('/resend-verification', [
+  // Trimmed and lowercased like User.email; normalizeEmail() would strip Gmail dots
+  check('email', 'Please include a valid email').trim().isEmail().toLowerCase()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  const genericResponse = {
+    message: 'If an unverified account with that email exists, a verification link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.emailVerified && user.isActive !== false) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('Server error during resend verification:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/verify
+// @desc    Second login step: exchange a 2fa-login challenge token and a TOTP or recovery code for tokens
+// @access  Public
+router.post('/2fa/verify', [
+  loginLimiter,
+  check('challengeToken', 'Challenge token is required').isString().notEmpty(),
+  check('code', 'A two-factor code or a recovery code is required')
+    .if((value, { req }) => !req.body.recoveryCode)
+    .isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, '2fa-login');
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    if (user.isActive === false) {
+      await recordLoginAttempt(req, { user, username: user.username, success: false, reason: 'deactivated' });
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { user, username: user.username, success: false, reason: 'locked' });
+      return res.status(423).json({
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const verified = await verifySecondFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+    if (!verified) {
+      return rejectSecondFactor(req, res, user);
+    }
+
+    const login = await completeLogin(req, user);
+    if (verified.method === 'recovery') {
+      login.recoveryCodesRemaining = verified.recoveryCodesRemaining;
+    }
+    res.json(login);
+  } catch (err) {
+    console.error('Server error during two-factor verification:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start TOTP enrollment; returns the secret and an otpauth URI for the authenticator app
+// @access  Private (admin, superadmin) or 2fa-setup challenge token
+router.post('/2fa/setup', twoFactorSetupAuth, async (req, res) => {
+  try {
+    if (!canUseTwoFactor(req.user)) {
+      return res.status(403).json({
+        message: `User role ${req.user.role} cannot use two-factor authentication`
+      });
+    }
+
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+    res.json({ secret, otpauthUrl });
+  } catch (err) {
+    console.error('Server error during two-factor setup:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes once.
+//          When enrolling with a challenge token, the user is signed in as well.
+// @access  Private (admin, superadmin) or 2fa-setup challenge token
+router.post('/2fa/enable', [
+  twoFactorSetupAuth,
+  check('code', 'Two-factor code is required').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!canUseTwoFactor(req.user)) {
+      return res.status(403).json({
+        message: `User role ${req.user.role} cannot use two-factor authentication`
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    if (req.twoFactorChallenge) {
+      user.twoFactor.enabled = true;
+      const login = await completeLogin(req, user);
+      return res.json({ ...login, recoveryCodes });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    console.error('Server error while enabling two-factor authentication:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes; requires a current TOTP code
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  check('code', 'Two-factor code is required').isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const verified = await verifySecondFactor(user, { code: req.body.code });
+    if (!verified) {
+      return rejectSecondFactor(req, res, user);
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error('Server error while regenerating recovery codes:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn off two-factor authentication; requires the password and a TOTP or recovery code
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  check('password', 'Password is required').exists(),
+  check('code', 'A two-factor code or a recovery code is required')
+    .if((value, { req }) => !req.body.recoveryCode)
+    .isString().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        message: `Two-factor authentication is mandatory for role ${req.user.role}`
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const verified = await verifySecondFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+    if (!verified) {
+      return rejectSecondFactor(req, res, user);
+    }
+
+    await disableTwoFactor(user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Server error while disabling two-factor authentication:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
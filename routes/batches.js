@@ -0,0 +1,745 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const { Batch, User } = require('../models');
+const { searchRegex } = require('../utils/search');
+
+// Fields that can be set through the API
+const EDITABLE_FIELDS = ['name', 'description', 'code', 'startDate', 'endDate', 'maxStudents', 'tags', 'customFields'];
+
+const DEFAULT_MAX_STUDENTS = Batch.schema.path('maxStudents').defaultValue;
+
+const MEMBER_FIELDS = 'username firstName lastName email';
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const uniqueIds = ids => [...new Set(ids.map(String))];
+
+const batchValidation = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    field('name', 'Batch name is required').isString().trim().notEmpty(),
+    field('description', 'Description is required').isString().trim().notEmpty(),
+    field('code', 'Code can only contain letters, numbers, dashes and underscores').matches(/^[A-Za-z0-9_-]+$/),
+    field('startDate', 'Start date must be a valid date').isISO8601(),
+    field('endDate', 'End date must be a valid date').isISO8601(),
+    check('maxStudents', 'maxStudents must be a positive integer').optional().isInt({ min: 1 }),
+    check('tags', 'Tags must be an array of strings').optional().isArray(),
+    check('tags.*', 'Tags must be an array of strings').isString(),
+    check('customFields', 'Custom fields must be an object').optional().isObject(),
+    check('customFields.*', 'Custom field values must be strings').isString()
+  ];
+};
+
+const idListValidation = (name, label) => [
+  check(name, `${name} must be a non-empty array`).isArray({ min: 1, max: 500 }),
+  check(`${name}.*`, `Invalid ${label} ID`).isMongoId()
+];
+
+const sendDuplicateError = res => res.status(400).json({
+  success: false,
+  message: 'A batch with this code already exists'
+});
+
+/**
+ * Find IDs that are not accounts of the given role in the current college
+ * @param {string[]} ids - User IDs
+ * @param {string} role - Expected role
+ * @returns {Promise<string[]>} IDs that did not match
+ */
+const findInvalidMembers = async (ids, role) => {
+  const users = await User.find({ _id: { $in: ids }, role }).select('_id').lean();
+  const found = new Set(users.map(user => user._id.toString()));
+  return ids.filter(id => !found.has(id));
+};
+
+/**
+ * Find students that already belong to another active batch. A student is in one
+ * active batch at a time and changes batch through a transfer.
+ * @param {string[]} studentIds - User IDs
+ * @param {Object} batchId - Batch the students are joining
+ * @returns {Promise<Object[]>} { student, batch } per conflict
+ */
+const findStudentsInOtherBatches = async (studentIds, batchId) => {
+  const batches = await Batch.find({
+    _id: { $ne: batchId },
+    isActive: true,
+    students: { $in: studentIds }
+  }).select('name code students').lean();
+
+  return batches.flatMap(batch => batch.students
+    .filter(student => studentIds.includes(student.toString()))
+    .map(student => ({ student, batch: { _id: batch._id, name: batch.name, code: batch.code } })));
+};
+
+/**
+ * Add students to a batch without going over maxStudents. The capacity is checked in
+ * the update itself, so concurrent requests cannot overfill the batch.
+ * @param {Object} batchId - Batch ID
+ * @param {string[]} studentIds - User IDs
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<boolean>} False if the batch has no room for them
+ */
+const addStudentsWithinCapacity = async (batchId, studentIds, session) => {
+  const ids = studentIds.map(id => new mongoose.Types.ObjectId(id));
+  const result = await Batch.updateOne(
+    {
+      _id: batchId,
+      $expr: {
+        $lte: [
+          { $size: { $setUnion: ['$students', ids] } },
+          { $ifNull: ['$maxStudents', DEFAULT_MAX_STUDENTS] }
+        ]
+      }
+    },
+    { $addToSet: { students: { $each: ids } } },
+    { session }
+  );
+  return result.matchedCount === 1;
+};
+
+const sendCapacityError = (res, batch) => res.status(400).json({
+  success: false,
+  message: `Batch ${batch.code} is limited to ${batch.maxStudents} students and has room for ` +
+    `${Math.max(batch.maxStudents - batch.students.length, 0)} more`
+});
+
+/**
+ * @route   GET /api/batches
+ * @desc    List batches, optionally filtered by isActive, tag or a search on name and code
+ * @access  Private (Admin, Super Admin)
+ */
+router.get('/', [
+  auth,
+  requirePermission('batches:manage'),
+  check('isActive', 'isActive must be a boolean').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const filter = {};
+  if (req.query.isActive) filter.isActive = req.query.isActive === 'true';
+  if (req.query.tag) filter.tags = String(req.query.tag);
+  if (req.query.search) {
+    const search = searchRegex(req.query.search);
+    filter.$or = [{ name: search }, { code: search }];
+  }
+
+  const batches = await Batch.find(filter)
+    .select('-students -formerStudents')
+    .populate('trainers', MEMBER_FIELDS)
+    .sort({ startDate: -1 })
+    .lean();
+
+  // Counted separately so the member lists are not loaded
+  const counts = await Batch.aggregate([
+    { $match: { _id: { $in: batches.map(batch => batch._id) } } },
+    { $project: { studentCount: { $size: '$students' } } }
+  ]);
+  const countById = new Map(counts.map(c => [c._id.toString(), c.studentCount]));
+
+  res.json({
+    success: true,
+    data: batches.map(batch => ({ ...batch, studentCount: countById.get(batch._id.toString()) || 0 }))
+  });
+}));
+
+/**
+ * @route   GET /api/batches/:id
+ * @desc    Get a batch with its trainers, students, former students and statistics
+ * @access  Private (Admin, Super Admin)
+ */
+router.get('/:id', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findById(req.params.id)
+    .populate('trainers', MEMBER_FIELDS)
+    .populate('students', MEMBER_FIELDS)
+    .populate({ path: 'formerStudents.student', select: MEMBER_FIELDS, options: { withDeleted: true } })
+    .populate('formerStudents.transferredTo', 'name code');
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...batch.toObject(),
+      stats: await batch.getStats()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/batches
+ * @desc    Create a batch, optionally with its trainers
+ * @access  Private (Admin, Super Admin)
+ */
+router.post('/', [
+  auth,
+  requirePermission('batches:manage'),
+  ...batchValidation(),
+  check('trainerIds', 'trainerIds must be an array').optional().isArray(),
+  check('trainerIds.*', 'Invalid trainer ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const trainerIds = uniqueIds(req.body.trainerIds || []);
+  const invalidTrainers = await findInvalidMembers(trainerIds, 'trainer');
+  if (invalidTrainers.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some trainers were not found',
+      data: { invalidTrainers }
+    });
+  }
+
+  try {
+    const batch = await Batch.create({
+      ...pickEditable(req.body),
+      trainers: trainerIds,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch created successfully',
+      data: batch
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendDuplicateError(res);
+    }
+    throw err;
+  }
+}));
+
+/**
+ * @route   PUT /api/batches/:id
+ * @desc    Update a batch. maxStudents cannot go below the current number of students.
+ * @access  Private (Admin, Super Admin)
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  ...batchValidation(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findById(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  const fields = pickEditable(req.body);
+  if (fields.maxStudents !== undefined && Number(fields.maxStudents) < batch.students.length) {
+    return res.status(400).json({
+      success: false,
+      message: `Batch already has ${batch.students.length} students`
+    });
+  }
+
+  batch.set(fields);
+
+  try {
+    await batch.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendDuplicateError(res);
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(err.errors).map(e => e.message).join(', ')
+      });
+    }
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    message: 'Batch updated successfully',
+    data: batch
+  });
+}));
+
+/**
+ * @route   PUT /api/batches/:id/archive
+ * @desc    Archive a batch. Its members and history are kept, and its students can
+ *          join another batch.
+ * @access  Private (Admin, Super Admin)
+ */
+router.put('/:id/archive', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true })
+    .select('name code isActive');
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Batch archived successfully',
+    data: batch
+  });
+}));
+
+/**
+ * @route   PUT /api/batches/:id/unarchive
+ * @desc    Make an archived batch active again, unless its students have moved on to
+ *          another active batch
+ * @access  Private (Admin, Super Admin)
+ */
+router.put('/:id/unarchive', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findById(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  const conflicts = await findStudentsInOtherBatches(batch.students.map(String), batch._id);
+  if (conflicts.length) {
+    return res.status(409).json({
+      success: false,
+      message: 'Some students of this batch are in another active batch',
+      data: { conflicts }
+    });
+  }
+
+  batch.isActive = true;
+  await batch.save();
+
+  res.json({
+    success: true,
+    message: 'Batch unarchived successfully',
+    data: { _id: batch._id, name: batch.name, code: batch.code, isActive: batch.isActive }
+  });
+}));
+
+/**
+ * @route   POST /api/batches/:id/clone
+ * @desc    Create a new batch from an existing one: description, capacity, tags,
+ *          custom fields and (unless includeTrainers is false) trainers are copied.
+ *          Students are not, since a student is in one active batch at a time.
+ * @access  Private (Admin, Super Admin)
+ */
+router.post('/:id/clone', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  check('code', 'Code can only contain letters, numbers, dashes and underscores').matches(/^[A-Za-z0-9_-]+$/),
+  check('name', 'Batch name must be a string').optional().isString().trim().notEmpty(),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601(),
+  check('includeTrainers', 'includeTrainers must be a boolean').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const source = await Batch.findById(req.params.id).lean();
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  const { name, code, startDate, endDate, includeTrainers } = req.body;
+
+  try {
+    const batch = await Batch.create({
+      name: name || `${source.name} (copy)`,
+      code,
+      description: source.description,
+      startDate: startDate || source.startDate,
+      endDate: endDate || source.endDate,
+      maxStudents: source.maxStudents,
+      tags: source.tags,
+      customFields: source.customFields,
+      trainers: String(includeTrainers) === 'false' ? [] : source.trainers,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch cloned successfully',
+      data: batch
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendDuplicateError(res);
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(err.errors).map(e => e.message).join(', ')
+      });
+    }
+    throw err;
+  }
+}));
+
+/**
+ * @route   POST /api/batches/:id/trainers
+ * @desc    Add trainers to a batch
+ * @access  Private (Admin, Super Admin)
+ */
+router.post('/:id/trainers', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  ...idListValidation('trainerIds', 'trainer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const trainerIds = uniqueIds(req.body.trainerIds);
+  const invalidTrainers = await findInvalidMembers(trainerIds, 'trainer');
+  if (invalidTrainers.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some trainers were not found',
+      data: { invalidTrainers }
+    });
+  }
+
+  const batch = await Batch.findByIdAndUpdate(
+    req.params.id,
+    { $addToSet: { trainers: { $each: trainerIds } } },
+    { new: true }
+  ).populate('trainers', MEMBER_FIELDS);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Trainers added successfully',
+    data: batch.trainers
+  });
+}));
+
+/**
+ * @route   DELETE /api/batches/:id/trainers
+ * @desc    Remove trainers from a batch
+ * @access  Private (Admin, Super Admin)
+ */
+router.delete('/:id/trainers', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  ...idListValidation('trainerIds', 'trainer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findByIdAndUpdate(
+    req.params.id,
+    { $pull: { trainers: { $in: uniqueIds(req.body.trainerIds) } } },
+    { new: true }
+  ).populate('trainers', MEMBER_FIELDS);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Trainers removed successfully',
+    data: batch.trainers
+  });
+}));
+
+/**
+ * @route   POST /api/batches/:id/students
+ * @desc    Add students to an active batch, up to its maxStudents. Students that are in
+ *          another active batch must be transferred instead.
+ * @access  Private (Admin, Super Admin)
+ */
+router.post('/:id/students', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  ...idListValidation('studentIds', 'student')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findById(req.params.id).select('code isActive maxStudents students');
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+  if (!batch.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Students cannot be added to an archived batch'
+    });
+  }
+
+  const studentIds = uniqueIds(req.body.studentIds);
+  const invalidStudents = await findInvalidMembers(studentIds, 'student');
+  if (invalidStudents.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some students were not found',
+      data: { invalidStudents }
+    });
+  }
+
+  const conflicts = await findStudentsInOtherBatches(studentIds, batch._id);
+  if (conflicts.length) {
+    return res.status(409).json({
+      success: false,
+      message: 'Some students are in another active batch and must be transferred',
+      data: { conflicts }
+    });
+  }
+
+  if (!await addStudentsWithinCapacity(batch._id, studentIds)) {
+    return sendCapacityError(res, batch);
+  }
+
+  const added = studentIds.filter(id => !batch.isStudent(id));
+  res.json({
+    success: true,
+    message: `${added.length} student(s) added successfully`,
+    data: {
+      added,
+      studentCount: new Set([...batch.students.map(String), ...studentIds]).size,
+      maxStudents: batch.maxStudents
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/batches/:id/students
+ * @desc    Remove students from a batch. They are kept in formerStudents with the reason.
+ * @access  Private (Admin, Super Admin)
+ */
+router.delete('/:id/students', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  ...idListValidation('studentIds', 'student'),
+  check('reason', 'Reason must be a string').optional().isString().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const batch = await Batch.findById(req.params.id).select('students');
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  const removed = uniqueIds(req.body.studentIds).filter(id => batch.isStudent(id));
+  if (removed.length) {
+    const leftAt = new Date();
+    await Batch.updateOne(
+      { _id: batch._id },
+      {
+        $pull: { students: { $in: removed } },
+        $push: {
+          formerStudents: {
+            $each: removed.map(student => ({ student, leftAt, reason: req.body.reason, changedBy: req.user._id }))
+          }
+        }
+      }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: `${removed.length} student(s) removed successfully`,
+    data: { removed }
+  });
+}));
+
+/**
+ * @route   POST /api/batches/:id/students/:studentId/transfer
+ * @desc    Move a student to another active batch. The old batch keeps them in
+ *          formerStudents; attendance, submissions and reports are not touched.
+ * @access  Private (Admin, Super Admin)
+ */
+router.post('/:id/students/:studentId/transfer', [
+  auth,
+  requirePermission('batches:manage'),
+  check('id', 'Invalid batch ID').isMongoId(),
+  check('studentId', 'Invalid student ID').isMongoId(),
+  check('toBatchId', 'Invalid target batch ID').isMongoId(),
+  check('reason', 'Reason must be a string').optional().isString().trim().isLength({ max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { id, studentId } = req.params;
+  const { toBatchId, reason } = req.body;
+
+  if (id === toBatchId) {
+    return res.status(400).json({
+      success: false,
+      message: 'The student is already in this batch'
+    });
+  }
+
+  const [source, target] = await Promise.all([
+    Batch.findOne({ _id: id, students: studentId }).select('code'),
+    Batch.findById(toBatchId).select('code isActive maxStudents students')
+  ]);
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      message: 'Student not found in this batch'
+    });
+  }
+  if (!target || !target.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Target batch not found or archived'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    await Batch.updateOne(
+      { _id: source._id },
+      {
+        $pull: { students: studentId },
+        $push: {
+          formerStudents: { student: studentId, transferredTo: target._id, reason, changedBy: req.user._id }
+        }
+      },
+      { session }
+    );
+
+    if (!await addStudentsWithinCapacity(target._id, [studentId], session)) {
+      await session.abortTransaction();
+      return sendCapacityError(res, target);
+    }
+
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  res.json({
+    success: true,
+    message: `Student transferred from ${source.code} to ${target.code}`,
+    data: { student: studentId, from: source._id, to: target._id }
+  });
+}));
+
+module.exports = router;
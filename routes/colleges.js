@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const { College, User } = require('../models');
+
+// Fields that can be set through the API
+const EDITABLE_FIELDS = ['name', 'code', 'address', 'contactEmail', 'isActive', 'settings'];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const collegeValidation = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    field('name', 'College name is required').isString().trim().notEmpty(),
+    field('code', 'Code can only contain letters, numbers, dashes and underscores').matches(/^[A-Za-z0-9_-]+$/),
+    check('contactEmail', 'Please include a valid email').optional().isEmail(),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+    check('settings.emailVerificationPolicy', 'Invalid email verification policy')
+      .optional({ nullable: true })
+      .isIn(College.schema.path('settings.emailVerificationPolicy').enumValues),
+    check('settings.semesterBreakdown', 'semesterBreakdown must be a boolean').optional().isBoolean()
+  ];
+};
+
+const sendDuplicateError = res => res.status(400).json({
+  success: false,
+  message: 'A college with this name or code already exists'
+});
+
+/**
+ * @route   GET /api/colleges
+ * @desc    List colleges with their user counts
+ * @access  Private (Super Admin)
+ */
+router.get('/', auth, requirePermission('colleges:manage'), asyncHandler(async (req, res) => {
+  const [colleges, userCounts] = await Promise.all([
+    College.find().sort({ name: 1 }).lean(),
+    User.aggregate([
+      { $match: { college: { $ne: null } } },
+      { $group: { _id: '$college', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countByCollege = new Map(userCounts.map(c => [c._id.toString(), c.count]));
+
+  res.json({
+    success: true,
+    data: colleges.map(college => ({
+      ...college,
+      userCount: countByCollege.get(college._id.toString()) || 0
+    }))
+  });
+}));
+
+/**
+ * @route   GET /api/colleges/:id
+ * @desc    Get a college
+ * @access  Private (Super Admin)
+ */
+router.get('/:id', [
+  auth,
+  requirePermission('colleges:manage'),
+  check('id', 'Invalid college ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const college = await College.findById(req.params.id).lean();
+  if (!college) {
+    return res.status(404).json({
+      success: false,
+      message: 'College not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: college
+  });
+}));
+
+/**
+ * @route   POST /api/colleges
+ * @desc    Create a college
+ * @access  Private (Super Admin)
+ */
+router.post('/', [
+  auth,
+  requirePermission('colleges:manage'),
+  ...collegeValidation()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const college = await College.create({
+      ...pickEditable(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'College created successfully',
+      data: college
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendDuplicateError(res);
+    }
+    throw err;
+  }
+}));
+
+/**
+ * @route   PUT /api/colleges/:id
+ * @desc    Update a college. Deactivating it stops its users from signing in.
+ * @access  Private (Super Admin)
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('colleges:manage'),
+  check('id', 'Invalid college ID').isMongoId(),
+  ...collegeValidation(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const college = await College.findById(req.params.id);
+  if (!college) {
+    return res.status(404).json({
+      success: false,
+      message: 'College not found'
+    });
+  }
+
+  const { settings, ...fields } = pickEditable(req.body);
+  college.set(fields);
+  if (settings) {
+    Object.keys(settings).forEach(key => college.set(`settings.${key}`, settings[key]));
+  }
+
+  try {
+    await college.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      return sendDuplicateError(res);
+    }
+    throw err;
+  }
+
+  res.json({
+    success: true,
+    message: 'College updated successfully',
+    data: college
+  });
+}));
+
+module.exports = router;
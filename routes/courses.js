@@ -1,6 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Course = require('../models/Course');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const {
+  ENROLLED_STATUSES,
+  findEnrollment,
+  getWaitlist,
+  promoteWaitlisted,
+  requestEnrollment,
+  reviewEnrollment,
+  dropEnrollment
+} = require('../utils/enrollment');
+const { recalculateCourseProgress, touchLastAccessed, markMaterialViewed } = require('../utils/courseProgress');
+const {
+  detectFileType,
+  createUpload,
+  handleUploadErrors,
+  privateFileKey,
+  resolvePrivateFile,
+  removeUploadedFile
+} = require('../utils/fileUpload');
+const { preserveTenant } = require('../utils/tenancy');
+const { validateSchedule, findScheduleConflicts } = require('../utils/timetable');
+const { getGradebookSettings, validateGradebookSettings, buildGradebook } = require('../utils/gradebook');
 const router = express.Router();
 
 // Get all courses (with filters)
@@ -12,14 +35,14 @@ router.get('/', auth, async (req, res) => {
     if (status) filter.status = status;
     if (instructor) filter.instructor = instructor;
 
-    // If student, only show enrolled courses
+    // If student, only show courses they enrolled in or requested
     if (req.user.role === 'student') {
-      filter.students = req.user._id;
+      filter['students.student'] = req.user._id;
     }
 
     const courses = await Course.find(filter)
       .populate('instructor', 'username email')
-      .populate('students', 'username email');
+      .populate('students.student', 'username email');
     
     res.json(courses);
   } catch (error) {
@@ -27,14 +50,48 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Fields that can be set through the API. Enrollments and materials have their own
+// routes, which apply the enrollment rules and keep uploaded files in the course's folder.
+const EDITABLE_FIELDS = [
+  'batchId', 'batchName', 'title', 'description', 'instructor', 'startDate', 'endDate', 'schedule',
+  'progressWeights', 'gradebook', 'capacity', 'requiresApproval', 'isActive', 'status'
+];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Fields that decide when and with whom a course meets
+const SCHEDULE_FIELDS = ['schedule', 'instructor', 'batchId', 'startDate', 'endDate', 'isActive', 'status'];
+
+// Check the schedule format and look for clashes with the instructor's or batch's other
+// courses. Answers the request and returns true if the course cannot be saved.
+const sendScheduleProblems = async (res, course, { validate = true } = {}) => {
+  const errors = validate ? validateSchedule(course.schedule) : [];
+  if (errors.length) {
+    res.status(400).json({ message: 'Invalid schedule', errors });
+    return true;
+  }
+
+  const conflicts = await findScheduleConflicts(course);
+  if (conflicts.length) {
+    res.status(409).json({ message: 'Schedule clashes with other courses', conflicts });
+    return true;
+  }
+  return false;
+};
+
 // Create new course (faculty/admin only)
-router.post('/', auth, authorize('faculty', 'admin'), async (req, res) => {
+router.post('/', auth, requirePermission('courses:create'), async (req, res) => {
   try {
     const course = new Course({
-      ...req.body,
+      ...pickEditable(req.body),
       instructor: req.user._id
     });
 
+    if (await sendScheduleProblems(res, course)) return;
+
     await course.save();
     res.status(201).json(course);
   } catch (error) {
@@ -47,12 +104,16 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('instructor', 'username email')
-      .populate('students', 'username email');
+      .populate('students.student', 'username email');
     
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    if (req.user.role === 'student') {
+      await touchLastAccessed(course._id, req.user._id);
+    }
+
     res.json(course);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -60,7 +121,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Update course (instructor or admin only)
-router.put('/:id', auth, authorize('faculty', 'admin'), async (req, res) => {
+router.put('/:id', auth, requirePermission('courses:update'), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -69,20 +130,54 @@ router.put('/:id', auth, authorize('faculty', 'admin'), async (req, res) => {
     }
 
     // Check if user is instructor or admin
-    if (req.user.role !== 'admin' && course.instructor.toString() !== req.user._id.toString()) {
+    if (!hasPermission(req.user, 'courses:update-any') && course.instructor.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    Object.assign(course, req.body);
+    const gradebookErrors = req.body.gradebook ? validateGradebookSettings(req.body.gradebook) : [];
+    if (gradebookErrors.length) {
+      return res.status(400).json({ message: 'Invalid gradebook settings', errors: gradebookErrors });
+    }
+
+    Object.assign(course, pickEditable(req.body));
+
+    // Schedules saved before validation existed are only checked once they are edited
+    if (
+      SCHEDULE_FIELDS.some(field => req.body[field] !== undefined) &&
+      await sendScheduleProblems(res, course, { validate: req.body.schedule !== undefined })
+    ) return;
+
     await course.save();
+
+    // A larger capacity frees seats for the waitlist
+    if (req.body.capacity !== undefined) {
+      await promoteWaitlisted(course._id);
+    }
+    if (req.body.progressWeights !== undefined) {
+      await recalculateCourseProgress(course._id);
+    }
     res.json(course);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Enroll in course (student only)
-router.post('/:id/enroll', auth, authorize('student'), async (req, res) => {
+// Check if user is the instructor or may manage any course
+const canManageCourse = (user, course) =>
+  hasPermission(user, 'courses:update-any') || course.instructor.toString() === user._id.toString();
+
+// Errors raised by the enrollment rules carry their own status code
+const sendEnrollmentError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error('Enrollment error:', error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Request enrollment in course (student only). Depending on the course, the request
+// waits for approval, joins the waitlist or gets a seat right away.
+router.post('/:id/enroll', auth, requirePermission('courses:enroll'), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -90,20 +185,66 @@ router.post('/:id/enroll', auth, authorize('student'), async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (course.students.includes(req.user._id)) {
-      return res.status(400).json({ message: 'Already enrolled' });
+    const status = await requestEnrollment(course, req.user._id);
+    const messages = {
+      pending: 'Enrollment requested, waiting for approval',
+      waitlisted: 'Course is full, you have been added to the waitlist',
+      active: 'Enrolled successfully'
+    };
+    res.json({ message: messages[status], status });
+  } catch (error) {
+    sendEnrollmentError(res, error);
+  }
+});
+
+// Drop a course or withdraw an enrollment request (student only)
+router.post('/:id/drop', auth, requirePermission('courses:enroll'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
     }
 
-    course.students.push(req.user._id);
-    await course.save();
-    res.json({ message: 'Enrolled successfully' });
+    await dropEnrollment(course, req.user._id);
+    res.json({ message: 'Course dropped successfully', status: 'dropped' });
+  } catch (error) {
+    sendEnrollmentError(res, error);
+  }
+});
+
+// Get enrollments of a course, with the waitlist in order (instructor or admin only)
+router.get('/:id/enrollments', auth, requirePermission('courses:enrollments'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('title instructor capacity requiresApproval students')
+      .populate('students.student', 'username firstName lastName email');
+    
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const { status } = req.query;
+    const enrollments = status ? course.students.filter(e => e.status === status) : course.students;
+
+    res.json({
+      capacity: course.capacity || null,
+      requiresApproval: course.requiresApproval,
+      active: course.students.filter(e => e.status === 'active').length,
+      enrollments,
+      waitlist: getWaitlist(course).map((e, index) => ({ position: index + 1, ...e.toObject() }))
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add course material (instructor only)
-router.post('/:id/materials', auth, authorize('faculty'), async (req, res) => {
+// Approve or reject an enrollment request (instructor or admin only)
+router.put('/:id/enrollments/:studentId/:decision(approve|reject)', auth, requirePermission('courses:enrollments'), async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     
@@ -111,13 +252,299 @@ router.post('/:id/materials', auth, authorize('faculty'), async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (course.instructor.toString() !== req.user._id.toString()) {
+    if (!canManageCourse(req.user, course)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const approve = req.params.decision === 'approve';
+    const status = await reviewEnrollment(course, req.params.studentId, approve, req.user._id);
+    res.json({
+      message: approve ? `Enrollment approved, student is ${status}` : 'Enrollment rejected',
+      status
+    });
+  } catch (error) {
+    sendEnrollmentError(res, error);
+  }
+});
+
+// Material files are stored privately per course and only served by the download route
+const MATERIAL_KINDS = ['document', 'video'];
+const uploadMaterialFile = handleUploadErrors(createUpload(req => `courses/${req.params.id}`, {
+  kinds: MATERIAL_KINDS,
+  maxFileSize: 200 * 1024 * 1024, // 200MB, videos included
+  isPrivate: true
+}).single('file'));
+
+// Load the course and check the user teaches it, before any file is stored
+const loadManagedCourse = async (req, res, next) => {
+  try {
+    const course = mongoose.isValidObjectId(req.params.id) && await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const isLink = url => typeof url === 'string' && /^https?:\/\/\S+$/i.test(url);
+
+// Resolve the stored file of a material; only files in the course's own folder are used
+const materialFilePath = (course, material) =>
+  material.file && material.file.key ? resolvePrivateFile(material.file.key, `courses/${course._id}`) : null;
+
+// Describe an uploaded file on its material
+const attachFile = (course, material, file) => {
+  material.type = detectFileType(file, MATERIAL_KINDS);
+  material.url = `/api/courses/${course._id}/materials/${material._id}/download`;
+  material.file = {
+    key: privateFileKey(file),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size
+  };
+};
+
+// Add course material (instructor only). Send a file as multipart "file", or a link
+// as { title, url }.
+router.post('/:id/materials', auth, requirePermission('courses:materials'), loadManagedCourse, preserveTenant(uploadMaterialFile), async (req, res) => {
+  try {
+    const course = req.course;
+    const { title, description, url } = req.body;
+
+    if (!req.file && !isLink(url)) {
+      return res.status(400).json({ message: 'Please upload a file or provide a link url' });
+    }
+    if (!req.file && !title) {
+      return res.status(400).json({ message: 'Please provide a title for the link' });
+    }
+
+    course.materials.push({
+      title: title || (req.file && req.file.originalname),
+      description,
+      uploadedBy: req.user._id
+    });
+    const material = course.materials[course.materials.length - 1];
+    if (req.file) {
+      attachFile(course, material, req.file);
+    } else {
+      material.type = 'link';
+      material.url = url;
+    }
+
+    await course.save();
+
+    // Everyone has one more material to go through
+    await recalculateCourseProgress(course._id);
+    res.status(201).json(material);
+  } catch (error) {
+    if (req.file) await removeUploadedFile(req.file.path).catch(() => {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder course materials (instructor only). Send every material ID in the new order.
+router.put('/:id/materials/reorder', auth, requirePermission('courses:materials'), loadManagedCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const { order } = req.body;
+    const currentIds = course.materials.map(material => material._id.toString());
+
+    if (
+      !Array.isArray(order) ||
+      order.length !== currentIds.length ||
+      new Set(order.map(String)).size !== order.length ||
+      !order.every(id => currentIds.includes(String(id)))
+    ) {
+      return res.status(400).json({ message: 'Order must list every material of the course once' });
+    }
+
+    const byId = new Map(course.materials.map(material => [material._id.toString(), material]));
+    course.materials = order.map(id => byId.get(String(id)).toObject());
+    await course.save();
+
+    res.json(course.materials);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit course material (instructor only). A new multipart "file" replaces the stored one.
+router.put('/:id/materials/:materialId', auth, requirePermission('courses:materials'), loadManagedCourse, preserveTenant(uploadMaterialFile), async (req, res) => {
+  let replacedFile;
+  try {
+    const course = req.course;
+    const material = course.materials.id(req.params.materialId);
+
+    if (!material) {
+      if (req.file) await removeUploadedFile(req.file.path);
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    const { title, description, url } = req.body;
+    if (url !== undefined && (req.file || material.type !== 'link' || !isLink(url))) {
+      if (req.file) await removeUploadedFile(req.file.path);
+      return res.status(400).json({ message: 'Only links can be given a new valid url' });
+    }
+
+    if (title) material.title = title;
+    if (description !== undefined) material.description = description;
+    if (url !== undefined) material.url = url;
+    if (req.file) {
+      replacedFile = materialFilePath(course, material);
+      attachFile(course, material, req.file);
+    }
+    material.updatedAt = new Date();
+
+    await course.save();
+
+    if (replacedFile) await removeUploadedFile(replacedFile);
+    res.json(material);
+  } catch (error) {
+    if (req.file) await removeUploadedFile(req.file.path).catch(() => {});
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete course material and its file (instructor only)
+router.delete('/:id/materials/:materialId', auth, requirePermission('courses:materials'), loadManagedCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const material = course.materials.id(req.params.materialId);
+
+    if (!material) {
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    const filePath = materialFilePath(course, material);
+    material.deleteOne();
+    await course.save();
+
+    if (filePath) await removeUploadedFile(filePath);
+
+    // One material less to go through
+    await recalculateCourseProgress(course._id);
+    res.json({ message: 'Material deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the file of a course material (enrolled students and instructors only)
+router.get('/:id/materials/:materialId/download', auth, async (req, res) => {
+  try {
+    const course = mongoose.isValidObjectId(req.params.id) &&
+      await Course.findById(req.params.id).select('instructor students materials');
+    const material = course && course.materials.id(req.params.materialId);
+
+    if (!material || !material.file || !material.file.key) {
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    const enrollment = findEnrollment(course, req.user._id);
+    const enrolled = enrollment && ENROLLED_STATUSES.includes(enrollment.status);
+    if (!enrolled && !canManageCourse(req.user, course)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    course.materials.push(req.body);
+    const filePath = materialFilePath(course, material);
+    if (!filePath) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.download(filePath, material.file.originalName, err => {
+      if (err && !res.headersSent) {
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({
+          message: err.code === 'ENOENT' ? 'File not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a course material as viewed (enrolled student only)
+router.post('/:id/materials/:materialId/viewed', auth, requirePermission('courses:enroll'), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('materials');
+    
+    if (!course || !course.materials.id(req.params.materialId)) {
+      return res.status(404).json({ message: 'Material not found' });
+    }
+
+    const progress = await markMaterialViewed(course._id, req.user._id, req.params.materialId);
+    if (progress === null) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    res.json({ message: 'Material marked as viewed', progress });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the gradebook of a course: every enrolled student's scores per category, course
+// percentage and letter grade (instructor or admin only)
+router.get('/:id/gradebook', auth, requirePermission('courses:gradebook'), loadManagedCourse, async (req, res) => {
+  try {
+    res.json(await buildGradebook(req.course));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the gradebook categories and letter scale (instructor or admin only). Send
+// { categories: [{ key, name, weight, dropLowest }], letterScale: [{ letter, minPercent }] };
+// a category key is an assignment category, or "attendance".
+router.put('/:id/gradebook', auth, requirePermission('courses:gradebook'), loadManagedCourse, async (req, res) => {
+  try {
+    const { categories, letterScale } = req.body;
+    const errors = validateGradebookSettings({ categories, letterScale });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid gradebook settings', errors });
+    }
+
+    const course = req.course;
+    if (categories !== undefined) course.set('gradebook.categories', categories);
+    if (letterScale !== undefined) course.set('gradebook.letterScale', letterScale);
     await course.save();
-    res.status(201).json(course.materials[course.materials.length - 1]);
+
+    res.json({ message: 'Gradebook settings saved', settings: getGradebookSettings(course) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the student's own standing in a course (enrolled student only)
+router.get('/:id/gradebook/me', auth, requirePermission('courses:enroll'), async (req, res) => {
+  try {
+    const course = mongoose.isValidObjectId(req.params.id) &&
+      await Course.findById(req.params.id).select('students gradebook');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const enrollment = findEnrollment(course, req.user._id);
+    if (!enrollment || !ENROLLED_STATUSES.includes(enrollment.status)) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    const { settings, students } = await buildGradebook(course, { studentId: req.user._id });
+    const { student, ...standing } = students[0];
+    res.json({ settings, ...standing });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
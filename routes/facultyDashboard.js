@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
 const { validate } = require('../middleware/validation');
 const logger = require('../utils/logger');
@@ -13,29 +13,17 @@ const Assignment = require('../models/Assignment');
 const User = require('../models/User');
 const Report = require('../models/Report');
 
-// Constants
-const ROLES = {
-  FACULTY: 'faculty',
-  SUPER_ADMIN: 'superadmin'
-};
-
 /**
  * @route   GET /api/faculty/dashboard/overview
  * @desc    Get college overview for faculty
  * @access  Private (Faculty, Super Admin)
  * @returns {Object} College overview with statistics and recent reports
  */
-const getCollegeOverviewValidation = [
-  auth,
-  authorize([ROLES.FACULTY, ROLES.SUPER_ADMIN])
-];
-
-// Faculty dashboard routes
 router.get(
   '/overview',
   [
     auth,
-    authorize([ROLES.FACULTY, ROLES.SUPER_ADMIN])
+    requirePermission('dashboard:faculty')
   ],
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -78,7 +66,7 @@ router.get(
             $lookup: {
               from: 'students',
               localField: 'student',
-              foreignField: '_id',
+              foreignField: 'user',
               as: 'studentInfo'
             }
           },
@@ -93,7 +81,7 @@ router.get(
         ]).read('secondary'),
         
         // Recent reports with pagination
-        Report.find({ 'student.college': faculty.college })
+        Report.find({ college: faculty.college })
           .sort({ createdAt: -1 })
           .limit(5)
           .populate('student', 'firstName lastName rollNumber')
@@ -160,14 +148,7 @@ router.get(
  * @desc    Get detailed performance for a specific student
  * @access  Private (Faculty)
  */
-router.get('/students/:studentId/performance', auth, asyncHandler(async (req, res) => {
-  if (!['faculty', 'superadmin'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized'
-    });
-  }
-
+router.get('/students/:studentId/performance', auth, requirePermission('dashboard:faculty'), asyncHandler(async (req, res) => {
   try {
     // Get the faculty's college
     const faculty = await User.findById(req.user._id).select('college');
@@ -185,6 +166,9 @@ router.get('/students/:studentId/performance', auth, asyncHandler(async (req, re
       });
     }
 
+    // Attendance and submissions belong to the student's user account, reports to the profile
+    const studentUserId = student.user ? student.user._id : null;
+
     // Get comprehensive student performance data
     const [
       attendanceSummary,
@@ -194,7 +178,7 @@ router.get('/students/:studentId/performance', auth, asyncHandler(async (req, re
     ] = await Promise.all([
       // Attendance summary
       Attendance.aggregate([
-        { $match: { student: student._id } },
+        { $match: { student: studentUserId } },
         {
           $group: {
             _id: '$status',
@@ -204,7 +188,7 @@ router.get('/students/:studentId/performance', auth, asyncHandler(async (req, re
       ]),
       
       // Recent attendance records
-      Attendance.find({ student: student._id })
+      Attendance.find({ student: studentUserId })
         .sort({ date: -1 })
         .limit(5)
         .populate('course', 'title')
@@ -213,7 +197,7 @@ router.get('/students/:studentId/performance', auth, asyncHandler(async (req, re
       // Assignment submissions
       Assignment.aggregate([
         { $unwind: '$submissions' },
-        { $match: { 'submissions.student': student._id } },
+        { $match: { 'submissions.student': studentUserId } },
         {
           $project: {
             _id: 1,
@@ -306,14 +290,7 @@ router.get('/students/:studentId/performance', auth, asyncHandler(async (req, re
  * @desc    Get performance metrics by department
  * @access  Private (Faculty)
  */
-router.get('/departments/:department/performance', auth, asyncHandler(async (req, res) => {
-  if (!['faculty', 'superadmin'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized'
-    });
-  }
-
+router.get('/departments/:department/performance', auth, requirePermission('dashboard:faculty'), asyncHandler(async (req, res) => {
   try {
     const { department } = req.params;
     const { startDate, endDate } = req.query;
@@ -321,9 +298,8 @@ router.get('/departments/:department/performance', auth, asyncHandler(async (req
     // Get the faculty's college
     const faculty = await User.findById(req.user._id).select('college');
     
-    if (faculty.college === 'AITM') {
-      // Special handling for AITM
-      return getAITMDepartmentPerformance(res, department, faculty.college, startDate, endDate);
+    if (req.college.settings && req.college.settings.semesterBreakdown) {
+      return getSemesterWiseDepartmentPerformance(res, department, faculty.college, startDate, endDate);
     }
     
     // Build date range query
@@ -353,7 +329,7 @@ router.get('/departments/:department/performance', auth, asyncHandler(async (req
           $lookup: {
             from: 'students',
             localField: 'student',
-            foreignField: '_id',
+            foreignField: 'user',
             as: 'studentInfo'
           }
         },
@@ -373,7 +349,7 @@ router.get('/departments/:department/performance', auth, asyncHandler(async (req
         {
           $lookup: {
             from: 'attendances',
-            localField: '_id',
+            localField: 'user',
             foreignField: 'student',
             as: 'attendance'
           }
@@ -421,7 +397,7 @@ router.get('/departments/:department/performance', auth, asyncHandler(async (req
           $lookup: {
             from: 'students',
             localField: 'submissions.student',
-            foreignField: '_id',
+            foreignField: 'user',
             as: 'studentInfo'
           }
         },
@@ -515,8 +491,8 @@ router.get('/departments/:department/performance', auth, asyncHandler(async (req
   }
 }));
 
-// Special handling for AITM college
-async function getAITMDepartmentPerformance(res, department, college, startDate, endDate) {
+// Department performance with semester-wise breakdowns, for colleges with settings.semesterBreakdown
+async function getSemesterWiseDepartmentPerformance(res, department, college, startDate, endDate) {
   try {
     // Build date range query
     const dateQuery = {};
@@ -532,21 +508,20 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
       matchStage.date = dateQuery;
     }
 
-    // Get comprehensive department performance data for AITM
+    // Get comprehensive department performance data
     const [
       attendanceSummary,
       studentStats,
       assignmentStats,
-      reportStats,
-      // Additional AITM specific metrics can be added here
+      reportStats
     ] = await Promise.all([
-      // Attendance summary with AITM specific logic
+      // Attendance summary
       Attendance.aggregate([
         {
           $lookup: {
             from: 'students',
             localField: 'student',
-            foreignField: '_id',
+            foreignField: 'user',
             as: 'studentInfo'
           }
         },
@@ -560,13 +535,13 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
         }
       ]),
       
-      // Student statistics with AITM specific fields
+      // Student statistics with semesters
       Student.aggregate([
         { $match: { department, college } },
         {
           $lookup: {
             from: 'attendances',
-            localField: '_id',
+            localField: 'user',
             foreignField: 'student',
             as: 'attendance'
           }
@@ -610,14 +585,14 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
         { $sort: { semester: 1, rollNumber: 1 } }
       ]),
       
-      // Assignment statistics with AITM specific logic
+      // Assignment statistics by semester
       Assignment.aggregate([
         { $unwind: '$submissions' },
         {
           $lookup: {
             from: 'students',
             localField: 'submissions.student',
-            foreignField: '_id',
+            foreignField: 'user',
             as: 'studentInfo'
           }
         },
@@ -664,7 +639,7 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
         { $sort: { status: 1 } }
       ]),
       
-      // Report statistics with AITM specific logic
+      // Report statistics by semester
       Report.aggregate([
         {
           $lookup: {
@@ -714,7 +689,7 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
       ])
     ]);
 
-    // Calculate overall statistics for AITM
+    // Calculate overall statistics
     const totalStudents = studentStats.length;
     const totalAttendance = attendanceSummary.reduce((sum, item) => sum + item.count, 0);
     const presentAttendance = attendanceSummary.find(item => item._id === 'present')?.count || 0;
@@ -742,7 +717,7 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
       success: true,
       data: {
         department,
-        college: 'AITM', // Hardcoded for AITM
+        college,
         stats: {
           totalStudents,
           totalAttendance,
@@ -760,16 +735,10 @@ async function getAITMDepartmentPerformance(res, department, college, startDate,
         reports: reportStats,
         students: studentStats,
         semesterWise: semesterStats
-      },
-      // AITM specific additional data can be added here
-      aitmSpecific: {
-        // Add any AITM specific metrics or flags
-        isAITM: true,
-        lastUpdated: new Date()
       }
     });
   } catch (err) {
-    console.error('AITM department performance error:', err);
+    console.error('Semester-wise department performance error:', err);
     throw err; // Let the main error handler handle it
   }
 }
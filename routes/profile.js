@@ -1,6 +1,7 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 const router = express.Router();
 
 // Update user profile
@@ -33,7 +34,18 @@ router.put('/update', auth, async (req, res) => {
       }
     });
 
+    // Saving a new email address marks it unverified
+    const emailChanged = user.isModified('email');
     await user.save();
+
+    if (emailChanged && user.email) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({ message: 'Profile updated successfully', user });
   } catch (error) {
     console.error('Profile update error:', error);
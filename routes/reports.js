@@ -4,7 +4,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { preserveTenant } = require('../utils/tenancy');
 const Report = require('../models/Report');
 const Student = require('../models/Student');
 
@@ -125,7 +127,7 @@ router.get('/:id', auth, async (req, res) => {
     const student = await Student.findById(report.student);
     if (student.assignedFaculty.toString() !== req.user._id.toString() &&
         report.createdBy.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin') {
+        !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -138,7 +140,7 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/reports
 // @desc    Create a new report (for teachers/admins)
-router.post('/', [auth, upload.single('reportFile')], async (req, res) => {
+router.post('/', [auth, preserveTenant(upload.single('reportFile'))], async (req, res) => {
   try {
     const { student, title, description, semester, academicYear } = req.body;
 
@@ -148,7 +150,7 @@ router.post('/', [auth, upload.single('reportFile')], async (req, res) => {
     }
 
     // Only teachers and admins can create reports for students
-    if (req.user.role === 'student') {
+    if (!hasPermission(req.user, 'reports:create')) {
       return res.status(403).json({ message: 'Students cannot create reports for others' });
     }
 
@@ -159,7 +161,7 @@ router.post('/', [auth, upload.single('reportFile')], async (req, res) => {
     }
 
     // Check if the teacher is assigned to this student or is an admin
-    if (studentDoc.assignedFaculty.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (studentDoc.assignedFaculty.toString() !== req.user._id.toString() && !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({ message: 'Not authorized to create reports for this student' });
     }
 
@@ -197,13 +199,8 @@ router.post('/', [auth, upload.single('reportFile')], async (req, res) => {
 
 // @route   POST /api/reports/student
 // @desc    Submit a report (for students)
-router.post('/student', [auth, upload.single('reportFile')], async (req, res) => {
+router.post('/student', [auth, requirePermission('reports:submit'), requireVerifiedEmail, preserveTenant(upload.single('reportFile'))], async (req, res) => {
   try {
-    // Only students can submit their own reports
-    if (req.user.role !== 'student') {
-      return res.status(403).json({ message: 'Only students can submit reports using this endpoint' });
-    }
-
     const { title, description, semester, academicYear } = req.body;
 
     // Input validation
@@ -280,7 +277,7 @@ router.post('/:id/comments', [
     // Check if user is authorized to comment (trainer assigned to student or admin)
     const student = await Student.findById(report.student);
     if (student.assignedFaculty.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin') {
+        !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to comment on this report' 
@@ -342,7 +339,7 @@ router.get('/download/:id', auth, async (req, res) => {
     const student = await Student.findById(report.student);
     if (student.assignedFaculty.toString() !== req.user._id.toString() &&
         report.createdBy.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin') {
+        !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -375,7 +372,7 @@ router.get('/student/:studentId', auth, async (req, res) => {
 
     // Verify the trainer is assigned to this student or is an admin
     if (student.assignedFaculty._id.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin') {
+        !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view reports for this student'
@@ -451,7 +448,7 @@ router.patch('/:id/status', [
     const isAssignedTrainer = student.assignedFaculty && 
                             student.assignedFaculty.toString() === req.user._id.toString();
     
-    if (!isAssignedTrainer && req.user.role !== 'admin') {
+    if (!isAssignedTrainer && !hasPermission(req.user, 'reports:review-any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this report status'
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const { Rubric } = require('../models');
+const { hasPermission } = require('../utils/permissions');
+
+const EDITABLE_FIELDS = ['title', 'description', 'criteria'];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const rubricValidation = (optional = false) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+  return [
+    field('title', 'Title is required').isString().trim().notEmpty(),
+    check('description', 'Description must be a string').optional().isString(),
+    field('criteria', 'criteria must be a non-empty array').isArray({ min: 1, max: 50 }),
+    check('criteria.*.title', 'Every criterion needs a title').isString().trim().notEmpty(),
+    check('criteria.*.levels', 'Every criterion needs at least one level').isArray({ min: 1, max: 10 }),
+    check('criteria.*.levels.*.title', 'Every level needs a title').isString().trim().notEmpty(),
+    check('criteria.*.levels.*.points', 'Level points must be a number of at least 0').isFloat({ min: 0 })
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Rubrics can be changed by their author, or by anyone who may edit any course
+const canEditRubric = (user, rubric) =>
+  rubric.createdBy.toString() === user._id.toString() || hasPermission(user, 'courses:update-any');
+
+const findRubric = async (req, res) => {
+  const rubric = await Rubric.findById(req.params.id);
+  if (!rubric) {
+    res.status(404).json({
+      success: false,
+      message: 'Rubric not found'
+    });
+    return null;
+  }
+  return rubric;
+};
+
+/**
+ * @route   GET /api/rubrics
+ * @desc    List the college's rubrics; ?mine=true for the user's own, ?archived=true for archived ones
+ * @access  Private (rubrics:manage)
+ */
+router.get('/', auth, requirePermission('rubrics:manage'), asyncHandler(async (req, res) => {
+  const filter = { isArchived: req.query.archived === 'true' };
+  if (req.query.mine === 'true') filter.createdBy = req.user._id;
+
+  const rubrics = await Rubric.find(filter)
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ title: 1 });
+
+  res.json({
+    success: true,
+    count: rubrics.length,
+    data: rubrics
+  });
+}));
+
+/**
+ * @route   GET /api/rubrics/:id
+ * @desc    Get a rubric
+ * @access  Private (rubrics:manage)
+ */
+router.get('/:id', [
+  auth,
+  requirePermission('rubrics:manage'),
+  check('id', 'Invalid rubric ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rubric = await findRubric(req, res);
+  if (!rubric) return;
+
+  res.json({
+    success: true,
+    data: rubric
+  });
+}));
+
+/**
+ * @route   POST /api/rubrics
+ * @desc    Create a rubric with criteria and their levels
+ * @access  Private (rubrics:manage)
+ */
+router.post('/', [
+  auth,
+  requirePermission('rubrics:manage'),
+  ...rubricValidation()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rubric = await Rubric.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Rubric created successfully',
+    data: rubric
+  });
+}));
+
+/**
+ * @route   PUT /api/rubrics/:id
+ * @desc    Update a rubric. Assignments keep the copy they were given.
+ * @access  Private (Author, or users who may edit any course)
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('rubrics:manage'),
+  check('id', 'Invalid rubric ID').isMongoId(),
+  check('isArchived', 'isArchived must be a boolean').optional().isBoolean(),
+  ...rubricValidation(true)
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rubric = await findRubric(req, res);
+  if (!rubric) return;
+
+  if (!canEditRubric(req.user, rubric)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this rubric'
+    });
+  }
+
+  Object.assign(rubric, pickEditable(req.body));
+  if (req.body.isArchived !== undefined) rubric.isArchived = req.body.isArchived;
+  await rubric.save();
+
+  res.json({
+    success: true,
+    message: 'Rubric updated successfully',
+    data: rubric
+  });
+}));
+
+/**
+ * @route   DELETE /api/rubrics/:id
+ * @desc    Delete a rubric. Assignments keep the copy they were given.
+ * @access  Private (Author, or users who may edit any course)
+ */
+router.delete('/:id', [
+  auth,
+  requirePermission('rubrics:manage'),
+  check('id', 'Invalid rubric ID').isMongoId()
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rubric = await findRubric(req, res);
+  if (!rubric) return;
+
+  if (!canEditRubric(req.user, rubric)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this rubric'
+    });
+  }
+
+  await rubric.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Rubric deleted successfully'
+  });
+}));
+
+module.exports = router;
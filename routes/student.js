@@ -5,13 +5,26 @@ const fs = require('fs');
 const multer = require('multer');
 const mongoose = require('mongoose');
 const { check, validationResult, param, body } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { syncStudentProfile } = require('../utils/studentIdentity');
+const { softDeleteUser } = require('../utils/userLifecycle');
+const { preserveTenant } = require('../utils/tenancy');
+const { EXPORT_FORMATS, selectColumns, sendSpreadsheet } = require('../utils/spreadsheetExport');
 const Student = require('../models/Student');
 const User = require('../models/User');
 const Report = require('../models/Report');
 const Assignment = require('../models/Assignment');
 const asyncHandler = require('../middleware/async');
 
+// Columns that can be exported with GET /api/student/export
+const STUDENT_EXPORT_COLUMNS = [
+  'rollNumber', 'firstName', 'lastName', 'email', 'department', 'semester', 'academicYear', 'createdAt',
+  'assignedFaculty.firstName', 'assignedFaculty.lastName', 'assignedFaculty.email',
+  'user.username', 'user.isActive', 'user.studentInfo.phoneNumber', 'user.studentInfo.gender'
+];
+const DEFAULT_STUDENT_EXPORT_COLUMNS = ['rollNumber', 'firstName', 'lastName', 'email', 'department', 'semester', 'academicYear'];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -145,7 +158,7 @@ router.get('/profile/:id',
  */
 router.put('/profile/:id',
   auth,
-  upload,
+  preserveTenant(upload),
   [
     param('id', 'Please include a valid student ID').isMongoId(),
     body('firstName', 'First name is required').optional().trim().escape(),
@@ -167,7 +180,7 @@ router.put('/profile/:id',
   const userId = req.params.id;
   
   // Check authorization
-  if (req.user.role !== 'admin' && req.user._id.toString() !== userId) {
+  if (!hasPermission(req.user, 'users:update') && req.user._id.toString() !== userId) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this profile'
@@ -230,27 +243,8 @@ router.put('/profile/:id',
     });
   }
 
-  // Also update in Student collection if exists
-  if (user.studentInfo?.rollNumber) {
-    const studentUpdate = {
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      department: user.studentInfo?.branch,
-      semester: user.studentInfo?.semester,
-      academicYear: user.studentInfo?.academicYear,
-      phoneNumber: user.studentInfo?.phoneNumber,
-      gender: user.studentInfo?.gender,
-      dateOfBirth: user.studentInfo?.dateOfBirth,
-      address: user.studentInfo?.address
-    };
-
-    await Student.findOneAndUpdate(
-      { rollNumber: user.studentInfo.rollNumber },
-      { $set: studentUpdate },
-      { new: true, runValidators: true }
-    );
-  }
+  // Keep the student's academic record in step
+  await syncStudentProfile(user);
 
   res.status(200).json({
     success: true,
@@ -264,14 +258,8 @@ router.put('/profile/:id',
 // @access  Private (Faculty, Admin)
 router.get('/all', 
   auth,
+  requirePermission('students:read'),
   async (req, res) => {
-    // Check if user is authorized
-    if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Not authorized to view all students' 
-      });
-    }
   try {
 
     const students = await User.find({ role: 'student' })
@@ -288,6 +276,48 @@ router.get('/all',
   }
 });
 
+// @route   GET /api/student/export
+// @desc    Export student records as XLSX or CSV, optionally filtered by department and semester.
+//          Takes format (xlsx or csv) and columns (comma-separated, e.g. assignedFaculty.email).
+// @access  Private (Faculty, Admin)
+router.get('/export',
+  [
+    auth,
+    requirePermission('students:read'),
+    check('format', 'Format must be xlsx or csv').optional().isIn(Object.keys(EXPORT_FORMATS)),
+    check('semester', 'Semester must be between 1 and 8').optional().isInt({ min: 1, max: 8 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { columns, unknown } = selectColumns(req.query.columns, STUDENT_EXPORT_COLUMNS, DEFAULT_STUDENT_EXPORT_COLUMNS);
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(', ')}`,
+        allowedColumns: STUDENT_EXPORT_COLUMNS
+      });
+    }
+
+    const filter = {};
+    if (req.query.department) filter.department = req.query.department;
+    if (req.query.semester) filter.semester = parseInt(req.query.semester, 10);
+
+    // Only join the accounts the requested columns need
+    const populated = path => columns.filter(c => c.startsWith(`${path}.`)).map(c => c.slice(path.length + 1));
+    let query = Student.find(filter).sort({ rollNumber: 1 }).lean();
+    ['assignedFaculty', 'user'].forEach(path => {
+      const fields = populated(path);
+      if (fields.length) query = query.populate(path, fields.join(' '));
+    });
+
+    await sendSpreadsheet(res, { rows: query.cursor(), columns, format: req.query.format || 'xlsx', name: 'students' });
+  })
+);
+
 // @route   GET /api/student/roll/:rollNumber
 // @desc    Get student by roll number
 // @access  Private (Faculty, Admin, Student - own record)
@@ -342,23 +372,21 @@ router.get('/performance/:studentId',
         });
       }
 
-    // Get student's reports
-    const reports = await Report.find({ student: studentId })
-      .select('title semester academicYear status comments')
-      .sort({ academicYear: 1, semester: 1 });
-
     // Get student's basic info
     const student = await User.findById(studentId)
-      .select('firstName lastName studentInfo')
-      .populate({
-        path: 'studentInfo',
-        select: 'rollNumber branch semester'
-      });
+      .select('firstName lastName studentInfo studentProfile');
 
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    // Reports are filed against the student's academic record
+    const reports = student.studentProfile
+      ? await Report.find({ student: student.studentProfile })
+        .select('title semester academicYear status comments')
+        .sort({ academicYear: 1, semester: 1 })
+      : [];
+
     // Calculate performance metrics
     const performance = {
       student: {
@@ -400,6 +428,7 @@ router.get('/performance/:studentId',
 router.put('/academic/:studentId', 
   [
     auth,
+    requirePermission('students:update'),
     check('semester', 'Semester must be between 1 and 8').isInt({ min: 1, max: 8 }),
     check('branch', 'Branch is required').notEmpty(),
     check('academicYear', 'Academic year is required').notEmpty()
@@ -411,11 +440,6 @@ router.put('/academic/:studentId',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      // Check if user is authorized
-      if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
-        return res.status(403).json({ message: 'Not authorized to update academic details' });
-      }
-
       const { studentId } = req.params;
       const { semester, branch, academicYear } = req.body;
 
@@ -436,19 +460,8 @@ router.put('/academic/:studentId',
         return res.status(404).json({ message: 'Student not found' });
       }
 
-      // Also update in Student model if exists
-      if (updatedUser.studentInfo?.rollNumber) {
-        await Student.findOneAndUpdate(
-          { rollNumber: updatedUser.studentInfo.rollNumber },
-          {
-            $set: {
-              semester,
-              department: branch,
-              academicYear
-            }
-          }
-        );
-      }
+      // Keep the student's academic record in step
+      await syncStudentProfile(updatedUser);
 
       res.json({
         message: 'Academic details updated successfully',
@@ -462,35 +475,22 @@ router.put('/academic/:studentId',
 );
 
 // @route   DELETE /api/student/:studentId
-// @desc    Delete a student account (admin only)
+// @desc    Soft delete a student account (admin only)
 // @access  Private (Admin)
 router.delete('/:studentId', 
   auth,
+  requirePermission('students:delete'),
   async (req, res) => {
     try {
-      // Check if user is admin
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ 
-          success: false,
-          message: 'Not authorized to delete accounts' 
-        });
-      }
-
     const { studentId } = req.params;
 
-    // Find and delete user
-    const deletedUser = await User.findByIdAndDelete(studentId);
-    if (!deletedUser) {
+    const user = await User.findOne({ _id: studentId, role: 'student' });
+    if (!user) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    // Also delete from Student model if exists
-    if (deletedUser.studentInfo?.rollNumber) {
-      await Student.findOneAndDelete({ rollNumber: deletedUser.studentInfo.rollNumber });
-    }
-
-    // Optionally: Delete related reports, assignments, etc.
-    await Report.deleteMany({ student: studentId });
+    // The account and academic record are kept until the retention period ends
+    await softDeleteUser(user, req.user._id);
 
     res.json({ message: 'Student account deleted successfully' });
   } catch (error) {
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const { ENROLLED_STATUSES, findEnrollment, getWaitlist } = require('../utils/enrollment');
+const { visibleFilter, getDueDate } = require('../utils/assignmentLifecycle');
+
+/**
+ * @route   GET /api/student/dashboard
+ * @desc    Get the student's courses with their progress, open enrollment requests
+ *          and upcoming assignments
+ * @access  Private (Student)
+ */
+router.get('/', auth, requirePermission('dashboard:student'), asyncHandler(async (req, res) => {
+  try {
+    const studentId = req.user._id.toString();
+
+    const courses = await Course.find({ 'students.student': req.user._id })
+      .select('title batchName instructor startDate endDate status materials students')
+      .populate('instructor', 'firstName lastName email')
+      .sort({ startDate: -1 })
+      .lean();
+
+    const courseIds = courses.map(course => course._id);
+    const assignments = await Assignment.find({ course: { $in: courseIds }, ...visibleFilter() })
+      .select('title course dueDate totalPoints status extensions submissions.student submissions.status submissions.grade')
+      .lean();
+
+    const mySubmission = assignment => (assignment.submissions || [])
+      .find(submission => submission.student && submission.student.toString() === studentId);
+
+    const courseCards = courses.map(course => {
+      const enrollment = findEnrollment(course, studentId);
+      const courseAssignments = assignments.filter(a => a.course.toString() === course._id.toString());
+      const materialIds = new Set((course.materials || []).map(m => m._id.toString()));
+      const waitlistIndex = getWaitlist(course).findIndex(e => e.student.toString() === studentId);
+
+      return {
+        _id: course._id,
+        title: course.title,
+        batchName: course.batchName,
+        instructor: course.instructor,
+        startDate: course.startDate,
+        endDate: course.endDate,
+        status: course.status,
+        enrollment: {
+          status: enrollment.status,
+          progress: enrollment.progress || 0,
+          lastAccessed: enrollment.lastAccessed,
+          enrollmentDate: enrollment.enrollmentDate,
+          waitlistPosition: waitlistIndex >= 0 ? waitlistIndex + 1 : undefined
+        },
+        materials: {
+          viewed: (enrollment.completedMaterials || []).filter(id => materialIds.has(id.toString())).length,
+          total: materialIds.size
+        },
+        assignments: {
+          graded: courseAssignments.filter(a => {
+            const submission = mySubmission(a);
+            return submission && submission.status === 'graded';
+          }).length,
+          total: courseAssignments.length
+        }
+      };
+    });
+
+    const seated = courseCards.filter(c => ENROLLED_STATUSES.includes(c.enrollment.status));
+    const seatedIds = new Set(seated.map(c => c._id.toString()));
+    const now = new Date();
+
+    const upcomingAssignments = assignments
+      .filter(a => seatedIds.has(a.course.toString()) && a.status !== 'closed' && !mySubmission(a))
+      .map(a => ({
+        _id: a._id,
+        title: a.title,
+        course: a.course,
+        dueDate: getDueDate(a, studentId),
+        totalPoints: a.totalPoints
+      }))
+      .filter(a => a.dueDate >= now)
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .slice(0, 5);
+
+    res.json({
+      success: true,
+      data: {
+        stats: {
+          enrolledCourses: seated.length,
+          completedCourses: seated.filter(c => c.enrollment.progress >= 100).length,
+          averageProgress: seated.length
+            ? Math.round(seated.reduce((sum, c) => sum + c.enrollment.progress, 0) / seated.length * 100) / 100
+            : 0,
+          pendingRequests: courseCards.filter(c => c.enrollment.status === 'pending').length,
+          waitlisted: courseCards.filter(c => c.enrollment.status === 'waitlisted').length
+        },
+        courses: courseCards,
+        upcomingAssignments
+      }
+    });
+  } catch (err) {
+    console.error('Student dashboard error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}));
+
+module.exports = router;
@@ -1,32 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
 const {
   User,
-  Student,
   Course,
   Batch,
   Assignment,
   Attendance,
-  Report
+  Report,
+  LoginAttempt,
+  College,
+  AuditLog
 } = require('../models');
 const mongoose = require('mongoose');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { preservePermissionOverrides } = require('../utils/permissions');
+const { EXPORT_FORMATS, selectColumns, sendSpreadsheet } = require('../utils/spreadsheetExport');
+const { searchRegex } = require('../utils/search');
+const { softDeleteUser } = require('../utils/userLifecycle');
+
+// Batches with trainer, student and course counts, shared by the list and the export
+const batchStatsPipeline = () => [
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'trainers',
+      foreignField: '_id',
+      as: 'trainers'
+    }
+  },
+  {
+    $lookup: {
+      from: 'courses',
+      localField: '_id',
+      foreignField: 'batchId',
+      as: 'courses'
+    }
+  },
+  {
+    $project: {
+      name: 1,
+      code: 1,
+      startDate: 1,
+      endDate: 1,
+      isActive: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      trainerCount: { $size: '$trainers' },
+      studentCount: { $size: '$students' },
+      courseCount: { $size: '$courses' },
+      durationWeeks: {
+        $ceil: {
+          $divide: [
+            { $subtract: ['$endDate', '$startDate'] },
+            7 * 24 * 60 * 60 * 1000 // Convert ms to weeks
+          ]
+        }
+      }
+    }
+  },
+  { $sort: { createdAt: -1 } }
+];
+
+const BATCH_EXPORT_COLUMNS = [
+  'name', 'code', 'startDate', 'endDate', 'isActive', 'trainerCount', 'studentCount',
+  'courseCount', 'durationWeeks', 'createdAt', 'updatedAt'
+];
+const DEFAULT_BATCH_EXPORT_COLUMNS = ['name', 'code', 'startDate', 'endDate', 'isActive', 'trainerCount', 'studentCount', 'courseCount'];
 
 /**
  * @route   GET /api/super-admin/overview
  * @desc    Get system overview statistics
  * @access  Private (Super Admin)
  */
-router.get('/overview', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access super admin resources'
-    });
-  }
-
+router.get('/overview', auth, requirePermission('system:overview'), asyncHandler(async (req, res) => {
   try {
     const [
       usersCount,
@@ -123,19 +173,14 @@ router.get('/overview', auth, asyncHandler(async (req, res) => {
  */
 router.get('/users', [
   auth,
+  requirePermission('system:users'),
   check('page', 'Page number must be a positive integer').optional().isInt({ min: 1 }),
   check('limit', 'Limit must be a positive integer').optional().isInt({ min: 1, max: 100 }),
   check('role', 'Invalid role').optional().isIn(['student', 'trainer', 'faculty', 'admin']),
   check('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  check('college', 'Invalid college ID').optional().isMongoId(),
   check('search', 'Search query must be a string').optional().isString().trim()
 ], asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access user management'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -153,20 +198,21 @@ router.get('/users', [
     const filter = {};
     if (req.query.role) filter.role = req.query.role;
     if (req.query.isActive) filter.isActive = req.query.isActive === 'true';
+    if (req.query.college) filter.college = req.query.college;
     if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
+      const search = searchRegex(req.query.search);
       filter.$or = [
-        { firstName: searchRegex },
-        { lastName: searchRegex },
-        { email: searchRegex },
-        { rollNumber: searchRegex }
+        { firstName: search },
+        { lastName: search },
+        { email: search },
+        { rollNumber: search }
       ];
     }
 
     // Get users with pagination
     const [users, total] = await Promise.all([
       User.find(filter)
-        .select('-password -refreshToken')
+        .select('-password -refreshTokens')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -201,56 +247,9 @@ router.get('/users', [
  * @desc    Get all batches with statistics
  * @access  Private (Super Admin)
  */
-router.get('/batches', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access batch data'
-    });
-  }
-
+router.get('/batches', auth, requirePermission('system:overview'), asyncHandler(async (req, res) => {
   try {
-    const batches = await Batch.aggregate([
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'trainers',
-          foreignField: '_id',
-          as: 'trainers'
-        }
-      },
-      {
-        $lookup: {
-          from: 'courses',
-          localField: '_id',
-          foreignField: 'batchId',
-          as: 'courses'
-        }
-      },
-      {
-        $project: {
-          name: 1,
-          code: 1,
-          startDate: 1,
-          endDate: 1,
-          isActive: 1,
-          createdAt: 1,
-          updatedAt: 1,
-          trainerCount: { $size: '$trainers' },
-          studentCount: { $size: '$students' },
-          courseCount: { $size: '$courses' },
-          durationWeeks: {
-            $ceil: {
-              $divide: [
-                { $subtract: ['$endDate', '$startDate'] },
-                7 * 24 * 60 * 60 * 1000 // Convert ms to weeks
-              ]
-            }
-          }
-        }
-      },
-      { $sort: { createdAt: -1 } }
-    ]);
+    const batches = await Batch.aggregate(batchStatsPipeline());
 
     res.json({
       success: true,
@@ -267,18 +266,43 @@ router.get('/batches', auth, asyncHandler(async (req, res) => {
 }));
 
 /**
- * @route   GET /api/super-admin/system-health
- * @desc    Get system health and metrics
+ * @route   GET /api/super-admin/batches/export
+ * @desc    Export batches with their statistics as XLSX or CSV.
+ *          Takes format (xlsx or csv) and columns (comma-separated).
  * @access  Private (Super Admin)
  */
-router.get('/system-health', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
+router.get('/batches/export', [
+  auth,
+  requirePermission('system:overview'),
+  check('format', 'Format must be xlsx or csv').optional().isIn(Object.keys(EXPORT_FORMATS))
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'Not authorized to access system health'
+      errors: errors.array()
     });
   }
 
+  const { columns, unknown } = selectColumns(req.query.columns, BATCH_EXPORT_COLUMNS, DEFAULT_BATCH_EXPORT_COLUMNS);
+  if (unknown) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown columns: ${unknown.join(', ')}`,
+      allowedColumns: BATCH_EXPORT_COLUMNS
+    });
+  }
+
+  const rows = Batch.aggregate(batchStatsPipeline()).cursor();
+  await sendSpreadsheet(res, { rows, columns, format: req.query.format || 'xlsx', name: 'batches' });
+}));
+
+/**
+ * @route   GET /api/super-admin/system-health
+ * @desc    Get system health and metrics
+ * @access  Private (Super Admin)
+ */
+router.get('/system-health', auth, requirePermission('system:overview'), asyncHandler(async (req, res) => {
   try {
     // Get database stats
     const dbStats = await mongoose.connection.db.stats();
@@ -351,20 +375,15 @@ router.get('/system-health', auth, asyncHandler(async (req, res) => {
  */
 router.post('/users', [
   auth,
+  requirePermission('system:users'),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
   check('firstName', 'First name is required').notEmpty(),
   check('lastName', 'Last name is required').notEmpty(),
   check('role', 'Valid role is required').isIn(['admin', 'faculty', 'trainer']),
+  check('college', 'Valid college ID is required').isMongoId(),
   check('isActive', 'isActive must be a boolean').optional().isBoolean()
 ], asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to create users'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -374,10 +393,17 @@ router.post('/users', [
   }
 
   try {
-    const { email, password, firstName, lastName, role, isActive = true } = req.body;
+    const { email, password, firstName, lastName, role, college, isActive = true } = req.body;
+
+    if (!await College.exists({ _id: college })) {
+      return res.status(400).json({
+        success: false,
+        message: 'College not found'
+      });
+    }
 
     // Check if user exists
-    let user = await User.findOne({ email });
+    let user = await User.findOne({ email }).setOptions({ withDeleted: true });
     if (user) {
       return res.status(400).json({
         success: false,
@@ -392,16 +418,24 @@ router.post('/users', [
       firstName,
       lastName,
       role,
+      college,
       isActive,
       createdBy: req.user._id
     });
 
     await user.save();
 
+    // Ask the user to confirm their email address
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     // Return user without password
     user = user.toObject();
     delete user.password;
-    delete user.refreshToken;
+    delete user.refreshTokens;
 
     res.status(201).json({
       success: true,
@@ -418,6 +452,17 @@ router.post('/users', [
   }
 }));
 
+// Account fields a superadmin can change through PUT /api/super-admin/users/:userId.
+// Security state such as two-factor settings, sessions and lockouts has its own routes.
+const EDITABLE_USER_FIELDS = [
+  'email', 'password', 'firstName', 'lastName', 'role', 'college', 'isActive', 'studentInfo', 'trainerInfo', 'adminInfo'
+];
+
+const pickEditable = body => EDITABLE_USER_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
 /**
  * @route   PUT /api/super-admin/users/:userId
  * @desc    Update a user
@@ -425,20 +470,15 @@ router.post('/users', [
  */
 router.put('/users/:userId', [
   auth,
+  requirePermission('system:users'),
   check('email', 'Please include a valid email').optional().isEmail(),
   check('password', 'Password must be at least 6 characters').optional().isLength({ min: 6 }),
   check('firstName', 'First name is required').optional().notEmpty(),
   check('lastName', 'Last name is required').optional().notEmpty(),
   check('role', 'Valid role is required').optional().isIn(['admin', 'faculty', 'trainer']),
+  check('college', 'Invalid college ID').optional().isMongoId(),
   check('isActive', 'isActive must be a boolean').optional().isBoolean()
 ], asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to update users'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -449,7 +489,7 @@ router.put('/users/:userId', [
 
   try {
     const { userId } = req.params;
-    const updateFields = { ...req.body };
+    const updateFields = pickEditable(req.body);
 
     // Don't allow updating the superadmin
     if (userId === req.user._id.toString()) {
@@ -468,19 +508,38 @@ router.put('/users/:userId', [
       });
     }
 
-    // Update fields
-    if (updateFields.password) {
-      user.password = updateFields.password;
-      delete updateFields.password;
+    if (updateFields.college && !await College.exists({ _id: updateFields.college })) {
+      return res.status(400).json({
+        success: false,
+        message: 'College not found'
+      });
     }
 
-    Object.assign(user, updateFields);
+    // Update fields; the password is hashed when the user is saved
+    Object.assign(user, preservePermissionOverrides(user, updateFields));
+    if (updateFields.password) user.passwordChangedAt = new Date();
+    const emailChanged = user.isModified('email');
     await user.save();
 
+    // Deactivated users, and sessions started with the old password, must not keep
+    // using tokens issued earlier
+    if (updateFields.password || String(updateFields.isActive) === 'false') {
+      await revokeAllSessions(user._id);
+    }
+
+    // A new email address has to be verified again
+    if (emailChanged && user.email) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     // Return updated user without sensitive data
     user = user.toObject();
     delete user.password;
-    delete user.refreshToken;
+    delete user.refreshTokens;
 
     res.json({
       success: true,
@@ -499,123 +558,45 @@ router.put('/users/:userId', [
 
 /**
  * @route   DELETE /api/super-admin/users/:userId
- * @desc    Delete a user (admin, student, trainer, or faculty) with role-specific cleanup
+ * @desc    Soft delete a user (admin, student, trainer, or faculty). Role-specific cleanup
+ *          happens when the account is purged after the retention period.
  * @access  Private (Super Admin)
  */
-router.delete('/users/:userId', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to delete users'
-    });
-  }
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
+router.delete('/users/:userId', auth, requirePermission('system:users'), asyncHandler(async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Don't allow deleting yourself
     if (userId === req.user._id.toString()) {
-      await session.abortTransaction();
-      session.endSession();
       return res.status(400).json({
         success: false,
         message: 'Cannot delete your own account'
       });
     }
 
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
     // Find the user to be deleted
-    const user = await User.findById(userId).session(session);
+    const user = await User.findById(userId);
     if (!user) {
-      await session.abortTransaction();
-      session.endSession();
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // Role-specific cleanup
-    switch (user.role) {
-      case 'admin':
-        // Remove from any admin-related collections
-        await Batch.updateMany(
-          { createdBy: user._id },
-          { $set: { createdBy: req.user._id } },
-          { session }
-        );
-        break;
-
-      case 'trainer':
-        // Remove from batches and courses
-        await Batch.updateMany(
-          { trainers: user._id },
-          { $pull: { trainers: user._id } },
-          { session }
-        );
-
-        // Reassign or remove courses
-        await Course.updateMany(
-          { instructor: user._id },
-          { $set: { instructor: null } },
-          { session }
-        );
-        break;
-
-      case 'faculty':
-        // Remove faculty references
-        await Student.updateMany(
-          { assignedFaculty: user._id },
-          { $unset: { assignedFaculty: 1 } },
-          { session }
-        );
-        break;
-
-      case 'student':
-        // Remove from courses, batches, and submissions
-        await Course.updateMany(
-          { 'students.student': user._id },
-          { $pull: { students: { student: user._id } } },
-          { session }
-        );
-
-        // Remove submissions
-        await Assignment.updateMany(
-          { 'submissions.student': user._id },
-          { $pull: { submissions: { student: user._id } } },
-          { session }
-        );
-
-        // Remove attendance records
-        await Attendance.deleteMany(
-          { student: user._id },
-          { session }
-        );
-
-        // Delete student profile if exists
-        await Student.findOneAndDelete(
-          { user: user._id },
-          { session }
-        );
-        break;
-    }
-
-    // Finally, delete the user
-    await User.findByIdAndDelete(userId).session(session);
-    
-    await session.commitTransaction();
-    session.endSession();
+    await softDeleteUser(user, req.user._id);
 
     res.json({
       success: true,
       message: `${user.role.charAt(0).toUpperCase() + user.role.slice(1)} deleted successfully`
     });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
-    
     console.error('Delete user error:', err);
     res.status(500).json({
       success: false,
@@ -625,4 +606,219 @@ router.delete('/users/:userId', auth, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route   GET /api/super-admin/login-attempts
+ * @desc    Get login attempts with filtering and pagination
+ * @access  Private (Super Admin)
+ */
+router.get('/login-attempts', [
+  auth,
+  requirePermission('audit:read'),
+  check('page', 'Page number must be a positive integer').optional().isInt({ min: 1 }),
+  check('limit', 'Limit must be a positive integer').optional().isInt({ min: 1, max: 100 }),
+  check('userId', 'Invalid user ID').optional().isMongoId(),
+  check('success', 'success must be a boolean').optional().isBoolean(),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  if (req.query.userId) filter.user = req.query.userId;
+  if (req.query.username) filter.username = req.query.username;
+  if (req.query.ip) filter.ip = req.query.ip;
+  if (req.query.success) filter.success = req.query.success === 'true';
+  if (req.query.startDate || req.query.endDate) {
+    filter.createdAt = {};
+    if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+    if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+  }
+
+  const [attempts, total] = await Promise.all([
+    LoginAttempt.find(filter)
+      .populate('user', 'username firstName lastName role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    LoginAttempt.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      attempts,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/super-admin/login-attempts/suspicious
+ * @desc    Get IPs and accounts with repeated failed logins, and currently locked accounts
+ * @access  Private (Super Admin)
+ */
+router.get('/login-attempts/suspicious', [
+  auth,
+  requirePermission('audit:read'),
+  check('hours', 'Hours must be between 1 and 720').optional().isInt({ min: 1, max: 720 }),
+  check('threshold', 'Threshold must be a positive integer').optional().isInt({ min: 1 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const hours = parseInt(req.query.hours) || 24;
+  const threshold = parseInt(req.query.threshold) || 5;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const failedSince = { success: false, createdAt: { $gte: since } };
+
+  const [byIp, byAccount, lockedAccounts] = await Promise.all([
+    LoginAttempt.aggregate([
+      { $match: failedSince },
+      {
+        $group: {
+          _id: '$ip',
+          failures: { $sum: 1 },
+          usernames: { $addToSet: '$username' },
+          lastAttempt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: threshold } } },
+      {
+        $project: {
+          _id: 0,
+          ip: '$_id',
+          failures: 1,
+          accountsTargeted: { $size: '$usernames' },
+          usernames: 1,
+          lastAttempt: 1
+        }
+      },
+      { $sort: { failures: -1 } }
+    ]),
+    LoginAttempt.aggregate([
+      { $match: failedSince },
+      {
+        $group: {
+          _id: '$username',
+          failures: { $sum: 1 },
+          ips: { $addToSet: '$ip' },
+          lastAttempt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: threshold } } },
+      {
+        $project: {
+          _id: 0,
+          username: '$_id',
+          failures: 1,
+          distinctIps: { $size: '$ips' },
+          ips: 1,
+          lastAttempt: 1
+        }
+      },
+      { $sort: { failures: -1 } }
+    ]),
+    User.find({ lockUntil: { $gt: new Date() } })
+      .select('username firstName lastName role lockUntil lockCount')
+      .lean()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      window: { hours, threshold, since },
+      byIp,
+      byAccount,
+      lockedAccounts
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/super-admin/audit-logs
+ * @desc    Get audit log entries with filtering and pagination, newest first
+ * @access  Private (Super Admin)
+ */
+router.get('/audit-logs', [
+  auth,
+  requirePermission('audit:read'),
+  check('page', 'Page number must be a positive integer').optional().isInt({ min: 1 }),
+  check('limit', 'Limit must be a positive integer').optional().isInt({ min: 1, max: 100 }),
+  check('actor', 'Invalid actor ID').optional().isMongoId(),
+  check('entity', 'Entity must be a model name, e.g. User').optional().isAlpha(),
+  check('entityId', 'Invalid entity ID').optional().isMongoId(),
+  check('action', 'Action must be create, update or delete').optional().isIn(['create', 'update', 'delete']),
+  check('college', 'Invalid college ID').optional().isMongoId(),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  ['actor', 'entity', 'entityId', 'action', 'college', 'requestId'].forEach(field => {
+    if (req.query[field]) filter[field] = String(req.query[field]);
+  });
+  if (req.query.startDate || req.query.endDate) {
+    filter.createdAt = {};
+    if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+    if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate({ path: 'actor', select: 'username firstName lastName role', options: { withDeleted: true } })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    }
+  });
+}));
+
 module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const { Batch, User } = require('../models');
+const { hasPermission } = require('../utils/permissions');
+const { findTimetableCourses, buildWeeklyTimetable, toICalendar } = require('../utils/timetable');
+
+const formatValidation = query('format', 'Format must be json or ics').optional().isIn(['json', 'ics']);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendForbidden = res => res.status(403).json({
+  success: false,
+  message: 'Not authorized to view this timetable'
+});
+
+const fullName = user => [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+/**
+ * Answer with the weekly timetable of some courses, or with an iCalendar feed
+ * when ?format=ics is given
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} owner - Owner passed to findTimetableCourses
+ * @param {string} name - Name of the timetable
+ */
+const sendTimetable = async (req, res, owner, name) => {
+  const courses = await findTimetableCourses(owner);
+
+  if (req.query.format === 'ics') {
+    const fileName = name.replace(/[^\w-]+/g, '_').toLowerCase();
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}.ics`);
+    return res.send(toICalendar(courses, name));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      name,
+      courses: courses.length,
+      week: buildWeeklyTimetable(courses)
+    }
+  });
+};
+
+/**
+ * @route   GET /api/timetable/me
+ * @desc    Get the weekly timetable of the current user: the courses they attend as a
+ *          student, or teach otherwise. ?format=ics exports it as an iCalendar feed.
+ * @access  Private
+ */
+router.get('/me', [auth, formatValidation], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const owner = req.user.role === 'student' ? { student: req.user._id } : { trainer: req.user._id };
+  await sendTimetable(req, res, owner, `${fullName(req.user)} timetable`);
+}));
+
+/**
+ * @route   GET /api/timetable/trainers/:userId
+ * @desc    Get the weekly timetable of the courses a trainer teaches
+ * @access  Private (The trainer, or users with timetable:read)
+ */
+router.get('/trainers/:userId', [
+  auth,
+  check('userId', 'Invalid user ID').isMongoId(),
+  formatValidation
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  if (req.params.userId !== req.user._id.toString() && !hasPermission(req.user, 'timetable:read')) {
+    return sendForbidden(res);
+  }
+
+  const trainer = await User.findOne({ _id: req.params.userId, role: { $in: ['trainer', 'faculty'] } })
+    .select('username firstName lastName');
+  if (!trainer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trainer not found'
+    });
+  }
+
+  await sendTimetable(req, res, { trainer: trainer._id }, `${fullName(trainer)} timetable`);
+}));
+
+/**
+ * @route   GET /api/timetable/batches/:batchId
+ * @desc    Get the weekly timetable of a batch's courses
+ * @access  Private (Trainers and students of the batch, or users with timetable:read)
+ */
+router.get('/batches/:batchId', [
+  auth,
+  check('batchId', 'Invalid batch ID').isMongoId(),
+  formatValidation
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const batch = await Batch.findById(req.params.batchId).select('name code trainers students');
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+  }
+
+  if (!hasPermission(req.user, 'timetable:read') && !batch.isTrainer(req.user._id) && !batch.isStudent(req.user._id)) {
+    return sendForbidden(res);
+  }
+
+  await sendTimetable(req, res, { batch: batch._id }, `${batch.name} timetable`);
+}));
+
+/**
+ * @route   GET /api/timetable/students/:userId
+ * @desc    Get the weekly timetable of the courses a student is enrolled in
+ * @access  Private (The student, or users with timetable:read)
+ */
+router.get('/students/:userId', [
+  auth,
+  check('userId', 'Invalid user ID').isMongoId(),
+  formatValidation
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  if (req.params.userId !== req.user._id.toString() && !hasPermission(req.user, 'timetable:read')) {
+    return sendForbidden(res);
+  }
+
+  const student = await User.findOne({ _id: req.params.userId, role: 'student' })
+    .select('username firstName lastName');
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      message: 'Student not found'
+    });
+  }
+
+  await sendTimetable(req, res, { student: student._id }, `${fullName(student)} timetable`);
+}));
+
+module.exports = router;
@@ -1,27 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
 const Course = require('../models/Course');
 const Assignment = require('../models/Assignment');
 const Student = require('../models/Student');
 const Batch = require('../models/Batch');
 const User = require('../models/User');
+const { ENROLLED_STATUSES } = require('../utils/enrollment');
+const { gradeSubmission } = require('../utils/grading');
+const { updateStudentProgress } = require('../utils/courseProgress');
+
+// Enrollments that hold a seat; requests, waitlisted and dropped students do not count
+const seatedEnrollments = {
+  $filter: {
+    input: '$students',
+    as: 's',
+    cond: { $in: ['$$s.status', ENROLLED_STATUSES] }
+  }
+};
 
 /**
  * @route   GET /api/trainer/batches
  * @desc    Get all batches for the trainer
  * @access  Private (Trainer)
  */
-router.get('/batches', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access trainer resources'
-    });
-  }
-
+router.get('/batches', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   try {
     // Get all batches where the user is a trainer
     const batches = await Batch.find({ trainers: req.user._id })
@@ -47,14 +52,7 @@ router.get('/batches', auth, asyncHandler(async (req, res) => {
  * @desc    Get batch overview with statistics
  * @access  Private (Trainer)
  */
-router.get('/batches/:batchId/overview', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access batch data'
-    });
-  }
-
+router.get('/batches/:batchId/overview', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   try {
     const batchId = req.params.batchId;
 
@@ -87,11 +85,11 @@ router.get('/batches/:batchId/overview', auth, asyncHandler(async (req, res) =>
           title: 1,
           startDate: 1,
           endDate: 1,
-          studentCount: { $size: '$students' },
+          studentCount: { $size: seatedEnrollments },
           assignmentCount: { $size: '$assignments' },
           averageProgress: {
             $ifNull: [
-              { $avg: '$students.progress' },
+              { $avg: { $map: { input: seatedEnrollments, as: 's', in: '$$s.progress' } } },
               0
             ]
           }
@@ -124,14 +122,20 @@ router.get('/batches/:batchId/overview', auth, asyncHandler(async (req, res) =>
                       $filter: {
                         input: '$students',
                         as: 's',
-                        cond: { $eq: ['$$s.student', '$$studentId'] }
+                        cond: {
+                          $and: [
+                            { $eq: ['$$s.student', '$$studentId'] },
+                            { $in: ['$$s.status', ENROLLED_STATUSES] }
+                          ]
+                        }
                       }
                     },
                     0
                   ]
                 }
               }
-            }
+            },
+            { $match: { progress: { $ne: null } } }
           ],
           as: 'courses'
         }
@@ -215,14 +219,7 @@ router.get('/batches/:batchId/overview', auth, asyncHandler(async (req, res) =>
  * @desc    Get trainer dashboard overview with batch filtering
  * @access  Private (Trainer)
  */
-router.get('/dashboard', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access trainer dashboard'
-    });
-  }
-
+router.get('/dashboard', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   try {
     const { batchId } = req.query;
     const query = { instructor: req.user._id };
@@ -246,7 +243,7 @@ router.get('/dashboard', auth, asyncHandler(async (req, res) => {
 
     // Get trainer's courses with batch filtering
     const courses = await Course.find(query)
-      .select('title description startDate endDate batchName')
+      .select('title description startDate endDate batchName students')
       .populate({
         path: 'students.student',
         select: 'firstName lastName rollNumber',
@@ -257,6 +254,7 @@ router.get('/dashboard', auth, asyncHandler(async (req, res) => {
     const courseIds = courses.map(course => course._id);
     const assignments = await Assignment.find({ 
       course: { $in: courseIds },
+      status: { $ne: 'archived' },
       dueDate: { $gte: new Date() } // Only upcoming assignments
     })
       .populate('course', 'title batchName')
@@ -327,10 +325,16 @@ router.get('/dashboard', auth, asyncHandler(async (req, res) => {
       success: true,
       data: {
         batchId: batchId || null,
-        courses: courses.map(course => ({
-          ...course.toObject(),
-          studentCount: course.students.length
-        })),
+        courses: courses.map(course => {
+          const seated = course.students.filter(s => ENROLLED_STATUSES.includes(s.status));
+          return {
+            ...course.toObject(),
+            studentCount: seated.length,
+            averageProgress: seated.length
+              ? Math.round(seated.reduce((sum, s) => sum + (s.progress || 0), 0) / seated.length * 100) / 100
+              : 0
+          };
+        }),
         upcomingAssignments: assignments,
         recentSubmissions,
         batchStats: batchId ? {
@@ -355,14 +359,7 @@ router.get('/dashboard', auth, asyncHandler(async (req, res) => {
  * @desc    Get assignments for a specific course
  * @access  Private (Trainer)
  */
-router.get('/courses/:courseId/assignments', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized'
-    });
-  }
-
+router.get('/courses/:courseId/assignments', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   try {
     const course = await Course.findOne({
       _id: req.params.courseId,
@@ -397,14 +394,7 @@ router.get('/courses/:courseId/assignments', auth, asyncHandler(async (req, res)
  * @desc    Get submissions for a specific assignment
  * @access  Private (Trainer)
  */
-router.get('/assignments/:assignmentId/submissions', auth, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized'
-    });
-  }
-
+router.get('/assignments/:assignmentId/submissions', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.assignmentId)
       .populate('course', 'title instructor')
@@ -433,23 +423,18 @@ router.get('/assignments/:assignmentId/submissions', auth, asyncHandler(async (r
 
 /**
  * @route   POST /api/trainer/submissions/:submissionId/feedback
- * @desc    Add feedback to a submission
+ * @desc    Add feedback to a submission, with a grade or rubricScores for rubric-graded assignments
  * @access  Private (Trainer)
  */
 router.post('/submissions/:submissionId/feedback', [
   auth,
+  requirePermission('assignments:grade'),
   [
-    check('grade', 'Grade is required').isNumeric(),
+    check('grade', 'Grade must be a number').optional().isNumeric(),
+    check('rubricScores', 'rubricScores must be an array').optional().isArray(),
     check('feedback', 'Feedback is required').notEmpty().trim()
   ]
 ], asyncHandler(async (req, res) => {
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -459,7 +444,7 @@ router.post('/submissions/:submissionId/feedback', [
   }
 
   try {
-    const { grade, feedback } = req.body;
+    const { grade, rubricScores, feedback } = req.body;
     
     // Find the assignment containing this submission
     const assignment = await Assignment.findOne({
@@ -483,12 +468,10 @@ router.post('/submissions/:submissionId/feedback', [
 
     // Update the submission
     const submission = assignment.submissions.id(req.params.submissionId);
-    submission.grade = grade;
-    submission.feedback = feedback;
-    submission.status = 'graded';
-    submission.gradedAt = new Date();
+    gradeSubmission(assignment, submission, { grade, rubricScores, feedback, gradedBy: req.user._id });
 
     await assignment.save();
+    await updateStudentProgress(assignment.course._id, submission.student);
 
     // Get the updated submission with populated data
     const updatedAssignment = await Assignment.findById(assignment._id)
@@ -502,6 +485,12 @@ router.post('/submissions/:submissionId/feedback', [
       data: updatedSubmission
     });
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message
+      });
+    }
     console.error('Submit feedback error:', err);
     res.status(500).json({
       success: false,
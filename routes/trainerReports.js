@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const Report = require('../models/Report');
 const Student = require('../models/Student');
 const asyncHandler = require('../middleware/async');
@@ -11,15 +11,7 @@ const asyncHandler = require('../middleware/async');
  * @desc    Get all reports for students assigned to the trainer
  * @access  Private (Trainer)
  */
-router.get('/reports', auth, asyncHandler(async (req, res) => {
-  // Only trainers can access this endpoint
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access trainer reports'
-    });
-  }
-
+router.get('/reports', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   const { status, studentId, page = 1, limit = 10 } = req.query;
   const skip = (page - 1) * limit;
 
@@ -84,15 +76,7 @@ router.get('/reports', auth, asyncHandler(async (req, res) => {
  * @desc    Get all reports for a specific student (for trainers)
  * @access  Private (Trainer)
  */
-router.get('/reports/student/:studentId', auth, asyncHandler(async (req, res) => {
-  // Only trainers can access this endpoint
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access student reports'
-    });
-  }
-
+router.get('/reports/student/:studentId', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   const { studentId } = req.params;
   const { status, page = 1, limit = 10 } = req.query;
   const skip = (page - 1) * limit;
@@ -152,15 +136,7 @@ router.get('/reports/student/:studentId', auth, asyncHandler(async (req, res) =>
  * @desc    Get a specific report with details
  * @access  Private (Trainer)
  */
-router.get('/reports/:id', auth, asyncHandler(async (req, res) => {
-  // Only trainers can access this endpoint
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access this report'
-    });
-  }
-
+router.get('/reports/:id', auth, requirePermission('dashboard:trainer'), asyncHandler(async (req, res) => {
   const report = await Report.findById(req.params.id)
     .populate('student', 'firstName lastName rollNumber')
     .populate('createdBy', 'firstName lastName')
@@ -196,16 +172,9 @@ router.get('/reports/:id', auth, asyncHandler(async (req, res) => {
  */
 router.post('/reports/:id/comments', [
   auth,
+  requirePermission('reports:review'),
   check('text', 'Comment text is required').notEmpty().trim().escape()
 ], asyncHandler(async (req, res) => {
-  // Only trainers can access this endpoint
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to comment on reports'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ 
@@ -273,17 +242,10 @@ router.post('/reports/:id/comments', [
  */
 router.patch('/reports/:id/status', [
   auth,
+  requirePermission('reports:review'),
   check('status', 'Status is required')
     .isIn(['reviewed', 'approved', 'rejected', 'needs_revision'])
 ], asyncHandler(async (req, res) => {
-  // Only trainers can access this endpoint
-  if (req.user.role !== 'trainer') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to update report status'
-    });
-  }
-
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ 
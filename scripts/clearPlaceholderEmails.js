@@ -0,0 +1,66 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+const mongoose = require('mongoose');
+
+/**
+ * Remove the placeholder email addresses (<username>@college.edu) that accounts created
+ * without an email used to get. Nobody receives mail there, so under a verification
+ * policy these accounts could never verify. The same address is removed from the
+ * student's Student record, whose email index is made sparse first so that several
+ * records can be without one.
+ *
+ * Usage: node scripts/clearPlaceholderEmails.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const PLACEHOLDER_DOMAIN = '@college.edu';
+
+const run = async () => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_management');
+    console.log('Connected to MongoDB successfully\n');
+
+    const db = mongoose.connection.db;
+
+    // Only unverified addresses made of the username are placeholders
+    const users = await db.collection('users').find(
+      {
+        emailVerified: { $ne: true },
+        $expr: { $eq: ['$email', { $concat: [{ $toLower: '$username' }, PLACEHOLDER_DOMAIN] }] }
+      },
+      { projection: { username: 1, email: 1 } }
+    ).toArray();
+    console.log(`Found ${users.length} placeholder email address(es)`);
+
+    if (dryRun || !users.length) {
+      process.exit(0);
+    }
+
+    const emailIndex = (await db.collection('students').indexes()).find(index => index.name === 'email_1');
+    if (emailIndex && !emailIndex.sparse) {
+      await db.collection('students').dropIndex('email_1');
+      await db.collection('students').createIndex({ email: 1 }, { unique: true, sparse: true });
+      console.log('Made the Student email index sparse');
+    }
+
+    const userIds = users.map(user => user._id);
+    const userResult = await db.collection('users').updateMany(
+      { _id: { $in: userIds } },
+      { $unset: { email: 1 } }
+    );
+    const studentResult = await db.collection('students').updateMany(
+      { user: { $in: userIds }, email: { $in: users.map(user => user.email) } },
+      { $unset: { email: 1 } }
+    );
+    console.log(`Cleared ${userResult.modifiedCount} user(s) and ${studentResult.modifiedCount} Student record(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\nError clearing placeholder emails:');
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+run();
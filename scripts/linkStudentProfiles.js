@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Report = require('../models/Report');
+const Attendance = require('../models/Attendance');
+const { linkStudentProfile } = require('../utils/studentIdentity');
+require('dotenv').config();
+
+/**
+ * Link every Student record to its student User account, both ways.
+ *
+ * A Student record without a link is matched to a user of the same college by roll
+ * number, then by email. When several records match one user, the linked (or oldest)
+ * record is kept, and reports are moved to it from the duplicates, which are deleted.
+ * References that point at the wrong side (reports at a user, attendance at a Student
+ * record) are rewritten. Whatever cannot be matched is listed at the end.
+ *
+ * Usage: node scripts/linkStudentProfiles.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = { linked: 0, merged: 0, reportsMoved: 0, reportsRepointed: 0, attendanceRepointed: 0, staleLinksCleared: 0 };
+const orphans = { students: [], users: [] };
+
+const findMatchingUser = async student => {
+    const base = { role: 'student', college: student.college };
+    if (student.rollNumber) {
+        const byRoll = await User.findOne({ ...base, 'studentInfo.rollNumber': student.rollNumber });
+        if (byRoll) return byRoll;
+    }
+    return student.email ? User.findOne({ ...base, email: student.email }) : null;
+};
+
+const write = async fn => {
+    if (!dryRun) await fn();
+};
+
+const linkStudents = async () => {
+    // Group every Student record under the user it belongs to
+    const recordsByUser = new Map();
+    const students = await Student.find().sort({ createdAt: 1 });
+
+    for (const student of students) {
+        const user = student.user
+            ? await User.findOne({ _id: student.user, role: 'student' })
+            : await findMatchingUser(student);
+
+        if (!user) {
+            orphans.students.push(`${student.rollNumber} (${student.email})`);
+            continue;
+        }
+
+        const key = user._id.toString();
+        if (!recordsByUser.has(key)) recordsByUser.set(key, { user, records: [] });
+        recordsByUser.get(key).records.push(student);
+    }
+
+    for (const { user, records } of recordsByUser.values()) {
+        // Prefer the record the user already points to, then one already linked, then the oldest
+        const keep = records.find(r => user.studentProfile && r._id.equals(user.studentProfile)) ||
+            records.find(r => r.user && r.user.equals(user._id)) ||
+            records[0];
+
+        for (const duplicate of records.filter(r => r !== keep)) {
+            const moved = await Report.countDocuments({ student: duplicate._id });
+            console.log(`Merging Student ${duplicate._id} into ${keep._id} for ${user.username} (${moved} report(s))`);
+            await write(() => Report.updateMany({ student: duplicate._id }, { $set: { student: keep._id } }));
+            await write(() => Student.deleteOne({ _id: duplicate._id }));
+            stats.reportsMoved += moved;
+            stats.merged++;
+        }
+
+        const linked = keep.user && keep.user.equals(user._id) &&
+            user.studentProfile && user.studentProfile.equals(keep._id);
+        if (!linked) {
+            console.log(`Linking ${user.username} <-> Student ${keep._id} (${keep.rollNumber})`);
+            await write(() => linkStudentProfile(user, keep));
+            stats.linked++;
+        }
+    }
+};
+
+const clearStaleLinks = async () => {
+    const users = await User.find({ studentProfile: { $ne: null } }).select('username studentProfile');
+    for (const user of users) {
+        if (!await Student.exists({ _id: user.studentProfile, user: user._id })) {
+            console.log(`Clearing stale studentProfile of ${user.username}`);
+            await write(() => User.updateOne({ _id: user._id }, { $unset: { studentProfile: 1 } }));
+            stats.staleLinksCleared++;
+        }
+    }
+};
+
+const repointReferences = async () => {
+    // Reports must reference the Student record
+    const reportStudentIds = await Report.distinct('student');
+    for (const id of reportStudentIds) {
+        if (await Student.exists({ _id: id })) continue;
+
+        const student = await Student.findOne({ user: id });
+        if (!student) continue;
+
+        const { modifiedCount = 0 } = dryRun
+            ? { modifiedCount: await Report.countDocuments({ student: id }) }
+            : await Report.updateMany({ student: id }, { $set: { student: student._id } });
+        stats.reportsRepointed += modifiedCount;
+    }
+
+    // Attendance must reference the User account
+    const attendanceStudentIds = await Attendance.distinct('student');
+    for (const id of attendanceStudentIds) {
+        if (await User.exists({ _id: id })) continue;
+
+        const student = await Student.findOne({ _id: id, user: { $ne: null } });
+        if (!student) continue;
+
+        const { modifiedCount = 0 } = dryRun
+            ? { modifiedCount: await Attendance.countDocuments({ student: id }) }
+            : await Attendance.updateMany({ student: id }, { $set: { student: student.user } });
+        stats.attendanceRepointed += modifiedCount;
+    }
+};
+
+const run = async () => {
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_management');
+        console.log(`Connected to MongoDB successfully${dryRun ? ' (dry run, nothing will be written)' : ''}\n`);
+
+        await linkStudents();
+        await clearStaleLinks();
+        await repointReferences();
+
+        const unlinkedUsers = await User.find({ role: 'student', studentProfile: null }).select('username email');
+        orphans.users = unlinkedUsers.map(u => `${u.username} (${u.email})`);
+
+        console.log('\nSummary');
+        console.log('----------------------------------------');
+        Object.entries(stats).forEach(([key, value]) => console.log(`${key}: ${value}`));
+
+        if (orphans.students.length) {
+            console.log(`\nStudent records without a user account (${orphans.students.length}):`);
+            orphans.students.forEach(s => console.log(`  ${s}`));
+        }
+        if (orphans.users.length) {
+            console.log(`\nStudent users without an academic record (${orphans.users.length}):`);
+            orphans.users.forEach(u => console.log(`  ${u}`));
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('\nError linking student profiles:');
+        console.error(error.message);
+        process.exit(1);
+    }
+};
+
+run();
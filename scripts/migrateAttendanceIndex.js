@@ -0,0 +1,44 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+const mongoose = require('mongoose');
+
+/**
+ * Replace the student/date/course unique index on attendance records with the one that
+ * includes the class session. Under the old index a student could only be recorded once
+ * a day per course, so a second class session on the same day failed to record them.
+ * Mongoose creates the new index but never drops the old one.
+ *
+ * Usage: node scripts/migrateAttendanceIndex.js
+ */
+const OLD_INDEX = 'student_1_date_1_course_1';
+
+const run = async () => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_management');
+    console.log('Connected to MongoDB successfully\n');
+
+    const attendances = mongoose.connection.db.collection('attendances');
+
+    // Created first, so attendance stays unique while the old index is dropped
+    await attendances.createIndex(
+      { student: 1, course: 1, date: 1, session: 1 },
+      { unique: true }
+    );
+
+    if ((await attendances.indexes()).some(index => index.name === OLD_INDEX)) {
+      await attendances.dropIndex(OLD_INDEX);
+      console.log(`Dropped the ${OLD_INDEX} index`);
+    } else {
+      console.log(`No ${OLD_INDEX} index to drop`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\nError migrating the attendance index:');
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+run();
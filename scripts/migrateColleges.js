@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const College = require('../models/College');
+require('dotenv').config();
+
+// Colleges that had special-cased reports in code before colleges became records
+const SEMESTER_BREAKDOWN_COLLEGES = ['AITM'];
+
+// Collections that stored the college as free text
+const TEXT_COLLEGE_COLLECTIONS = ['users', 'students', 'attendances'];
+
+// Collections without a college, and where to take it from
+const BACKFILLS = [
+    { collection: 'reports', field: 'student', from: 'students' },
+    { collection: 'courses', field: 'instructor', from: 'users' },
+    { collection: 'batches', field: 'createdBy', from: 'users' },
+    { collection: 'assignments', field: 'course', from: 'courses' },
+    { collection: 'classsessions', field: 'course', from: 'courses' }
+];
+
+const toCode = name => name.trim().toUpperCase().replace(/[^A-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'COLLEGE';
+
+/**
+ * Find or create the College record for a free-text college name
+ */
+const findOrCreateCollege = async name => {
+    const existing = await College.findOne({ $or: [{ name: name.trim() }, { code: toCode(name) }] });
+    if (existing) return existing;
+
+    // Codes must be unique, so add a suffix when two names map to the same code
+    const baseCode = toCode(name);
+    let code = baseCode;
+    for (let i = 2; await College.exists({ code }); i++) {
+        code = `${baseCode}-${i}`;
+    }
+
+    return College.create({
+        name: name.trim(),
+        code,
+        settings: {
+            semesterBreakdown: SEMESTER_BREAKDOWN_COLLEGES.includes(baseCode)
+        }
+    });
+};
+
+/**
+ * Copy the college of a referenced document onto documents that have none
+ */
+const backfill = async (db, { collection, field, from }) => {
+    const cursor = db.collection(collection).find(
+        { college: { $exists: false }, [field]: { $ne: null } },
+        { projection: { [field]: 1 } }
+    );
+
+    const colleges = new Map();
+    let updated = 0;
+    let skipped = 0;
+
+    for await (const doc of cursor) {
+        const refId = doc[field].toString();
+        if (!colleges.has(refId)) {
+            const ref = await db.collection(from).findOne({ _id: doc[field] }, { projection: { college: 1 } });
+            colleges.set(refId, ref && ref.college instanceof mongoose.Types.ObjectId ? ref.college : null);
+        }
+
+        const college = colleges.get(refId);
+        if (!college) {
+            skipped++;
+            continue;
+        }
+
+        await db.collection(collection).updateOne({ _id: doc._id }, { $set: { college } });
+        updated++;
+    }
+
+    console.log(`${collection}: ${updated} updated, ${skipped} skipped (no college found via ${field})`);
+};
+
+const migrate = async () => {
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_management');
+        console.log('Connected to MongoDB successfully');
+
+        const db = mongoose.connection.db;
+
+        // Turn every free-text college into a College record and store its ID instead
+        const names = new Set();
+        for (const collection of TEXT_COLLEGE_COLLECTIONS) {
+            const values = await db.collection(collection).distinct('college', { college: { $type: 'string' } });
+            values.filter(name => name.trim()).forEach(name => names.add(name));
+        }
+
+        console.log(`Found ${names.size} college name(s)`);
+
+        for (const name of names) {
+            const college = await findOrCreateCollege(name);
+            console.log(`${name} -> ${college.code} (${college._id})`);
+
+            for (const collection of TEXT_COLLEGE_COLLECTIONS) {
+                const result = await db.collection(collection).updateMany(
+                    { college: name },
+                    { $set: { college: college._id } }
+                );
+                if (result.modifiedCount) {
+                    console.log(`  ${collection}: ${result.modifiedCount} updated`);
+                }
+            }
+        }
+
+        // Order matters: assignments and class sessions take the college of their course
+        for (const step of BACKFILLS) {
+            await backfill(db, step);
+        }
+
+        const [usersLeft, studentsLeft] = await Promise.all([
+            db.collection('users').countDocuments({ role: { $ne: 'superadmin' }, college: { $not: { $type: 'objectId' } } }),
+            db.collection('students').countDocuments({ college: { $not: { $type: 'objectId' } } })
+        ]);
+        if (usersLeft || studentsLeft) {
+            console.warn(`\n${usersLeft} user(s) and ${studentsLeft} student(s) still have no college and must be assigned one before they can sign in`);
+        }
+
+        console.log('\nCollege migration completed');
+        process.exit(0);
+    } catch (error) {
+        console.error('\nError migrating colleges:');
+        console.error(error.message);
+        process.exit(1);
+    }
+};
+
+// Usage: node scripts/migrateColleges.js
+migrate();
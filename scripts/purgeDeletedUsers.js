@@ -0,0 +1,40 @@
+// Settings are loaded before anything that reads them, from the same file as the server
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../env.config') });
+const mongoose = require('mongoose');
+const { getRetentionDays, purgeDeletedUsers } = require('../utils/userLifecycle');
+
+/**
+ * Permanently delete users that were soft-deleted longer ago than the retention period,
+ * along with their attendance, submissions, academic record and reports.
+ * Meant to run daily from cron.
+ *
+ * Usage: node scripts/purgeDeletedUsers.js [retentionDays]
+ * The retention period defaults to USER_RETENTION_DAYS from env.config (90 days if unset).
+ */
+const run = async () => {
+  const retentionDays = process.argv[2] === undefined ? getRetentionDays() : Number(process.argv[2]);
+
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    console.error('Retention days must be a whole number of days');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college_management');
+    console.log('Connected to MongoDB successfully\n');
+
+    console.log(`Purging users deleted more than ${retentionDays} day(s) ago...`);
+    const { purged, failed } = await purgeDeletedUsers({ retentionDays });
+    console.log(`Purged: ${purged}, failed: ${failed}`);
+
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('\nError purging deleted users:');
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+run();
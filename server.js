@@ -19,13 +19,20 @@ const adminUserManagementRoutes = require('./routes/adminUserManagement');
 const profileRoutes = require('./routes/profile');
 const superAdminDashboardRoutes = require('./routes/superAdminDashboard');
 const trainerDashboardRoutes = require('./routes/trainerDashboard');
+const studentDashboardRoutes = require('./routes/studentDashboard');
 const trainerReportsRoutes = require('./routes/trainerReports');
 const assignmentRoutes = require('./routes/assignments');
 const assignmentResourcesRoutes = require('./routes/assignmentResources');
 const attendanceReportsRoutes = require('./routes/attendanceReports');
+const attendanceRoutes = require('./routes/attendance');
+const collegeRoutes = require('./routes/colleges');
+const batchRoutes = require('./routes/batches');
+const timetableRoutes = require('./routes/timetable');
+const rubricRoutes = require('./routes/rubrics');
 
 // Import middleware
 const { errorHandler } = require('./middleware/error');
+const { requestContext } = require('./utils/requestContext');
 
 // Initialize Express app
 const app = express();
@@ -60,6 +67,7 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(helmet());
+app.use(requestContext);
 
 // Rate limiting
 const limiter = rateLimit({
@@ -75,6 +83,7 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/student/dashboard', studentDashboardRoutes);
 app.use('/api/student', studentRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/reports', reportRoutes);
@@ -87,6 +96,11 @@ app.use('/api/trainer/reports', trainerReportsRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/assignment-resources', assignmentResourcesRoutes);
 app.use('/api/attendance/reports', attendanceReportsRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/colleges', collegeRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/rubrics', rubricRoutes);
 
 // Root route
 app.get('/', (req, res) => {
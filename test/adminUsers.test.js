@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { User, AuditLog } = require('../models');
+const { runWithTenant } = require('../utils/tenancy');
+const { revokeAllSessions } = require('../utils/tokens');
+const { fakeQuery, fakeSession } = require('./helpers');
+
+// Requests run as mockCurrentUser, in their college, as the auth middleware would
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    req.user = mockCurrentUser;
+    require('../utils/tenancy').runWithTenant(mockCurrentUser.college, next);
+  }
+}));
+jest.mock('../utils/tokens', () => ({
+  ...jest.requireActual('../utils/tokens'),
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../utils/emailVerification', () => ({
+  ...jest.requireActual('../utils/emailVerification'),
+  sendVerificationEmail: jest.fn()
+}));
+
+const college = new mongoose.Types.ObjectId();
+let target;
+let saved;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../routes/adminUserManagement'));
+  app.use('/api/super-admin', require('../routes/superAdminDashboard'));
+  return app;
+};
+
+beforeEach(() => {
+  target = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'priyak123',
+    password: '$2a$10$abcdefghijklmnopqrstuu8Pq1J0m4b4Qe0X7ZbV3C5q7cKMZyJm2',
+    firstName: 'Priya',
+    lastName: 'K',
+    email: 'priya@example.com',
+    emailVerified: false,
+    role: 'trainer',
+    college,
+    tokenVersion: 3,
+    twoFactor: { enabled: true }
+  });
+  saved = [];
+
+  jest.spyOn(User, 'startSession').mockImplementation(async () => fakeSession());
+  jest.spyOn(User, 'findById').mockImplementation(() => fakeQuery(target));
+  jest.spyOn(AuditLog, 'insertMany').mockImplementation(async () => []);
+  // Saves run their hooks but stop before MongoDB
+  jest.spyOn(User.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    saved.push(update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  revokeAllSessions.mockClear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Fields no admin may set through the generic update
+const securityFields = {
+  twoFactor: { enabled: false },
+  tokenVersion: 0,
+  refreshTokens: [],
+  lockUntil: null,
+  deletedAt: new Date().toISOString(),
+  emailVerified: true
+};
+
+describe.each([
+  ['PUT /api/admin/users/:userId', '/api/admin/users', { role: 'admin' }],
+  ['PUT /api/super-admin/users/:userId', '/api/super-admin/users', { role: 'superadmin' }]
+])('%s', (name, path, currentUser) => {
+  beforeEach(() => {
+    mockCurrentUser = { _id: new mongoose.Types.ObjectId(), college, ...currentUser };
+  });
+
+  test('only changes the editable fields', async () => {
+    const res = await request(buildApp())
+      .put(`${path}/${target._id}`)
+      .send({ firstName: 'Priyanka', ...securityFields });
+
+    expect(res.status).toBe(200);
+    expect(target.firstName).toBe('Priyanka');
+    expect(target.twoFactor.enabled).toBe(true);
+    expect(target.tokenVersion).toBe(3);
+    expect(target.lockUntil).toBeUndefined();
+    expect(target.deletedAt).toBeFalsy();
+    expect(target.emailVerified).toBe(false);
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  test('a new password is hashed once and ends every session', async () => {
+    const res = await request(buildApp())
+      .put(`${path}/${target._id}`)
+      .send({ password: 'n3w-Secret' });
+
+    expect(res.status).toBe(200);
+    expect(await bcrypt.compare('n3w-Secret', target.password)).toBe(true);
+    expect(target.passwordChangedAt).toBeInstanceOf(Date);
+    expect(revokeAllSessions).toHaveBeenCalledWith(target._id);
+    expect(res.body.data.password).toBeUndefined();
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  let filters;
+
+  beforeEach(() => {
+    mockCurrentUser = { _id: new mongoose.Types.ObjectId(), college, role: 'admin' };
+    filters = [];
+    jest.spyOn(User, 'find').mockImplementation(filter => {
+      filters.push(filter);
+      return fakeQuery([]);
+    });
+    jest.spyOn(User, 'countDocuments').mockImplementation(() => fakeQuery(0));
+  });
+
+  test('searches for the text as typed', async () => {
+    const res = await request(buildApp()).get('/api/admin/users').query({ search: '(a+)+$' });
+
+    expect(res.status).toBe(200);
+    const [{ $or }] = filters;
+    expect($or[0].firstName.source).toBe('\\(a\\+\\)\\+\\$');
+    expect($or[0].firstName.test('x(a+)+$y')).toBe(true);
+    expect($or[0].firstName.test('aaaa')).toBe(false);
+  });
+
+  test('never lists superadmins', async () => {
+    const listed = await request(buildApp()).get('/api/admin/users').query({ role: 'superadmin' });
+    const exported = await request(buildApp()).get('/api/admin/users/export').query({ role: 'superadmin' });
+
+    expect(listed.status).toBe(400);
+    expect(exported.status).toBe(400);
+    expect(filters).toHaveLength(0);
+  });
+
+  test('filters by one of the listed roles', async () => {
+    const res = await request(buildApp()).get('/api/admin/users').query({ role: 'trainer' });
+
+    expect(res.status).toBe(200);
+    expect(filters[0].role).toEqual({ $eq: 'trainer', $ne: 'superadmin' });
+  });
+});
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const { Assignment } = require('../models');
+const {
+  isVisible,
+  canManageAssignments,
+  getDueDate,
+  publishAssignment,
+  unpublishAssignment,
+  closeAssignment,
+  archiveAssignment,
+  grantExtension,
+  revokeExtension
+} = require('../utils/assignmentLifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+const instructor = id();
+const student = id();
+
+const course = {
+  _id: id(),
+  instructor,
+  students: [{ _id: id(), student, status: 'active' }, { _id: id(), student: id(), status: 'dropped' }]
+};
+
+const assignment = (fields = {}) => new Assignment({
+  title: 'Normal forms',
+  description: 'Normalize the schema',
+  course: course._id,
+  dueDate: new Date(Date.now() + 7 * DAY),
+  totalPoints: 10,
+  createdBy: instructor,
+  status: 'draft',
+  ...fields
+});
+
+describe('visibility', () => {
+  test('students see published and closed assignments, not drafts or archived ones', () => {
+    expect(isVisible(assignment({ status: 'published' }))).toBe(true);
+    expect(isVisible(assignment({ status: 'closed' }))).toBe(true);
+    expect(isVisible(assignment({ status: 'draft' }))).toBe(false);
+    expect(isVisible(assignment({ status: 'archived' }))).toBe(false);
+  });
+
+  test('assignments from before drafts existed stay visible', () => {
+    expect(isVisible({ dueDate: new Date() })).toBe(true);
+  });
+
+  test('a scheduled assignment shows from its publish date', () => {
+    const scheduled = assignment({ status: 'published', publishAt: new Date(Date.now() + DAY) });
+
+    expect(isVisible(scheduled)).toBe(false);
+    expect(isVisible(scheduled, new Date(Date.now() + 2 * DAY))).toBe(true);
+  });
+
+  test('only the instructor, or those who may edit any course, manage the assignments', () => {
+    expect(canManageAssignments({ _id: instructor, role: 'faculty' }, course)).toBe(true);
+    expect(canManageAssignments({ _id: id(), role: 'faculty' }, course)).toBe(false);
+    expect(canManageAssignments({ _id: id(), role: 'admin' }, course)).toBe(true);
+  });
+});
+
+describe('publishing', () => {
+  test('publishes a draft right away', () => {
+    const draft = assignment();
+
+    publishAssignment(draft);
+
+    expect(draft.status).toBe('published');
+    expect(draft.publishedAt).toBeInstanceOf(Date);
+    expect(draft.publishAt).toBeUndefined();
+  });
+
+  test('schedules a draft for a later publish date', () => {
+    const draft = assignment();
+    const publishAt = new Date(Date.now() + DAY);
+
+    publishAssignment(draft, publishAt);
+
+    expect(draft.publishAt).toEqual(publishAt);
+  });
+
+  test('refuses a publish date from the due date on', () => {
+    const draft = assignment();
+
+    expect(() => publishAssignment(draft, draft.dueDate)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('refuses to publish twice', () => {
+    expect(() => publishAssignment(assignment({ status: 'published' }))).toThrow('already published');
+  });
+
+  test('reopens a closed assignment', () => {
+    const published = assignment({ status: 'published' });
+    closeAssignment(published);
+    expect(published.closedAt).toBeInstanceOf(Date);
+
+    publishAssignment(published);
+
+    expect(published.status).toBe('published');
+    expect(published.closedAt).toBeUndefined();
+  });
+
+  test('only closes published assignments', () => {
+    expect(() => closeAssignment(assignment())).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('goes back to draft only before anyone submitted', () => {
+    const untouched = assignment({ status: 'published', publishedAt: new Date() });
+    unpublishAssignment(untouched);
+    expect(untouched.status).toBe('draft');
+    expect(untouched.publishedAt).toBeUndefined();
+
+    const submitted = assignment({ status: 'published', submissions: [{ student }] });
+    expect(() => unpublishAssignment(submitted)).toThrow('Assignments with submissions cannot go back to draft');
+  });
+
+  test('archived assignments cannot change again', () => {
+    const archived = assignment({ status: 'published' });
+    archiveAssignment(archived);
+
+    expect(archived.archivedAt).toBeInstanceOf(Date);
+    expect(() => publishAssignment(archived)).toThrow('Archived assignments cannot be changed');
+    expect(() => unpublishAssignment(archived)).toThrow('Archived assignments cannot be changed');
+    expect(() => archiveAssignment(archived)).toThrow('Archived assignments cannot be changed');
+  });
+});
+
+describe('extensions', () => {
+  const later = days => new Date(Date.now() + days * DAY);
+
+  test('give an enrolled student a later due date', () => {
+    const published = assignment({ status: 'published' });
+    const dueDate = later(10);
+
+    grantExtension(published, course, { student, dueDate, reason: 'Illness', grantedBy: instructor });
+
+    expect(getDueDate(published, student)).toEqual(dueDate);
+    expect(getDueDate(published, id())).toEqual(published.dueDate);
+  });
+
+  test('replace the extension a student already has', () => {
+    const published = assignment({ status: 'published' });
+    grantExtension(published, course, { student, dueDate: later(10) });
+    const dueDate = later(12);
+
+    grantExtension(published, course, { student, dueDate });
+
+    expect(published.extensions).toHaveLength(1);
+    expect(getDueDate(published, student)).toEqual(dueDate);
+  });
+
+  test('are only for students enrolled in the course', () => {
+    const published = assignment({ status: 'published' });
+    const dropped = course.students[1].student;
+
+    expect(() => grantExtension(published, course, { student: dropped, dueDate: later(10) }))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('must be after the due date of the assignment', () => {
+    const published = assignment({ status: 'published' });
+
+    expect(() => grantExtension(published, course, { student, dueDate: later(1) }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('turn a late submission back on time, and revoking makes it late again', () => {
+    const dueDate = new Date(Date.now() - 2 * DAY);
+    const published = assignment({
+      status: 'published',
+      dueDate,
+      latePolicy: { penaltyPerDay: 10 },
+      submissions: [{ student, submittedAt: new Date(Date.now() - DAY), status: 'late', latePenalty: 10 }]
+    });
+
+    grantExtension(published, course, { student, dueDate: later(1) });
+    expect(published.submissions[0]).toMatchObject({ status: 'submitted', latePenalty: 0 });
+
+    revokeExtension(published, student);
+    expect(published.extensions).toHaveLength(0);
+    expect(published.submissions[0]).toMatchObject({ status: 'late', latePenalty: 10 });
+  });
+
+  test('cannot revoke an extension the student does not have', () => {
+    expect(() => revokeExtension(assignment({ status: 'published' }), student))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+});
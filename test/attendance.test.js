@@ -0,0 +1,159 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { User, Course, Attendance, ClassSession, AuditLog } = require('../models');
+const { toSessionDate } = require('../utils/attendance');
+const { fakeQuery } = require('./helpers');
+
+// Requests run as mockCurrentUser, in their college, as the auth middleware would
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    req.user = mockCurrentUser;
+    require('../utils/tenancy').runWithTenant(mockCurrentUser.college, next);
+  }
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const college = id();
+const instructor = id();
+const students = [id(), id()];
+let course;
+let session;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/attendance', require('../routes/attendance'));
+  // Errors answer as the server's error handler would
+  app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  return app;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+beforeEach(() => {
+  mockCurrentUser = { _id: instructor, id: instructor.toString(), role: 'faculty', college };
+  course = Course.hydrate({
+    _id: id(),
+    college,
+    batchId: id(),
+    batchName: 'CSE 2026',
+    title: 'Databases',
+    description: 'Relational databases',
+    instructor,
+    startDate: new Date('2026-08-01'),
+    endDate: new Date('2026-12-01'),
+    students: students.map(student => ({ _id: id(), student, status: 'active' }))
+  });
+  session = ClassSession.hydrate({
+    _id: id(),
+    college,
+    course: course._id,
+    date: toSessionDate(),
+    startsAt: new Date(),
+    codeId: 'code',
+    codeExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+    status: 'open',
+    openedBy: instructor
+  });
+
+  jest.spyOn(Course, 'findById').mockImplementation(() => fakeQuery(course));
+  jest.spyOn(ClassSession, 'findById').mockImplementation(() => fakeQuery(session));
+  jest.spyOn(User, 'find').mockImplementation(filter => fakeQuery(
+    filter._id.$in.map(studentId => ({ _id: new mongoose.Types.ObjectId(studentId), college }))
+  ));
+  jest.spyOn(User, 'findById').mockImplementation(() => fakeQuery({ _id: instructor, college }));
+  jest.spyOn(Attendance, 'find').mockImplementation(() => fakeQuery([]));
+  jest.spyOn(Attendance, 'insertMany').mockImplementation(async docs => docs);
+  jest.spyOn(AuditLog, 'insertMany').mockImplementation(async () => []);
+  // Saves run their hooks but stop before MongoDB
+  jest.spyOn(ClassSession.collection, 'updateOne').mockImplementation(async () => ({ acknowledged: true, modifiedCount: 1 }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('attendance records', () => {
+  test('are unique per class session, so two sessions can run on the same day', () => {
+    const unique = Attendance.schema.indexes().filter(([, options]) => options.unique);
+
+    expect(unique).toEqual([[{ student: 1, course: 1, date: 1, session: 1 }, expect.objectContaining({ unique: true })]]);
+  });
+});
+
+describe('POST /api/attendance/mark', () => {
+  const mark = () => request(buildApp())
+    .post('/api/attendance/mark')
+    .send({
+      courseId: course._id.toString(),
+      records: students.map(student => ({ studentId: student.toString(), status: 'present' }))
+    });
+
+  test('records the session', async () => {
+    const res = await mark();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary.present).toBe(2);
+  });
+
+  test('answers 409 when another request marked the students first', async () => {
+    Attendance.insertMany.mockImplementation(async () => { throw duplicateKeyError(); });
+
+    const res = await mark();
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('POST /api/attendance/sessions/:id/close', () => {
+  const close = body => request(buildApp())
+    .post(`/api/attendance/sessions/${session._id}/close`)
+    .send(body);
+
+  test('marks the students who did not check in to this session as absent', async () => {
+    Attendance.find.mockImplementation(() => fakeQuery([students[0]]));
+
+    const res = await close({ markAbsent: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.markedAbsent).toBe(1);
+    expect(Attendance.find).toHaveBeenCalledWith(expect.objectContaining({ session: session._id }));
+    expect(Attendance.insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ student: students[1], status: 'absent', session: session._id })
+    ]);
+    expect(session.status).toBe('closed');
+  });
+
+  test('closes the session only after the absentees are recorded', async () => {
+    await close({ markAbsent: true });
+
+    expect(Attendance.insertMany.mock.invocationCallOrder[0])
+      .toBeLessThan(ClassSession.collection.updateOne.mock.invocationCallOrder[0]);
+  });
+
+  test('leaves the session open when the absentees cannot be recorded', async () => {
+    Attendance.insertMany.mockImplementation(async () => { throw new Error('connection lost'); });
+
+    const res = await close({ markAbsent: true });
+
+    expect(res.status).toBe(500);
+    expect(session.status).toBe('open');
+    expect(ClassSession.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('keeps the check-ins that raced the close', async () => {
+    Attendance.insertMany.mockImplementation(async docs => {
+      throw Object.assign(new Error('E11000 duplicate key error'), {
+        writeErrors: [{ err: { code: 11000 } }],
+        insertedDocs: docs.slice(1)
+      });
+    });
+
+    const res = await close({ markAbsent: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.markedAbsent).toBe(1);
+    expect(session.status).toBe('closed');
+  });
+});
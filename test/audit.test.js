@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { audited } = require('../utils/audit');
+
+// Stops queries before they reach MongoDB
+class Captured extends Error {}
+
+const probeSchema = new mongoose.Schema({
+  name: String,
+  score: Number,
+  visits: [{ at: Date, count: Number }]
+}, { timestamps: true });
+probeSchema.plugin(audited, { ignore: ['visits.*.at'] });
+probeSchema.pre(['updateOne', 'updateMany', 'replaceOne'], function() {
+  throw new Captured();
+});
+const Probe = mongoose.model('AuditProbe', probeSchema);
+
+// Records the lookups the audit hooks make instead of running them
+let lookups;
+const fakeLookup = () => {
+  const lookup = { select: null };
+  const chain = {
+    session: () => chain,
+    setOptions: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    select: fields => {
+      lookup.select = fields;
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+  };
+  lookups.push(lookup);
+  return chain;
+};
+
+beforeEach(() => {
+  lookups = [];
+  jest.spyOn(Probe, 'find').mockImplementation(fakeLookup);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('audit lookups of update queries', () => {
+  test('updates of ignored fields only are not looked up', async () => {
+    await expect(Probe.updateOne({}, { $set: { 'visits.$.at': new Date() } }).exec()).rejects.toBeInstanceOf(Captured);
+
+    expect(lookups).toHaveLength(0);
+  });
+
+  test('updates only load the top-level fields they write', async () => {
+    await expect(Probe.updateMany({}, { $set: { 'visits.$.count': 2 }, $inc: { score: 1 } }).exec())
+      .rejects.toBeInstanceOf(Captured);
+
+    expect(lookups).toHaveLength(1);
+    expect(lookups[0].select.split(' ').sort()).toEqual(['college', 'score', 'updatedAt', 'visits']);
+  });
+
+  test('upserts are looked up even when they only write ignored fields', async () => {
+    await expect(Probe.updateOne({}, { $set: { 'visits.$.at': new Date() } }, { upsert: true }).exec())
+      .rejects.toBeInstanceOf(Captured);
+
+    expect(lookups).toHaveLength(1);
+  });
+
+  test('replacements load whole documents', async () => {
+    await expect(Probe.replaceOne({}, { name: 'replaced' }).exec()).rejects.toBeInstanceOf(Captured);
+
+    expect(lookups).toHaveLength(1);
+    expect(lookups[0].select).toBeNull();
+  });
+});
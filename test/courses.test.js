@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { Course, AuditLog } = require('../models');
+const { fakeQuery } = require('./helpers');
+
+// Requests run as mockCurrentUser, in their college, as the auth middleware would
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    req.user = mockCurrentUser;
+    require('../utils/tenancy').runWithTenant(mockCurrentUser.college, next);
+  }
+}));
+
+const college = new mongoose.Types.ObjectId();
+const instructor = new mongoose.Types.ObjectId();
+let course;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/courses', require('../routes/courses'));
+  return app;
+};
+
+beforeEach(() => {
+  mockCurrentUser = { _id: instructor, role: 'faculty', college };
+  course = Course.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    college,
+    batchId: new mongoose.Types.ObjectId(),
+    batchName: 'CSE 2026',
+    title: 'Databases',
+    description: 'Relational databases',
+    instructor,
+    startDate: new Date('2026-08-01'),
+    endDate: new Date('2026-12-01'),
+    capacity: 1,
+    students: [{ _id: new mongoose.Types.ObjectId(), student: new mongoose.Types.ObjectId(), status: 'active' }],
+    materials: [{
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Week 1',
+      type: 'document',
+      file: { key: 'courses/own/week1.pdf', originalName: 'week1.pdf' }
+    }]
+  });
+
+  jest.spyOn(Course, 'findById').mockImplementation(() => fakeQuery(course));
+  jest.spyOn(AuditLog, 'insertMany').mockImplementation(async () => []);
+  // Saves run their hooks but stop before MongoDB
+  jest.spyOn(Course.collection, 'updateOne').mockImplementation(async () => ({ acknowledged: true, modifiedCount: 1 }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PUT /api/courses/:id', () => {
+  test('changes course settings but not enrollments or materials', async () => {
+    const res = await request(buildApp())
+      .put(`/api/courses/${course._id}`)
+      .send({
+        title: 'Advanced databases',
+        requiresApproval: true,
+        students: [{ student: new mongoose.Types.ObjectId().toString(), status: 'active' }],
+        materials: [{ title: 'Other work', file: { key: 'submissions/other/work.pdf' } }]
+      });
+
+    expect(res.status).toBe(200);
+    expect(course.title).toBe('Advanced databases');
+    expect(course.requiresApproval).toBe(true);
+    expect(course.students).toHaveLength(1);
+    expect(course.students[0].status).toBe('active');
+    expect(course.materials.map(material => material.file.key)).toEqual(['courses/own/week1.pdf']);
+  });
+
+  test('only the instructor can change the course', async () => {
+    mockCurrentUser = { _id: new mongoose.Types.ObjectId(), role: 'faculty', college };
+
+    const res = await request(buildApp()).put(`/api/courses/${course._id}`).send({ title: 'Taken over' });
+
+    expect(res.status).toBe(403);
+    expect(course.title).toBe('Databases');
+  });
+
+  test('refuses a schedule that clashes with another course of the instructor', async () => {
+    jest.spyOn(Course, 'find').mockImplementation(() => fakeQuery([{
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Networks',
+      instructor,
+      batchId: new mongoose.Types.ObjectId(),
+      startDate: new Date('2026-09-01'),
+      endDate: new Date('2026-11-01'),
+      schedule: [{ day: 'Monday', startTime: '10:00', endTime: '11:00' }]
+    }]));
+
+    const res = await request(buildApp())
+      .put(`/api/courses/${course._id}`)
+      .send({ schedule: [{ day: 'Monday', startTime: '9:30', endTime: '10:30' }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts.map(conflict => conflict.course.title)).toEqual(['Networks']);
+    expect(Course.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses an invalid schedule', async () => {
+    const res = await request(buildApp())
+      .put(`/api/courses/${course._id}`)
+      .send({ schedule: [{ day: 'Monday', startTime: '11:00', endTime: '10:00' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['Slot 1: must end after it starts']);
+  });
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { User, AuditLog } = require('../models');
+const { sendVerificationEmail, isBlockedByVerification } = require('../utils/emailVerification');
+const { fakeQuery, fakeSession } = require('./helpers');
+
+// Requests run as mockCurrentUser, in their college, as the auth middleware would
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    req.user = mockCurrentUser;
+    require('../utils/tenancy').runWithTenant(mockCurrentUser.college, next);
+  }
+}));
+jest.mock('../utils/emailVerification', () => ({
+  ...jest.requireActual('../utils/emailVerification'),
+  sendVerificationEmail: jest.fn()
+}));
+
+const college = new mongoose.Types.ObjectId();
+let target;
+let inserted;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/profile', require('../routes/profile'));
+  app.use('/api/admin', require('../routes/adminUserManagement'));
+  return app;
+};
+
+beforeEach(() => {
+  target = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'priyak123',
+    password: 'hashed',
+    firstName: 'Priya',
+    lastName: 'K',
+    email: 'priya@example.com',
+    emailVerified: true,
+    emailVerifiedAt: new Date('2026-01-01'),
+    role: 'trainer',
+    college
+  });
+  inserted = [];
+  mockCurrentUser = { _id: new mongoose.Types.ObjectId(), role: 'admin', college };
+
+  jest.spyOn(User, 'startSession').mockImplementation(async () => fakeSession());
+  jest.spyOn(User, 'findById').mockImplementation(() => fakeQuery(target));
+  jest.spyOn(User, 'findOne').mockImplementation(() => fakeQuery(null));
+  jest.spyOn(User, 'exists').mockImplementation(() => fakeQuery(null));
+  jest.spyOn(AuditLog, 'insertMany').mockImplementation(async () => []);
+  // Saves run their hooks but stop before MongoDB
+  jest.spyOn(User.collection, 'updateOne').mockImplementation(async () => ({ acknowledged: true, modifiedCount: 1 }));
+  jest.spyOn(User.collection, 'insertOne').mockImplementation(async doc => {
+    inserted.push(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  sendVerificationEmail.mockClear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('changing the email address', () => {
+  test.each([
+    ['PUT /api/profile/update', () => '/api/profile/update', () => target],
+    ['PUT /api/admin/users/:userId', () => `/api/admin/users/${target._id}`, () => mockCurrentUser]
+  ])('%s asks for the new address to be verified', async (name, url, currentUser) => {
+    mockCurrentUser = currentUser();
+
+    const res = await request(buildApp()).put(url()).send({ email: 'Priya.K@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(target.email).toBe('priya.k@example.com');
+    expect(target.emailVerified).toBe(false);
+    expect(target.emailVerifiedAt).toBeUndefined();
+    expect(sendVerificationEmail).toHaveBeenCalledWith(target);
+  });
+
+  test('saving the same address keeps it verified', async () => {
+    mockCurrentUser = target;
+
+    const res = await request(buildApp()).put('/api/profile/update').send({ email: 'PRIYA@example.com', firstName: 'Priyanka' });
+
+    expect(res.status).toBe(200);
+    expect(target.emailVerified).toBe(true);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('accounts without an email address', () => {
+  test('POST /api/admin/users leaves the email unset', async () => {
+    const res = await request(buildApp())
+      .post('/api/admin/users')
+      .send({ firstName: 'Ravi', lastName: 'S', role: 'trainer' });
+
+    expect(res.status).toBe(201);
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].email).toBeUndefined();
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('are not held back by a verification policy', async () => {
+    const user = { role: 'trainer', emailVerified: false, college };
+    const collegeDoc = { settings: { emailVerificationPolicy: 'block-login' } };
+
+    expect(await isBlockedByVerification(user, ['block-login'], collegeDoc)).toBe(false);
+    expect(await isBlockedByVerification({ ...user, email: 'ravi@example.com' }, ['block-login'], collegeDoc)).toBe(true);
+  });
+});
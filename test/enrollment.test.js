@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { Course, Batch } = require('../models');
+const {
+  findEnrollment,
+  getWaitlist,
+  promoteWaitlisted,
+  requestEnrollment,
+  reviewEnrollment,
+  dropEnrollment
+} = require('../utils/enrollment');
+const { fakeQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+
+// The course as MongoDB would hold it. Course.updateOne applies the conditional updates
+// of utils/enrollment.js to it, including the seat check.
+let stored;
+
+const seatAvailable = course => !course.capacity ||
+  course.students.filter(enrollment => enrollment.status === 'active').length < course.capacity;
+
+const applyUpdate = (filter, update) => {
+  if (!same(filter._id, stored._id)) return { modifiedCount: 0 };
+  if (filter.$expr && !seatAvailable(stored)) return { modifiedCount: 0 };
+
+  let index = -1;
+  if (filter.students && filter.students.$elemMatch) {
+    const { _id, status } = filter.students.$elemMatch;
+    index = stored.students.findIndex(enrollment => same(enrollment._id, _id) && enrollment.status === status);
+    if (index === -1) return { modifiedCount: 0 };
+  }
+  if (filter['students.student'] && stored.students.some(enrollment => same(enrollment.student, filter['students.student'].$ne))) {
+    return { modifiedCount: 0 };
+  }
+
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    stored.students[index][path.replace('students.$.', '')] = value;
+  });
+  Object.keys(update.$unset || {}).forEach(path => {
+    delete stored.students[index][path.replace('students.$.', '')];
+  });
+  if (update.$push) stored.students.push({ _id: id(), ...update.$push.students });
+  return { modifiedCount: 1 };
+};
+
+const loadCourse = () => ({ ...stored, students: stored.students.map(enrollment => ({ ...enrollment })) });
+
+const enrollment = (status, minutesAgo = 0) => ({
+  _id: id(),
+  student: id(),
+  status,
+  waitlistedAt: status === 'waitlisted' ? new Date(Date.now() - minutesAgo * 60 * 1000) : undefined
+});
+
+const setCourse = (fields = {}, students = []) => {
+  stored = { _id: id(), batchId: id(), isActive: true, status: 'ongoing', requiresApproval: false, ...fields, students };
+};
+
+beforeEach(() => {
+  setCourse();
+  jest.spyOn(Course, 'findById').mockImplementation(() => fakeQuery(loadCourse()));
+  jest.spyOn(Course, 'updateOne').mockImplementation((filter, update) => fakeQuery(applyUpdate(filter, update)));
+  jest.spyOn(Batch, 'exists').mockImplementation(() => fakeQuery(true));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('requesting enrollment', () => {
+  test('courses do not require approval unless set', () => {
+    expect(new Course().requiresApproval).toBe(false);
+  });
+
+  test('a student gets a free seat right away', async () => {
+    const studentId = id();
+
+    await expect(requestEnrollment(loadCourse(), studentId)).resolves.toBe('active');
+    expect(findEnrollment(stored, studentId).status).toBe('active');
+  });
+
+  test('a full course puts the student on the waitlist', async () => {
+    setCourse({ capacity: 1 }, [enrollment('active')]);
+    const studentId = id();
+
+    await expect(requestEnrollment(loadCourse(), studentId)).resolves.toBe('waitlisted');
+    expect(findEnrollment(stored, studentId).waitlistedAt).toBeInstanceOf(Date);
+  });
+
+  test('a course that requires approval keeps the request pending', async () => {
+    setCourse({ requiresApproval: true });
+    const studentId = id();
+
+    await expect(requestEnrollment(loadCourse(), studentId)).resolves.toBe('pending');
+    expect(findEnrollment(stored, studentId).waitlistedAt).toBeUndefined();
+  });
+
+  test('only students of the course batch can enroll', async () => {
+    Batch.exists.mockImplementation(() => fakeQuery(null));
+
+    await expect(requestEnrollment(loadCourse(), id())).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('a current enrollment cannot be requested again', async () => {
+    const current = enrollment('pending');
+    setCourse({}, [current]);
+
+    await expect(requestEnrollment(loadCourse(), current.student)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('a rejected student can request again', async () => {
+    const rejected = { ...enrollment('rejected'), reviewedAt: new Date() };
+    setCourse({}, [rejected]);
+
+    await expect(requestEnrollment(loadCourse(), rejected.student)).resolves.toBe('active');
+    expect(stored.students).toHaveLength(1);
+    expect(stored.students[0].reviewedAt).toBeUndefined();
+  });
+
+  test('a request that lost a race answers 409', async () => {
+    const dropped = enrollment('dropped');
+    setCourse({}, [dropped]);
+    const course = loadCourse();
+    stored.students[0].status = 'pending';
+
+    await expect(requestEnrollment(course, dropped.student)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('reviewing requests', () => {
+  test('an approved request gets a free seat', async () => {
+    const pending = enrollment('pending');
+    setCourse({ requiresApproval: true, capacity: 2 }, [enrollment('active'), pending]);
+    const reviewer = id();
+
+    await expect(reviewEnrollment(loadCourse(), pending.student, true, reviewer)).resolves.toBe('active');
+    expect(findEnrollment(stored, pending.student)).toMatchObject({ status: 'active', reviewedBy: reviewer });
+  });
+
+  test('an approved request waits for a seat in a full course', async () => {
+    const pending = enrollment('pending');
+    setCourse({ requiresApproval: true, capacity: 1 }, [enrollment('active'), pending]);
+
+    await expect(reviewEnrollment(loadCourse(), pending.student, true, id())).resolves.toBe('waitlisted');
+  });
+
+  test('waitlisted students can be rejected, but not approved again', async () => {
+    const waitlisted = enrollment('waitlisted');
+    setCourse({ capacity: 1 }, [enrollment('active'), waitlisted]);
+
+    await expect(reviewEnrollment(loadCourse(), waitlisted.student, true, id())).rejects.toMatchObject({ statusCode: 404 });
+    await expect(reviewEnrollment(loadCourse(), waitlisted.student, false, id())).resolves.toBe('rejected');
+  });
+});
+
+describe('the waitlist', () => {
+  test('is served first in first out', () => {
+    const later = enrollment('waitlisted', 5);
+    const earlier = enrollment('waitlisted', 10);
+    setCourse({}, [later, enrollment('active'), earlier]);
+
+    expect(getWaitlist(stored).map(entry => entry._id)).toEqual([earlier._id, later._id]);
+  });
+
+  test('dropping an active student gives the seat to the first waitlisted one', async () => {
+    const active = enrollment('active');
+    const later = enrollment('waitlisted', 5);
+    const earlier = enrollment('waitlisted', 10);
+    setCourse({ capacity: 1 }, [active, later, earlier]);
+
+    await expect(dropEnrollment(loadCourse(), active.student)).resolves.toEqual([earlier.student]);
+    expect(findEnrollment(stored, active.student).status).toBe('dropped');
+    expect(findEnrollment(stored, earlier.student).status).toBe('active');
+    expect(findEnrollment(stored, later.student).status).toBe('waitlisted');
+  });
+
+  test('a larger capacity promotes as many students as it frees seats', async () => {
+    const waitlist = [enrollment('waitlisted', 3), enrollment('waitlisted', 2), enrollment('waitlisted', 1)];
+    setCourse({ capacity: 3 }, [enrollment('active'), ...waitlist]);
+
+    await expect(promoteWaitlisted(stored._id)).resolves.toEqual([waitlist[0].student, waitlist[1].student]);
+    expect(stored.students.filter(entry => entry.status === 'active')).toHaveLength(3);
+  });
+
+  test('never fills a course beyond its capacity', async () => {
+    const waitlisted = enrollment('waitlisted');
+    setCourse({ capacity: 1 }, [enrollment('active'), waitlisted]);
+    // Another request takes the seat between the lookup and the update
+    Course.findById.mockImplementation(() => fakeQuery({ ...loadCourse(), students: [waitlisted] }));
+
+    await expect(promoteWaitlisted(stored._id)).resolves.toEqual([]);
+    expect(findEnrollment(stored, waitlisted.student).status).toBe('waitlisted');
+  });
+
+  test('dropping a pending request frees no seat', async () => {
+    const pending = enrollment('pending');
+    setCourse({ requiresApproval: true, capacity: 1 }, [pending, enrollment('waitlisted')]);
+
+    await expect(dropEnrollment(loadCourse(), pending.student)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,28 @@
+const path = require('path');
+const { resolvePrivateFile } = require('../utils/fileUpload');
+
+const PRIVATE_ROOT = path.join(__dirname, '../uploads');
+const courseId = '65a000000000000000000001';
+
+describe('resolvePrivateFile', () => {
+  test('resolves keys under the private root', () => {
+    expect(resolvePrivateFile(`courses/${courseId}/notes.pdf`))
+      .toBe(path.join(PRIVATE_ROOT, 'courses', courseId, 'notes.pdf'));
+  });
+
+  test('refuses keys outside the private root', () => {
+    expect(resolvePrivateFile('../server.js')).toBeNull();
+    expect(resolvePrivateFile('/etc/passwd')).toBeNull();
+  });
+
+  test('keeps keys inside the given folder', () => {
+    const folder = `courses/${courseId}`;
+
+    expect(resolvePrivateFile(`${folder}/notes.pdf`, folder))
+      .toBe(path.join(PRIVATE_ROOT, 'courses', courseId, 'notes.pdf'));
+    expect(resolvePrivateFile('submissions/65a000000000000000000002/work.pdf', folder)).toBeNull();
+    expect(resolvePrivateFile('courses/65a000000000000000000003/notes.pdf', folder)).toBeNull();
+    expect(resolvePrivateFile(`${folder}/../65a000000000000000000003/notes.pdf`, folder)).toBeNull();
+    expect(resolvePrivateFile(folder, folder)).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { Assignment, Attendance, User } = require('../models');
+const {
+  getGradebookSettings,
+  validateGradebookSettings,
+  calculateStanding,
+  buildGradebook
+} = require('../utils/gradebook');
+const { fakeQuery } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+const student = id();
+const studentId = student.toString();
+
+const past = new Date(Date.now() - DAY);
+const future = new Date(Date.now() + DAY);
+
+// An assignment of the course, with the student's submission graded with the points given
+const assignment = (title, totalPoints, grade, fields = {}) => ({
+  _id: id(),
+  title,
+  totalPoints,
+  dueDate: past,
+  status: 'published',
+  submissions: grade === undefined ? [] : [{ student, status: 'graded', grade }],
+  ...fields
+});
+
+const attendance = statuses => statuses.map(status => ({ student, status }));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('gradebook settings', () => {
+  test('fall back to the default categories and letter scale', () => {
+    const settings = getGradebookSettings({});
+
+    expect(settings.categories.map(category => [category.key, category.weight])).toEqual([
+      ['assignments', 60], ['quizzes', 20], ['attendance', 20]
+    ]);
+    expect(settings.letterScale[0]).toEqual({ letter: 'A', minPercent: 90 });
+  });
+
+  test('order the letter scale from the highest grade down', () => {
+    const settings = getGradebookSettings({
+      gradebook: { categories: [{ key: 'exams', weight: 1 }], letterScale: [{ letter: 'Fail', minPercent: 0 }, { letter: 'Pass', minPercent: 50 }] }
+    });
+
+    expect(settings.categories).toEqual([{ key: 'exams', name: undefined, weight: 1, dropLowest: 0 }]);
+    expect(settings.letterScale.map(grade => grade.letter)).toEqual(['Pass', 'Fail']);
+  });
+
+  test('are checked before they are saved', () => {
+    expect(validateGradebookSettings({
+      categories: [{ key: 'Exams', weight: 0 }, { key: 'exams', weight: 0 }, { key: 'attendance', weight: 0, dropLowest: 1 }]
+    })).toEqual([
+      'Category exams is listed twice',
+      'Attendance scores cannot be dropped',
+      'At least one category needs a weight above 0'
+    ]);
+    expect(validateGradebookSettings({ letterScale: [{ letter: 'A', minPercent: 90 }, { letter: 'B', minPercent: 90 }] }))
+      .toEqual(['Two letters start at 90%', 'The lowest letter must start at 0%']);
+    expect(validateGradebookSettings({ categories: [{ key: 'exams', weight: 100, dropLowest: 1 }] })).toEqual([]);
+  });
+});
+
+describe('calculateStanding', () => {
+  const settings = getGradebookSettings({});
+
+  test('weights the categories', () => {
+    const standing = calculateStanding(settings, [
+      assignment('Essay', 10, 8),
+      assignment('Project', 20, 10),
+      assignment('Quiz 1', 5, 5, { category: 'quizzes' })
+    ], attendance(['present', 'late', 'absent', 'excused']), studentId);
+
+    expect(standing.categories.map(category => category.percent)).toEqual([60, 100, 66.67]);
+    // (60 * 60 + 20 * 100 + 20 * 66.67) / 100
+    expect(standing.percent).toBe(69.33);
+    expect(standing.letter).toBe('D');
+  });
+
+  test('counts late as attended and leaves excused sessions out', () => {
+    const standing = calculateStanding(settings, [], attendance(['late', 'excused', 'excused']), studentId);
+
+    expect(standing.categories[2]).toMatchObject({ attendance: { present: 0, late: 1, absent: 0, excused: 2 }, percent: 100 });
+  });
+
+  test('gives the weight of a category without scores to the others', () => {
+    const standing = calculateStanding(settings, [assignment('Essay', 10, 9)], [], studentId);
+
+    expect(standing.categories.map(category => category.percent)).toEqual([90, null, null]);
+    expect(standing.percent).toBe(90);
+    expect(standing.letter).toBe('A');
+  });
+
+  test('counts missing work after the due date as 0 and leaves out work waiting for a grade', () => {
+    const standing = calculateStanding(settings, [
+      assignment('Essay', 10, 10),
+      assignment('Missed', 10),
+      assignment('Not due yet', 10, undefined, { dueDate: future }),
+      assignment('Extended', 10, undefined, { extensions: [{ student, dueDate: future }] }),
+      assignment('Waiting', 10, undefined, { submissions: [{ student, status: 'submitted' }] })
+    ], [], studentId);
+
+    expect(standing.categories[0].items.map(item => [item.status, item.points])).toEqual([
+      ['graded', 10], ['missing', 0], ['not-submitted', null], ['not-submitted', null], ['submitted', null]
+    ]);
+    expect(standing.percent).toBe(50);
+  });
+
+  test('drops the lowest scores of a category, but keeps at least one', () => {
+    const dropping = getGradebookSettings({ gradebook: { categories: [{ key: 'assignments', weight: 1, dropLowest: 1 }] } });
+    const essay = assignment('Essay', 10, 8);
+    const project = assignment('Project', 20, 10);
+
+    const standing = calculateStanding(dropping, [essay, project], [], studentId);
+
+    expect(standing.categories[0].items.map(item => Boolean(item.dropped))).toEqual([false, true]);
+    expect(standing.percent).toBe(80);
+
+    const single = calculateStanding(dropping, [project], [], studentId);
+    expect(single.percent).toBe(50);
+  });
+
+  test('has no percentage or letter before anything is scored', () => {
+    expect(calculateStanding(settings, [], [], studentId)).toMatchObject({ percent: null, letter: null });
+  });
+});
+
+describe('buildGradebook', () => {
+  test('lists the standing of the enrolled students', async () => {
+    const dropped = id();
+    jest.spyOn(Assignment, 'find').mockImplementation(() => fakeQuery([assignment('Essay', 10, 7)]));
+    jest.spyOn(Attendance, 'find').mockImplementation(() => fakeQuery([...attendance(['present']), { student: dropped, status: 'absent' }]));
+    jest.spyOn(User, 'find').mockImplementation(() => fakeQuery([{ _id: student, firstName: 'Asha', studentInfo: { rollNumber: 'CS-01' } }]));
+
+    const gradebook = await buildGradebook({
+      _id: id(),
+      students: [{ student, status: 'active' }, { student: dropped, status: 'dropped' }]
+    });
+
+    expect(gradebook.assignments).toEqual([expect.objectContaining({ title: 'Essay', category: 'assignments' })]);
+    expect(gradebook.students).toHaveLength(1);
+    expect(gradebook.students[0]).toMatchObject({
+      student: { _id: student, firstName: 'Asha', rollNumber: 'CS-01' },
+      // (60 * 70 + 20 * 100) / 80
+      percent: 77.5,
+      letter: 'C'
+    });
+  });
+});
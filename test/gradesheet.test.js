@@ -0,0 +1,204 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const { User, Course, Assignment, AuditLog } = require('../models');
+const { readGradesheet, planGradeImport, applyGradeImport } = require('../utils/gradesheet');
+const { fakeQuery } = require('./helpers');
+
+// Requests run as mockCurrentUser, in their college, as the auth middleware would
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  auth: (req, res, next) => {
+    req.user = mockCurrentUser;
+    require('../utils/tenancy').runWithTenant(mockCurrentUser.college, next);
+  }
+}));
+jest.mock('../utils/courseProgress', () => ({
+  recalculateCourseProgress: jest.fn(async () => {}),
+  updateStudentProgress: jest.fn(async () => {})
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const college = id();
+const instructor = id();
+const [onTime, late, ungraded] = [id(), id(), id()];
+let assignment;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/assignments', require('../routes/assignments'));
+  return app;
+};
+
+const csv = rows => Buffer.from(
+  ['studentId,rollNumber,grade,feedback', ...rows.map(row => row.join(','))].join('\n')
+);
+
+beforeEach(() => {
+  mockCurrentUser = { _id: instructor, role: 'faculty', college };
+  assignment = Assignment.hydrate({
+    _id: id(),
+    college,
+    title: 'Normal forms',
+    description: 'Normalize the schema',
+    course: id(),
+    dueDate: new Date(),
+    totalPoints: 10,
+    createdBy: instructor,
+    status: 'published',
+    __v: 3,
+    submissions: [
+      { _id: id(), student: onTime, status: 'graded', pointsAwarded: 6, grade: 6, feedback: 'Fine' },
+      { _id: id(), student: late, status: 'late', latePenalty: 20 },
+      { _id: id(), student: ungraded, status: 'submitted' }
+    ]
+  });
+
+  jest.spyOn(User, 'find').mockImplementation(() => fakeQuery([
+    { _id: onTime, studentInfo: { rollNumber: 'CS-01' } },
+    { _id: late, studentInfo: { rollNumber: 'CS-02' } },
+    { _id: ungraded, studentInfo: { rollNumber: 'CS-03' } }
+  ]));
+  jest.spyOn(Assignment, 'findById').mockImplementation(() => fakeQuery(assignment));
+  jest.spyOn(Course, 'findById').mockImplementation(() => fakeQuery({ _id: assignment.course, instructor, students: [] }));
+  jest.spyOn(AuditLog, 'insertMany').mockImplementation(async () => []);
+  // Saves run their hooks but stop before MongoDB
+  jest.spyOn(Assignment.collection, 'updateOne').mockImplementation(async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('readGradesheet', () => {
+  test('reads the key columns of every row as trimmed text', () => {
+    expect(readGradesheet(csv([[onTime, ' CS-01 ', '7', 'Better']]))).toEqual([
+      { studentId: onTime.toString(), rollNumber: 'CS-01', grade: '7', feedback: 'Better' }
+    ]);
+  });
+
+  test('reads an XLSX workbook', () => {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet([{ studentId: '', rollNumber: 'CS-02', grade: 8 }]), 'Grades');
+
+    expect(readGradesheet(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' })))
+      .toEqual([{ studentId: '', rollNumber: 'CS-02', grade: '8', feedback: '' }]);
+  });
+});
+
+describe('planGradeImport', () => {
+  const row = (fields = {}) => ({ studentId: '', rollNumber: '', grade: '', feedback: '', ...fields });
+
+  test('works out the changes without changing the assignment', async () => {
+    const { summary, rows, changes } = await planGradeImport(assignment, [
+      row({ studentId: onTime.toString(), grade: '6', feedback: 'Fine' }),
+      row({ rollNumber: 'CS-02', grade: '9' }),
+      row({ studentId: ungraded.toString() })
+    ]);
+
+    expect(summary).toEqual({ total: 3, graded: 1, updated: 0, unchanged: 2, failed: 0 });
+    expect(rows.map(result => result.action)).toEqual(['unchanged', 'graded', 'unchanged']);
+    expect(changes).toEqual([{ studentId: late.toString(), grade: 9, feedback: undefined }]);
+    expect(assignment.submissions[1].status).toBe('late');
+  });
+
+  test('changes the feedback of a graded submission alone', async () => {
+    const { rows, changes } = await planGradeImport(assignment, [row({ studentId: onTime.toString(), feedback: 'Well done' })]);
+
+    expect(rows[0].changes).toEqual({ feedback: { from: 'Fine', to: 'Well done' } });
+    expect(changes).toEqual([{ studentId: onTime.toString(), grade: undefined, feedback: 'Well done' }]);
+  });
+
+  test('reports every row that cannot be applied, by its sheet row', async () => {
+    const { summary, rows } = await planGradeImport(assignment, [
+      row(),
+      row({ studentId: id().toString(), grade: '5' }),
+      row({ studentId: late.toString(), grade: '11' }),
+      row({ studentId: ungraded.toString(), feedback: 'No grade' }),
+      row({ studentId: onTime.toString(), grade: '7' }),
+      row({ rollNumber: 'CS-01', grade: '8' })
+    ]);
+
+    expect(summary.failed).toBe(5);
+    expect(rows.filter(result => result.action === 'failed').map(result => [result.row, result.errors[0].message])).toEqual([
+      [2, 'studentId or roll number is required'],
+      [3, 'No submission of this student for the assignment'],
+      [4, 'Grade must be between 0 and 10'],
+      [5, 'A grade is required with the feedback of an ungraded submission'],
+      [7, 'Duplicate of row 6']
+    ]);
+  });
+
+  test('leaves rubric grading to the per-criterion route', async () => {
+    assignment.rubric = { title: 'Report', criteria: [{ title: 'Content', levels: [{ title: 'Good', points: 10 }] }] };
+
+    const { rows } = await planGradeImport(assignment, [row({ studentId: ungraded.toString(), grade: '5' })]);
+
+    expect(rows[0].errors).toEqual([{ field: 'grade', message: 'The assignment is graded with a rubric, grade it per criterion instead' }]);
+  });
+});
+
+describe('applyGradeImport', () => {
+  test('grades with the late penalty and saves everything at once', async () => {
+    const gradedStudents = await applyGradeImport(assignment, [
+      { studentId: late.toString(), grade: 10 },
+      { studentId: onTime.toString(), feedback: 'Well done' }
+    ], instructor);
+
+    expect(gradedStudents).toEqual([late.toString()]);
+    expect(assignment.submissions[1]).toMatchObject({ pointsAwarded: 10, grade: 8, status: 'graded', gradedBy: instructor });
+    expect(assignment.submissions[0]).toMatchObject({ grade: 6, feedback: 'Well done' });
+    expect(Assignment.collection.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails when the assignment was changed in the meantime', async () => {
+    Assignment.collection.updateOne.mockImplementation(async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+
+    await expect(applyGradeImport(assignment, [{ studentId: late.toString(), grade: 10 }], instructor))
+      .rejects.toMatchObject({ name: 'VersionError' });
+    const [filter] = Assignment.collection.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: assignment._id, __v: 3 });
+  });
+});
+
+describe('POST /api/assignments/:id/gradesheet', () => {
+  const upload = rows => request(buildApp())
+    .post(`/api/assignments/${assignment._id}/gradesheet`)
+    .attach('gradesheet', csv(rows), 'grades.csv');
+
+  test('saves the grades of a valid sheet', async () => {
+    const res = await upload([[late, '', '10', ''], [ungraded, '', '4', 'Incomplete']]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary.graded).toBe(2);
+    expect(Assignment.collection.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('saves nothing when any row has an error', async () => {
+    const res = await upload([[late, '', '10', ''], [ungraded, '', '40', '']]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.summary).toMatchObject({ graded: 1, failed: 1 });
+    expect(assignment.submissions[1].status).toBe('late');
+    expect(Assignment.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('saves nothing on a dry run', async () => {
+    const res = await request(buildApp())
+      .post(`/api/assignments/${assignment._id}/gradesheet?dryRun=true`)
+      .attach('gradesheet', csv([[late, '', '10', '']]), 'grades.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.rows[0].changes.grade).toEqual({ to: 10 });
+    expect(Assignment.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 when the assignment was changed while importing', async () => {
+    Assignment.collection.updateOne.mockImplementation(async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+
+    const res = await upload([[late, '', '10', '']]);
+
+    expect(res.status).toBe(409);
+  });
+});
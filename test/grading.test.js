@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { Assignment, Rubric } = require('../models');
+const { hasRubric, rubricMaxPoints, gradeSubmission, describeRubricScores, attachRubric } = require('../utils/grading');
+
+const id = () => new mongoose.Types.ObjectId();
+const student = id();
+const grader = id();
+
+const rubric = () => new Rubric({
+  title: 'Report',
+  createdBy: grader,
+  criteria: [
+    {
+      title: 'Content',
+      levels: [{ title: 'Excellent', points: 6 }, { title: 'Fair', points: 3 }, { title: 'Missing', points: 0 }]
+    },
+    {
+      title: 'Style',
+      levels: [{ title: 'Clear', points: 4 }, { title: 'Unclear', points: 1 }]
+    }
+  ]
+});
+
+const assignment = (fields = {}) => new Assignment({
+  title: 'Normal forms',
+  description: 'Normalize the schema',
+  course: id(),
+  dueDate: new Date(),
+  totalPoints: 10,
+  createdBy: grader,
+  submissions: [{ student, status: 'submitted' }],
+  ...fields
+});
+
+// An assignment with the rubric attached, and the rubric's criteria and levels as copied
+const graded = (fields = {}) => {
+  const withRubric = assignment(fields);
+  attachRubric(withRubric, rubric());
+  const [content, style] = withRubric.rubric.criteria;
+  return { withRubric, content, style, submission: withRubric.submissions[0] };
+};
+
+describe('attachRubric', () => {
+  test('copies the criteria, so editing the rubric later leaves the assignment alone', () => {
+    const template = rubric();
+    const target = assignment();
+
+    attachRubric(target, template);
+    template.criteria[0].levels[0].points = 1;
+
+    expect(target.rubric.source).toEqual(template._id);
+    expect(target.rubric.criteria[0].levels[0].points).toBe(6);
+    expect(rubricMaxPoints(target.rubric)).toBe(10);
+  });
+
+  test('refuses a rubric worth more than the assignment', () => {
+    expect(() => attachRubric(assignment({ totalPoints: 8 }), rubric()))
+      .toThrow('Rubric is worth 10 points, more than the assignment\'s 8');
+  });
+
+  test('cannot change once submissions are graded', () => {
+    const target = assignment({ submissions: [{ student, status: 'graded', grade: 5 }] });
+
+    expect(() => attachRubric(target, rubric())).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => attachRubric(target, null)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('detaches the rubric', () => {
+    const { withRubric } = graded();
+
+    attachRubric(withRubric, null);
+
+    expect(hasRubric(withRubric)).toBe(false);
+  });
+});
+
+describe('gradeSubmission with a rubric', () => {
+  test('adds up the points of the picked levels', () => {
+    const { withRubric, content, style, submission } = graded();
+
+    gradeSubmission(withRubric, submission, {
+      rubricScores: [
+        { criterion: style._id, level: style.levels[1]._id },
+        { criterion: content._id, level: content.levels[0]._id, comment: 'Thorough' }
+      ],
+      gradedBy: grader
+    });
+
+    expect(submission).toMatchObject({ pointsAwarded: 7, grade: 7, status: 'graded', gradedBy: grader });
+    // Kept in rubric order
+    expect(submission.rubricScores.map(score => score.points)).toEqual([6, 1]);
+  });
+
+  test('lets the grader give points up to the best level of a criterion', () => {
+    const { withRubric, content, style, submission } = graded();
+
+    gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: content._id, points: 4.5 }, { criterion: style._id, level: style.levels[0]._id, points: 3 }]
+    });
+
+    expect(submission.pointsAwarded).toBe(7.5);
+  });
+
+  test('takes the late penalty off the rubric total', () => {
+    const { withRubric, content, style, submission } = graded({ submissions: [{ student, status: 'late', latePenalty: 20 }] });
+
+    gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: content._id, level: content.levels[0]._id }, { criterion: style._id, level: style.levels[0]._id }]
+    });
+
+    expect(submission).toMatchObject({ pointsAwarded: 10, grade: 8 });
+  });
+
+  test('needs a score for every criterion, once each', () => {
+    const { withRubric, content, submission } = graded();
+    const score = { criterion: content._id, level: content.levels[0]._id };
+
+    expect(() => gradeSubmission(withRubric, submission, { rubricScores: [score] }))
+      .toThrow('Criterion "Style" has no score');
+    expect(() => gradeSubmission(withRubric, submission, { rubricScores: [score, score] }))
+      .toThrow('Every criterion can only be scored once');
+    expect(() => gradeSubmission(withRubric, submission, { grade: 5 }))
+      .toThrow('rubricScores must list a score for every criterion');
+    expect(submission.status).toBe('submitted');
+  });
+
+  test('refuses criteria and levels that are not in the rubric', () => {
+    const { withRubric, content, style, submission } = graded();
+
+    expect(() => gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: id(), points: 1 }, { criterion: content._id, points: 1 }, { criterion: style._id, points: 1 }]
+    })).toThrow('rubricScores contains a criterion that is not in the rubric');
+    expect(() => gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: content._id, level: style.levels[0]._id }, { criterion: style._id, points: 1 }]
+    })).toThrow('Unknown level for criterion "Content"');
+  });
+
+  test('refuses points beyond the best level of a criterion', () => {
+    const { withRubric, content, style, submission } = graded();
+
+    expect(() => gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: content._id, points: 7 }, { criterion: style._id, points: 1 }]
+    })).toThrow('Points for criterion "Content" must be between 0 and 6');
+  });
+
+  test('describes the scores to the student once graded', () => {
+    const { withRubric, content, style, submission } = graded();
+    expect(describeRubricScores(withRubric, submission)).toEqual([]);
+
+    gradeSubmission(withRubric, submission, {
+      rubricScores: [{ criterion: content._id, level: content.levels[1]._id, comment: 'Thin' }, { criterion: style._id, points: 2 }]
+    });
+
+    expect(describeRubricScores(withRubric, submission)).toEqual([
+      { criterion: 'Content', level: 'Fair', points: 3, maxPoints: 6, comment: 'Thin' },
+      { criterion: 'Style', level: undefined, points: 2, maxPoints: 4, comment: undefined }
+    ]);
+  });
+});
+
+describe('gradeSubmission without a rubric', () => {
+  test('takes the points the grader gives', () => {
+    const target = assignment();
+    const [submission] = target.submissions;
+
+    gradeSubmission(target, submission, { grade: '8', feedback: 'Good', gradedBy: grader });
+
+    expect(submission).toMatchObject({ pointsAwarded: 8, grade: 8, feedback: 'Good', status: 'graded' });
+  });
+
+  test('keeps the grade between 0 and the total points', () => {
+    const target = assignment();
+    const [submission] = target.submissions;
+
+    expect(() => gradeSubmission(target, submission, { grade: 11 })).toThrow('Grade must be between 0 and 10');
+    expect(() => gradeSubmission(target, submission, { grade: -1 })).toThrow('Grade must be between 0 and 10');
+    expect(() => gradeSubmission(target, submission, {})).toThrow('Grade must be between 0 and 10');
+  });
+});
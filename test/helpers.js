@@ -0,0 +1,34 @@
+/**
+ * Stand-in for a Mongoose query that resolves to a fixed result, for stubbing model
+ * statics with jest.spyOn. The usual query modifiers can be chained.
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+const fakeQuery = result => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['select', 'populate', 'lean', 'sort', 'limit', 'skip', 'distinct', 'session', 'setOptions'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * Stand-in for a client session, for code that runs a transaction
+ * @returns {Object} Session
+ */
+const fakeSession = () => {
+  let active = false;
+  return {
+    startTransaction: () => { active = true; },
+    commitTransaction: async () => { active = false; },
+    abortTransaction: async () => { active = false; },
+    inTransaction: () => active,
+    endSession: () => {},
+    withTransaction: async fn => fn()
+  };
+};
+
+module.exports = { fakeQuery, fakeSession };
@@ -0,0 +1,2 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env.test') });
@@ -0,0 +1,161 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { Assignment } = require('../models');
+const { calculateLatePenalty } = require('../utils/assignmentLifecycle');
+const { assertCanSubmit, recordAttempt, getAttempts, setGrade } = require('../utils/submissions');
+const { fakeQuery } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+const student = id();
+
+const assignment = (fields = {}) => new Assignment({
+  title: 'Normal forms',
+  description: 'Normalize the schema',
+  course: id(),
+  dueDate: new Date(Date.now() + DAY),
+  totalPoints: 10,
+  createdBy: id(),
+  status: 'published',
+  ...fields
+});
+
+const upload = name => ({
+  path: path.join(__dirname, '../uploads/submissions', name),
+  originalname: name,
+  mimetype: 'application/pdf',
+  size: 1024
+});
+
+beforeEach(() => {
+  jest.spyOn(Assignment, 'updateOne').mockImplementation(() => fakeQuery({ modifiedCount: 1 }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('calculateLatePenalty', () => {
+  const dueDate = new Date('2026-10-01T12:00:00Z');
+  const policy = { latePolicy: { penaltyPerDay: 10, maxPenalty: 25 } };
+
+  test('takes nothing off an attempt made by the due date', () => {
+    expect(calculateLatePenalty(policy, dueDate, dueDate)).toEqual({ daysLate: 0, percent: 0 });
+  });
+
+  test('counts every started day', () => {
+    expect(calculateLatePenalty(policy, new Date(dueDate.getTime() + HOUR), dueDate))
+      .toEqual({ daysLate: 1, percent: 10 });
+    expect(calculateLatePenalty(policy, new Date(dueDate.getTime() + DAY + HOUR), dueDate))
+      .toEqual({ daysLate: 2, percent: 20 });
+  });
+
+  test('stops at the maximum penalty', () => {
+    expect(calculateLatePenalty(policy, new Date(dueDate.getTime() + 5 * DAY), dueDate))
+      .toEqual({ daysLate: 5, percent: 25 });
+  });
+});
+
+describe('assertCanSubmit', () => {
+  test('hides drafts and refuses closed assignments', () => {
+    expect(() => assertCanSubmit(assignment({ status: 'draft' }), student)).toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(() => assertCanSubmit(assignment({ status: 'closed' }), student)).toThrow('Assignment is closed for submissions');
+  });
+
+  test('refuses late attempts when the assignment does not accept them', () => {
+    const strict = assignment({ dueDate: new Date(Date.now() - HOUR), latePolicy: { acceptLate: false } });
+
+    expect(() => assertCanSubmit(strict, student)).toThrow('late submissions are not accepted');
+  });
+
+  test('goes by the due date of the student\'s extension', () => {
+    const strict = assignment({
+      dueDate: new Date(Date.now() - HOUR),
+      latePolicy: { acceptLate: false },
+      extensions: [{ student, dueDate: new Date(Date.now() + DAY) }]
+    });
+
+    expect(() => assertCanSubmit(strict, student)).not.toThrow();
+  });
+
+  test('refuses attempts beyond the maximum', () => {
+    const twice = assignment({
+      maxAttempts: 2,
+      submissions: [{ student, attempts: [{ number: 1 }, { number: 2 }] }]
+    });
+
+    expect(() => assertCanSubmit(twice, student)).toThrow('No attempts left, the maximum is 2');
+  });
+
+  test('refuses attempts once the submission is graded', () => {
+    const graded = assignment({ maxAttempts: 3, submissions: [{ student, status: 'graded', attempts: [{ number: 1 }] }] });
+
+    expect(() => assertCanSubmit(graded, student)).toThrow('Submission is already graded');
+  });
+
+  test('counts a submission from before uploads as an attempt', () => {
+    const legacy = assignment({ submissions: [{ student, fileUrl: 'https://example.com/work.pdf' }] });
+
+    expect(getAttempts(legacy.submissions[0])).toHaveLength(1);
+    expect(() => assertCanSubmit(legacy, student)).toThrow('No attempts left');
+  });
+});
+
+describe('recordAttempt', () => {
+  test('adds the first submission with its first attempt', async () => {
+    const open = assignment();
+
+    const attempt = await recordAttempt(open, student, upload('first.pdf'));
+
+    expect(attempt).toMatchObject({ number: 1, status: 'submitted', latePenalty: 0 });
+    expect(attempt.file).toMatchObject({ key: 'submissions/first.pdf', originalName: 'first.pdf' });
+    const [filter, update] = Assignment.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: open._id, 'submissions.student': { $ne: student } });
+    expect(update.$push.submissions).toMatchObject({ student, status: 'submitted', attempts: [{ _id: attempt._id, number: 1 }] });
+  });
+
+  test('adds a later attempt only if no other attempt came first', async () => {
+    const open = assignment({ maxAttempts: 3, submissions: [{ student, attempts: [{ number: 1 }] }] });
+
+    const attempt = await recordAttempt(open, student, upload('second.pdf'));
+
+    expect(attempt.number).toBe(2);
+    const [filter, update] = Assignment.updateOne.mock.calls[0];
+    expect(filter.submissions.$elemMatch).toMatchObject({ _id: open.submissions[0]._id, attempts: { $size: 1 } });
+    expect(update.$push['submissions.$.attempts'].$each).toMatchObject([{ _id: attempt._id, number: 2 }]);
+  });
+
+  test('keeps a submission from before uploads as the first attempt', async () => {
+    const legacy = assignment({ maxAttempts: 2, submissions: [{ student, fileUrl: 'https://example.com/work.pdf' }] });
+
+    const attempt = await recordAttempt(legacy, student, upload('second.pdf'));
+
+    expect(attempt.number).toBe(2);
+    const [, update] = Assignment.updateOne.mock.calls[0];
+    expect(update.$push['submissions.$.attempts'].$each.map(entry => entry.number)).toEqual([1, 2]);
+  });
+
+  test('records the late penalty of a late attempt', async () => {
+    const late = assignment({ dueDate: new Date(Date.now() - 2 * DAY - HOUR), latePolicy: { penaltyPerDay: 10 } });
+
+    const attempt = await recordAttempt(late, student, upload('late.pdf'));
+
+    expect(attempt).toMatchObject({ daysLate: 3, status: 'late', latePenalty: 30 });
+  });
+
+  test('answers 409 when another request changed the submission', async () => {
+    Assignment.updateOne.mockImplementation(() => fakeQuery({ modifiedCount: 0 }));
+
+    await expect(recordAttempt(assignment(), student, upload('first.pdf'))).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('setGrade', () => {
+  test('takes the late penalty off the points given', () => {
+    const late = assignment({ submissions: [{ student, status: 'late', latePenalty: 30 }] });
+    const [submission] = late.submissions;
+
+    setGrade(submission, 9);
+
+    expect(submission).toMatchObject({ pointsAwarded: 9, grade: 6.3, status: 'graded' });
+  });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { runWithTenant, runWithoutTenant, getTenantCollege, preserveTenant, tenantScoped } = require('../utils/tenancy');
+
+const collegeA = new mongoose.Types.ObjectId();
+const collegeB = new mongoose.Types.ObjectId();
+// A document that belongs to college B
+const recordOfB = { _id: new mongoose.Types.ObjectId(), college: collegeB };
+
+// The probe model records the query as it would reach MongoDB and stops it there
+class Captured extends Error {}
+let captured;
+
+const probeSchema = new mongoose.Schema({ name: String, score: Number });
+probeSchema.plugin(tenantScoped);
+probeSchema.pre(['find', 'findOne', 'updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne'], function() {
+  captured = { filter: this.getFilter(), update: this.getUpdate() };
+  throw new Captured();
+});
+probeSchema.pre('aggregate', function() {
+  captured = { pipeline: this.pipeline() };
+  throw new Captured();
+});
+probeSchema.pre('insertMany', function(next, docs) {
+  captured = { docs };
+  next(new Captured());
+});
+const Probe = mongoose.model('TenantProbe', probeSchema);
+
+const asCollegeA = fn => runWithTenant(collegeA, fn);
+const capture = async run => {
+  captured = null;
+  await expect(run()).rejects.toBeInstanceOf(Captured);
+  return captured;
+};
+
+describe('tenant scoping as college A against college B data', () => {
+  test('find only matches documents of college A', async () => {
+    const { filter } = await capture(() => asCollegeA(() => Probe.find({ _id: recordOfB._id }).exec()));
+
+    expect(filter).toEqual({ _id: recordOfB._id, college: collegeA });
+  });
+
+  test('findOne cannot widen the filter to college B', async () => {
+    const { filter } = await capture(() => asCollegeA(() => Probe.findOne({ college: collegeB }).exec()));
+
+    expect(filter.college).toEqual(collegeA);
+  });
+
+  test('updates are scoped to college A', async () => {
+    const { filter } = await capture(() => asCollegeA(() => Probe.updateMany({ _id: recordOfB._id }, { $set: { score: 0 } }).exec()));
+
+    expect(filter).toEqual({ _id: recordOfB._id, college: collegeA });
+  });
+
+  test('updates cannot move documents to college B', async () => {
+    await expect(asCollegeA(() => Probe.updateOne({}, { $set: { college: collegeB } }).exec()))
+      .rejects.toThrow('Cannot move documents to another college');
+  });
+
+  test('upserts match and create documents of college A only', async () => {
+    const { filter, update } = await capture(() => asCollegeA(() =>
+      Probe.updateOne({ _id: recordOfB._id }, { $set: { score: 1 } }, { upsert: true }).exec()));
+
+    expect(filter).toEqual({ _id: recordOfB._id, college: collegeA });
+    expect(update.$setOnInsert).toMatchObject({ college: collegeA });
+  });
+
+  test('aggregations start with a match on college A', async () => {
+    const { pipeline } = await capture(() => asCollegeA(() =>
+      Probe.aggregate([{ $match: { _id: recordOfB._id } }]).exec()));
+
+    expect(pipeline[0]).toEqual({ $match: { college: collegeA } });
+    expect(pipeline[1]).toEqual({ $match: { _id: recordOfB._id } });
+  });
+
+  test('new documents are stamped with college A', async () => {
+    const probe = new Probe({ name: 'new' });
+    await asCollegeA(() => probe.validate());
+
+    expect(probe.college).toEqual(collegeA);
+  });
+
+  test('documents of college B cannot be saved', async () => {
+    const probe = new Probe(recordOfB);
+
+    await expect(asCollegeA(() => probe.validate())).rejects.toThrow('Cannot write documents of another college');
+  });
+
+  test('insertMany refuses documents of college B', async () => {
+    await expect(asCollegeA(() => Probe.insertMany([{ name: 'a' }, { name: 'b', college: collegeB }])))
+      .rejects.toThrow('Cannot write documents of another college');
+  });
+
+  test('queries outside a tenant context are not scoped', async () => {
+    const { filter } = await capture(() => Probe.find({ _id: recordOfB._id }).exec());
+
+    expect(filter).toEqual({ _id: recordOfB._id });
+  });
+
+  test('queries run without tenant scoping see every college', async () => {
+    const { filter } = await capture(() => asCollegeA(() =>
+      runWithoutTenant(() => Probe.findOne({ name: 'taken' }))));
+
+    expect(filter).toEqual({ name: 'taken' });
+  });
+});
+
+describe('tenant scoping across a multipart upload', () => {
+  const buildApp = wrap => {
+    const app = express();
+    const upload = multer({ storage: multer.memoryStorage() }).single('file');
+
+    // Stands in for the auth middleware, which runs the request as the user's college
+    app.use((req, res, next) => runWithTenant(collegeA, next));
+    app.put('/records/:id', wrap(upload), async (req, res) => {
+      const college = getTenantCollege();
+      const { filter } = await capture(() => Probe.findOne({ _id: req.params.id }).exec());
+      res.json({ college, filter, file: req.file && req.file.originalname });
+    });
+    return app;
+  };
+
+  test('queries after a wrapped upload stay scoped to college A', async () => {
+    const res = await request(buildApp(preserveTenant))
+      .put(`/records/${recordOfB._id}`)
+      .field('name', 'changed')
+      .attach('file', Buffer.from('avatar'), 'avatar.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.file).toBe('avatar.png');
+    expect(res.body.college).toBe(collegeA.toString());
+    expect(res.body.filter).toEqual({ _id: recordOfB._id.toString(), college: collegeA.toString() });
+  });
+
+  test('an unwrapped upload loses the tenant context', async () => {
+    const res = await request(buildApp(upload => upload))
+      .put(`/records/${recordOfB._id}`)
+      .attach('file', Buffer.from('avatar'), 'avatar.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.college).toBeNull();
+    expect(res.body.filter).toEqual({ _id: recordOfB._id.toString() });
+  });
+});
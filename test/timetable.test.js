@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { Course } = require('../models');
+const {
+  validateSchedule,
+  findScheduleConflicts,
+  buildWeeklyTimetable,
+  toICalendar
+} = require('../utils/timetable');
+const { fakeQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const instructor = id();
+const batchId = id();
+
+const slot = (day, startTime, endTime) => ({ _id: id(), day, startTime, endTime });
+
+// A term running from Monday 7 September to the end of the year
+const course = (fields = {}) => ({
+  _id: id(),
+  title: 'Databases',
+  batchName: 'CSE 2026',
+  instructor,
+  batchId,
+  isActive: true,
+  status: 'ongoing',
+  startDate: new Date(2026, 8, 7),
+  endDate: new Date(2026, 11, 18),
+  schedule: [slot('Monday', '09:00', '10:30')],
+  ...fields
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('validateSchedule', () => {
+  test('writes times as HH:mm', () => {
+    const schedule = [slot('Monday', '9:00', '10:30')];
+
+    expect(validateSchedule(schedule)).toEqual([]);
+    expect(schedule[0].startTime).toBe('09:00');
+  });
+
+  test('reports unknown days and unreadable times', () => {
+    const errors = validateSchedule([slot('Funday', '25:00', 'noon')]);
+
+    expect(errors).toEqual([
+      expect.stringMatching(/^Slot 1: day must be one of/),
+      'Slot 1: start time must be HH:mm',
+      'Slot 1: end time must be HH:mm'
+    ]);
+  });
+
+  test('reports slots that do not end after they start', () => {
+    expect(validateSchedule([slot('Monday', '10:00', '10:00')])).toEqual(['Slot 1: must end after it starts']);
+  });
+
+  test('reports slots of the course that overlap', () => {
+    const errors = validateSchedule([slot('Monday', '09:00', '10:30'), slot('Monday', '10:00', '11:00')]);
+
+    expect(errors).toEqual(['Slots Monday 09:00-10:30 and 10:00-11:00 overlap']);
+  });
+
+  test('allows back to back slots', () => {
+    expect(validateSchedule([slot('Monday', '09:00', '10:00'), slot('Monday', '10:00', '11:00')])).toEqual([]);
+  });
+});
+
+describe('findScheduleConflicts', () => {
+  const others = courses => jest.spyOn(Course, 'find').mockImplementation(() => fakeQuery(courses));
+
+  test('reports a course of the same instructor at the same time', async () => {
+    const other = course({ title: 'Networks', batchId: id(), schedule: [slot('Monday', '10:00', '11:00')] });
+    others([other]);
+
+    const conflicts = await findScheduleConflicts(course());
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      course: expect.objectContaining({ _id: other._id, title: 'Networks' }),
+      reason: 'instructor',
+      day: 'Monday',
+      slot: { startTime: '09:00', endTime: '10:30' },
+      conflictingSlot: { startTime: '10:00', endTime: '11:00' }
+    })]);
+  });
+
+  test('reports a course of the same batch with another instructor', async () => {
+    others([course({ instructor: id(), schedule: [slot('Monday', '08:30', '09:30')] })]);
+
+    const conflicts = await findScheduleConflicts(course());
+
+    expect(conflicts.map(conflict => conflict.reason)).toEqual(['batch']);
+  });
+
+  test('ignores slots on other days or back to back', async () => {
+    others([course({ schedule: [slot('Tuesday', '09:00', '10:30'), slot('Monday', '10:30', '12:00')] })]);
+
+    await expect(findScheduleConflicts(course())).resolves.toEqual([]);
+  });
+
+  test('ignores a slot whose weekday never falls in the shared dates', async () => {
+    // Overlaps the term on Monday and Tuesday only, so its Wednesday class never meets
+    others([course({
+      startDate: new Date(2026, 8, 1),
+      endDate: new Date(2026, 8, 8),
+      schedule: [slot('Wednesday', '09:00', '10:30')]
+    })]);
+
+    const conflicts = await findScheduleConflicts(course({ schedule: [slot('Wednesday', '09:00', '10:30')] }));
+
+    expect(conflicts).toEqual([]);
+  });
+
+  test('looks only at running courses of the instructor or batch in the same dates', async () => {
+    others([]);
+    const checked = course();
+
+    await findScheduleConflicts(checked);
+
+    expect(Course.find).toHaveBeenCalledWith(expect.objectContaining({
+      isActive: true,
+      status: { $ne: 'completed' },
+      _id: { $ne: checked._id },
+      $or: [{ instructor }, { batchId }],
+      startDate: { $lte: checked.endDate },
+      endDate: { $gte: checked.startDate }
+    }));
+  });
+
+  test('does not check completed courses', async () => {
+    others([course()]);
+
+    await expect(findScheduleConflicts(course({ status: 'completed' }))).resolves.toEqual([]);
+    expect(Course.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildWeeklyTimetable', () => {
+  test('lists the classes of each day in time order', () => {
+    const week = buildWeeklyTimetable([
+      course({ title: 'Later', schedule: [slot('Monday', '14:00', '15:00')] }),
+      course({ title: 'Earlier', schedule: [slot('Monday', '09:00', '10:00'), slot('Friday', '11:00', '12:00')] })
+    ]);
+
+    expect(week.Monday.map(entry => entry.title)).toEqual(['Earlier', 'Later']);
+    expect(week.Friday.map(entry => entry.startTime)).toEqual(['11:00']);
+    expect(week.Sunday).toEqual([]);
+  });
+});
+
+describe('toICalendar', () => {
+  test('exports a weekly event from the first meeting until the course ends', () => {
+    const calendar = toICalendar([course({ schedule: [slot('Wednesday', '09:00', '10:30')] })], 'My timetable');
+
+    expect(calendar).toContain('DTSTART:20260909T090000');
+    expect(calendar).toContain('DTEND:20260909T103000');
+    expect(calendar).toContain('RRULE:FREQ=WEEKLY;BYDAY=WE;UNTIL=20261218T235959');
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  findSessionUser
+} = require('../utils/tokens');
+const { fakeQuery } = require('./helpers');
+
+const same = (a, b) => String(a) === String(b);
+
+// The user as MongoDB would hold it. User.updateOne applies the updates of
+// utils/tokens.js to it, including the conditional update of a rotation.
+let stored;
+
+const matches = (token, condition) => Object.entries(condition).every(([field, value]) => {
+  if (value && value.$lte) return token[field] <= value.$lte;
+  return same(token[field], value);
+});
+
+const applyUpdate = (filter, update) => {
+  if (filter._id && !same(filter._id, stored._id)) return { modifiedCount: 0 };
+  if (filter['refreshTokens.previousHash'] &&
+    !stored.refreshTokens.some(token => token.previousHash === filter['refreshTokens.previousHash'])) {
+    return { modifiedCount: 0 };
+  }
+
+  let index = -1;
+  if (filter.refreshTokens && filter.refreshTokens.$elemMatch) {
+    index = stored.refreshTokens.findIndex(token => matches(token, filter.refreshTokens.$elemMatch));
+    if (index === -1) return { modifiedCount: 0 };
+  }
+
+  if (update.$pull) {
+    stored.refreshTokens = stored.refreshTokens.filter(token => !matches(token, update.$pull.refreshTokens));
+  }
+  if (update.$push) {
+    const { $each, $slice } = update.$push.refreshTokens;
+    stored.refreshTokens = [...stored.refreshTokens, ...$each].slice($slice);
+  }
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    if (path === 'refreshTokens') {
+      stored.refreshTokens = value;
+    } else {
+      stored.refreshTokens[index][path.replace('refreshTokens.$.', '')] = value;
+    }
+  });
+  if (update.$inc) stored.tokenVersion = (stored.tokenVersion || 0) + update.$inc.tokenVersion;
+  return { modifiedCount: 1 };
+};
+
+const findUser = filter => {
+  const hash = filter['refreshTokens.tokenHash'];
+  if (hash && !stored.refreshTokens.some(token => token.tokenHash === hash)) return null;
+  if (filter['refreshTokens._id'] && !stored.refreshTokens.some(token => same(token._id, filter['refreshTokens._id']))) {
+    return null;
+  }
+  if (filter.tokenVersion !== undefined) {
+    const accepted = filter.tokenVersion.$in || [filter.tokenVersion];
+    if (!accepted.includes(stored.tokenVersion)) return null;
+  }
+  return User.hydrate({ ...stored, refreshTokens: stored.refreshTokens.map(token => ({ ...token })) });
+};
+
+beforeEach(() => {
+  stored = { _id: new mongoose.Types.ObjectId(), role: 'student', isActive: true, tokenVersion: 0, refreshTokens: [] };
+  jest.spyOn(User, 'updateOne').mockImplementation((filter, update) => fakeQuery(applyUpdate(filter, update)));
+  jest.spyOn(User, 'findOne').mockImplementation(filter => fakeQuery(findUser(filter)));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const signIn = () => createSession(User.hydrate(stored), { device: 'Laptop', ip: '10.0.0.1' });
+
+describe('createSession', () => {
+  test('stores only the hash of the refresh token', async () => {
+    const { refreshToken } = await signIn();
+
+    expect(stored.refreshTokens).toHaveLength(1);
+    expect(stored.refreshTokens[0].tokenHash).toBe(hashToken(refreshToken));
+    expect(JSON.stringify(stored)).not.toContain(refreshToken);
+  });
+
+  test('binds the access token to the session', async () => {
+    const { accessToken } = await signIn();
+
+    const decoded = verifyAccessToken(accessToken);
+    expect(decoded.sid).toBe(stored.refreshTokens[0]._id.toString());
+    await expect(findSessionUser(decoded)).resolves.not.toBeNull();
+  });
+
+  test('drops expired sessions', async () => {
+    stored.refreshTokens = [{ _id: new mongoose.Types.ObjectId(), tokenHash: 'old', expiresAt: new Date(Date.now() - 1000) }];
+
+    await signIn();
+
+    expect(stored.refreshTokens.map(token => token.tokenHash)).not.toContain('old');
+  });
+});
+
+describe('rotateSession', () => {
+  test('exchanges a refresh token for a new one', async () => {
+    const first = await signIn();
+
+    const rotated = await rotateSession(first.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(first.refreshToken);
+    expect(stored.refreshTokens[0].tokenHash).toBe(hashToken(rotated.refreshToken));
+    await expect(rotateSession(rotated.refreshToken)).resolves.not.toBeNull();
+  });
+
+  test('revokes the session when a rotated token is used again', async () => {
+    const first = await signIn();
+    const rotated = await rotateSession(first.refreshToken);
+
+    await expect(rotateSession(first.refreshToken)).resolves.toBeNull();
+
+    expect(stored.refreshTokens).toHaveLength(0);
+    await expect(rotateSession(rotated.refreshToken)).resolves.toBeNull();
+  });
+
+  test('refuses and revokes an expired session', async () => {
+    const { refreshToken } = await signIn();
+    stored.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expect(rotateSession(refreshToken)).resolves.toBeNull();
+    expect(stored.refreshTokens).toHaveLength(0);
+  });
+
+  test('refuses a deactivated account', async () => {
+    const { refreshToken } = await signIn();
+    stored.isActive = false;
+
+    await expect(rotateSession(refreshToken)).resolves.toBeNull();
+  });
+
+  test('lets only one of two concurrent rotations through', async () => {
+    const { refreshToken } = await signIn();
+    // Both requests look the session up before either rotates it
+    const user = findUser({ 'refreshTokens.tokenHash': hashToken(refreshToken) });
+    User.findOne.mockImplementation(() => fakeQuery(user));
+
+    const results = await Promise.all([rotateSession(refreshToken), rotateSession(refreshToken)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+});
+
+describe('revoking sessions', () => {
+  test('logging out ends the access token of that session', async () => {
+    const { accessToken } = await signIn();
+    const decoded = verifyAccessToken(accessToken);
+
+    await revokeSession(stored._id, decoded.sid);
+
+    await expect(findSessionUser(decoded)).resolves.toBeNull();
+  });
+
+  test('revoking all sessions ends every access token already issued', async () => {
+    const { accessToken } = await signIn();
+    const decoded = verifyAccessToken(accessToken);
+    // A session started again keeps the ID, but the token carries the old version
+    const [session] = stored.refreshTokens;
+
+    await revokeAllSessions(stored._id);
+    stored.refreshTokens = [session];
+
+    expect(stored.tokenVersion).toBe(1);
+    await expect(findSessionUser(decoded)).resolves.toBeNull();
+  });
+});
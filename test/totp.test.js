@@ -0,0 +1,51 @@
+const { base32Encode, base32Decode, totp, verifyTotp } = require('../utils/totp');
+
+// Seeds and expected 8-digit codes from RFC 6238, appendix B
+const SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+const VECTORS = [
+  { seconds: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+  { seconds: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+  { seconds: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+  { seconds: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+  { seconds: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+  { seconds: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+describe('RFC 6238 test vectors', () => {
+  Object.keys(SEEDS).forEach(algorithm => {
+    test.each(VECTORS)(`${algorithm} at T=$seconds`, vector => {
+      const options = { time: vector.seconds * 1000, digits: 8, algorithm };
+
+      expect(totp(SEEDS[algorithm], options)).toBe(vector[algorithm]);
+      expect(totp(base32Encode(SEEDS[algorithm]), options)).toBe(vector[algorithm]);
+      expect(verifyTotp(vector[algorithm], SEEDS[algorithm], { ...options, window: 0 }))
+        .toBe(Math.floor(vector.seconds / 30));
+    });
+  });
+});
+
+describe('verifyTotp', () => {
+  const secret = base32Encode(SEEDS.sha1);
+  const time = 1111111111 * 1000;
+
+  test('accepts codes one step either side of the current one', () => {
+    expect(verifyTotp(totp(secret, { time: time - 30000 }), secret, { time })).not.toBeNull();
+    expect(verifyTotp(totp(secret, { time: time + 30000 }), secret, { time })).not.toBeNull();
+  });
+
+  test('rejects codes outside the window and malformed codes', () => {
+    expect(verifyTotp(totp(secret, { time: time - 90000 }), secret, { time })).toBeNull();
+    expect(verifyTotp('12345', secret, { time })).toBeNull();
+    expect(verifyTotp('abcdef', secret, { time })).toBeNull();
+  });
+});
+
+test('base32 round trip', () => {
+  expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  expect(base32Decode('mzxw 6ytb oi==')).toEqual(Buffer.from('foobar'));
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { User, Student, Batch } = require('../models');
+const { runWithTenant } = require('../utils/tenancy');
+const { importUsers } = require('../utils/userImport');
+const { fakeQuery, fakeSession } = require('./helpers');
+
+jest.mock('../utils/emailVerification', () => ({ sendVerificationEmail: jest.fn() }));
+
+const college = new mongoose.Types.ObjectId();
+const batchId = new mongoose.Types.ObjectId().toString();
+const facultyId = new mongoose.Types.ObjectId().toString();
+const createdBy = new mongoose.Types.ObjectId();
+
+const studentRow = (values = {}) => ({
+  firstName: 'Asha',
+  lastName: 'Rao',
+  email: 'asha.rao@example.com',
+  role: 'student',
+  batchId,
+  batchIds: [batchId],
+  rollNumber: 'CS-101',
+  department: 'CSE',
+  phoneNumber: '',
+  semester: '3',
+  academicYear: '2026-27',
+  assignedFaculty: facultyId,
+  ...values
+});
+
+let existingUsers;
+let savedUsers;
+let savedProfiles;
+let existingProfile;
+
+beforeEach(() => {
+  existingUsers = [];
+  savedUsers = [];
+  savedProfiles = [];
+  existingProfile = null;
+
+  jest.spyOn(mongoose, 'startSession').mockImplementation(async () => fakeSession());
+  jest.spyOn(Batch, 'find').mockImplementation(() => fakeQuery([{ _id: batchId }]));
+  // The students are already in their batch
+  jest.spyOn(Batch, 'countDocuments').mockImplementation(() => fakeQuery(0));
+  jest.spyOn(Batch, 'updateMany').mockImplementation(() => fakeQuery({ modifiedCount: 0 }));
+  // Faculty lookups are by role; account lookups by email or roll number
+  jest.spyOn(User, 'find').mockImplementation(filter => fakeQuery(filter.role === 'faculty' ? [{ _id: facultyId }] : existingUsers));
+  jest.spyOn(User, 'exists').mockImplementation(() => fakeQuery(null));
+  jest.spyOn(User, 'updateOne').mockImplementation(() => fakeQuery({ modifiedCount: 1 }));
+  jest.spyOn(Student, 'findOne').mockImplementation(() => fakeQuery(existingProfile));
+  jest.spyOn(Student, 'findOneAndUpdate').mockImplementation(() => fakeQuery(existingProfile));
+
+  // Documents are validated as a real save would, without reaching MongoDB
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    savedUsers.push(this);
+    return this;
+  });
+  jest.spyOn(Student.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    savedProfiles.push(this);
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const runImport = (rows, options = {}) => runWithTenant(college, () => importUsers(rows, { createdBy, ...options }));
+
+describe('importUsers', () => {
+  test('creates a student with a valid Student record', async () => {
+    const { summary, rows, credentials } = await runImport([studentRow()]);
+
+    expect(rows[0].errors).toEqual([]);
+    expect(summary).toMatchObject({ created: 1, failed: 0 });
+    expect(credentials).toHaveLength(1);
+
+    const [user] = savedUsers;
+    expect(user.studentInfo.semester).toBe(3);
+    expect(user.studentInfo.academicYear).toBe('2026-27');
+
+    const [profile] = savedProfiles;
+    expect(profile.toObject()).toMatchObject({
+      user: user._id,
+      college,
+      rollNumber: 'CS-101',
+      department: 'CSE',
+      semester: 3,
+      academicYear: '2026-27',
+      email: 'asha.rao@example.com'
+    });
+    expect(profile.assignedFaculty.toString()).toBe(facultyId);
+    expect(Batch.updateMany).toHaveBeenCalledWith({ _id: { $in: [batchId] } }, { $addToSet: { students: user._id } });
+  });
+
+  test('a dry run reports the rows a real import would reject', async () => {
+    const { summary, rows } = await runImport([
+      studentRow(),
+      studentRow({ email: 'b@example.com', rollNumber: 'CS-102', semester: '', academicYear: '', assignedFaculty: '' }),
+      studentRow({ email: 'c@example.com', rollNumber: 'CS-103', semester: '9', assignedFaculty: new mongoose.Types.ObjectId().toString() })
+    ], { dryRun: true });
+
+    expect(summary).toMatchObject({ created: 1, failed: 2 });
+    expect(rows[1].errors.map(error => error.field)).toEqual(['semester', 'academicYear', 'assignedFaculty']);
+    expect(rows[2].errors.map(error => error.field)).toEqual(['semester', 'assignedFaculty']);
+    expect(savedUsers).toHaveLength(0);
+    expect(savedProfiles).toHaveLength(0);
+  });
+
+  test('gives an existing student without a Student record one', async () => {
+    existingUsers = [new User({
+      username: 'ashar123',
+      password: 'hashed',
+      role: 'student',
+      college,
+      firstName: 'Asha',
+      lastName: 'Rao',
+      email: 'asha.rao@example.com',
+      studentInfo: { rollNumber: 'CS-101', branch: 'CSE', semester: 3, academicYear: '2026-27' }
+    })];
+
+    const { summary, rows } = await runImport([studentRow()]);
+
+    expect(summary).toMatchObject({ updated: 1 });
+    expect(rows[0].changes).toEqual(['studentProfile']);
+    expect(savedProfiles).toHaveLength(1);
+    expect(savedProfiles[0].assignedFaculty.toString()).toBe(facultyId);
+  });
+
+  test('leaves an up-to-date student unchanged', async () => {
+    const user = new User({
+      username: 'ashar123',
+      password: 'hashed',
+      role: 'student',
+      college,
+      firstName: 'Asha',
+      lastName: 'Rao',
+      email: 'asha.rao@example.com',
+      studentInfo: { rollNumber: 'CS-101', branch: 'CSE', semester: 3, academicYear: '2026-27' }
+    });
+    existingUsers = [user];
+    existingProfile = { user: user._id, assignedFaculty: new mongoose.Types.ObjectId(facultyId) };
+
+    const { summary, rows } = await runImport([studentRow()]);
+
+    expect(summary).toMatchObject({ unchanged: 1 });
+    expect(rows[0].changes).toEqual([]);
+    expect(savedUsers).toHaveLength(0);
+  });
+});
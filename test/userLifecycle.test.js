@@ -0,0 +1,39 @@
+const { User } = require('../models');
+const { getRetentionDays, purgeDeletedUsers } = require('../utils/userLifecycle');
+const { fakeQuery } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const savedRetention = process.env.USER_RETENTION_DAYS;
+
+afterEach(() => {
+  if (savedRetention === undefined) delete process.env.USER_RETENTION_DAYS;
+  else process.env.USER_RETENTION_DAYS = savedRetention;
+  jest.restoreAllMocks();
+});
+
+describe('retention period', () => {
+  test('is read from the environment when it is needed', () => {
+    process.env.USER_RETENTION_DAYS = '30';
+    expect(getRetentionDays()).toBe(30);
+
+    process.env.USER_RETENTION_DAYS = '365';
+    expect(getRetentionDays()).toBe(365);
+  });
+
+  test('defaults to 90 days', () => {
+    delete process.env.USER_RETENTION_DAYS;
+    expect(getRetentionDays()).toBe(90);
+  });
+
+  test('decides which deleted accounts are purged', async () => {
+    process.env.USER_RETENTION_DAYS = '30';
+    const find = jest.spyOn(User, 'find').mockImplementation(() => fakeQuery([]));
+
+    const before = Date.now();
+    await purgeDeletedUsers();
+
+    const cutoff = find.mock.calls[0][0].deletedAt.$lte.getTime();
+    expect(cutoff).toBeGreaterThanOrEqual(before - 30 * DAY_MS);
+    expect(cutoff).toBeLessThanOrEqual(Date.now() - 30 * DAY_MS);
+  });
+});
@@ -0,0 +1,220 @@
+const AppError = require('./appError');
+const { hasPermission } = require('./permissions');
+const { ENROLLED_STATUSES, findEnrollment } = require('./enrollment');
+
+/**
+ * Assignment lifecycle.
+ * An assignment starts as a draft that only the course's instructors see. Publishing
+ * shows it to the course's students, right away or from its publishAt date. A closed
+ * assignment takes no more submissions until it is published again, and an archived one
+ * is hidden from students and from course progress for good. Instructors can give single
+ * students a later due date.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses of assignments students work on; assignments from before drafts have none
+const PUBLISHED_STATUSES = ['published', 'closed', null];
+
+/**
+ * Filter for the assignments students can see
+ * @param {Date} [now] - Moment to check the publish date against
+ * @returns {Object} MongoDB filter
+ */
+const visibleFilter = (now = new Date()) => ({
+  status: { $in: PUBLISHED_STATUSES },
+  $or: [{ publishAt: null }, { publishAt: { $lte: now } }]
+});
+
+/**
+ * Check whether students can see an assignment
+ * @param {Object} assignment - Assignment document
+ * @param {Date} [now] - Moment to check the publish date against
+ * @returns {boolean}
+ */
+const isVisible = (assignment, now = new Date()) =>
+  PUBLISHED_STATUSES.includes(assignment.status || null) &&
+  (!assignment.publishAt || assignment.publishAt <= now);
+
+/**
+ * Check whether a user may manage the assignments of a course: its instructor, or
+ * anyone who may edit any course
+ * @param {Object} user - User document
+ * @param {Object} course - Course document
+ * @returns {boolean}
+ */
+const canManageAssignments = (user, course) =>
+  hasPermission(user, 'courses:update-any') ||
+  (Boolean(course.instructor) && course.instructor.toString() === user._id.toString());
+
+/**
+ * Get the due date of an assignment for a student, taking extensions into account
+ * @param {Object} assignment - Assignment document
+ * @param {string|Object} studentId - User ID
+ * @returns {Date} Due date
+ */
+const getDueDate = (assignment, studentId) => {
+  const extension = (assignment.extensions || [])
+    .find(e => e.student && e.student.toString() === studentId.toString());
+  return extension ? extension.dueDate : assignment.dueDate;
+};
+
+/**
+ * Calculate the late penalty of a submission
+ * @param {Object} assignment - Assignment with its latePolicy
+ * @param {Date} submittedAt - Time of the submission
+ * @param {Date} dueDate - Due date of the student
+ * @returns {{ daysLate: number, percent: number }} Started days late and percentage lost
+ */
+const calculateLatePenalty = (assignment, submittedAt, dueDate) => {
+  if (submittedAt <= dueDate) return { daysLate: 0, percent: 0 };
+
+  const daysLate = Math.ceil((submittedAt - dueDate) / DAY);
+  const { penaltyPerDay = 0, maxPenalty = 100 } = assignment.latePolicy || {};
+  return { daysLate, percent: Math.min(daysLate * penaltyPerDay, maxPenalty) };
+};
+
+/**
+ * Mark ungraded submissions late or on time again, with their late penalty, after a
+ * due date changed
+ * @param {Object} assignment - Assignment document, changed in place
+ */
+const refreshLateStatus = assignment => {
+  assignment.submissions.forEach(submission => {
+    if (!submission.student || !['submitted', 'late'].includes(submission.status)) return;
+    const { daysLate, percent } = calculateLatePenalty(
+      assignment, submission.submittedAt, getDueDate(assignment, submission.student)
+    );
+    submission.status = daysLate ? 'late' : 'submitted';
+    submission.latePenalty = percent;
+  });
+};
+
+const assertNotArchived = assignment => {
+  if (assignment.status === 'archived') {
+    throw new AppError('Archived assignments cannot be changed', 400);
+  }
+};
+
+/**
+ * Publish a draft, or reopen a closed assignment
+ * @param {Object} assignment - Assignment document, changed in place
+ * @param {Date} [publishAt] - Show it to students from this moment instead of right away
+ */
+const publishAssignment = (assignment, publishAt) => {
+  assertNotArchived(assignment);
+  if (assignment.status === 'published' && !publishAt) {
+    throw new AppError('Assignment is already published', 400);
+  }
+  if (publishAt && publishAt >= assignment.dueDate) {
+    throw new AppError('Publish date must be before the due date', 400);
+  }
+
+  const now = new Date();
+  assignment.status = 'published';
+  assignment.publishAt = publishAt && publishAt > now ? publishAt : undefined;
+  assignment.publishedAt = assignment.publishedAt || now;
+  assignment.closedAt = undefined;
+};
+
+/**
+ * Take a published assignment back to draft. Only possible before anyone submitted.
+ * @param {Object} assignment - Assignment document, changed in place
+ */
+const unpublishAssignment = assignment => {
+  if (assignment.status === 'draft') {
+    throw new AppError('Assignment is already a draft', 400);
+  }
+  assertNotArchived(assignment);
+  if (assignment.submissions.length) {
+    throw new AppError('Assignments with submissions cannot go back to draft', 400);
+  }
+
+  assignment.status = 'draft';
+  assignment.publishAt = undefined;
+  assignment.publishedAt = undefined;
+  assignment.closedAt = undefined;
+};
+
+/**
+ * Stop taking submissions
+ * @param {Object} assignment - Assignment document, changed in place
+ */
+const closeAssignment = assignment => {
+  if (assignment.status !== 'published') {
+    throw new AppError('Only published assignments can be closed', 400);
+  }
+
+  assignment.status = 'closed';
+  assignment.closedAt = new Date();
+};
+
+/**
+ * Hide an assignment from students and course progress for good
+ * @param {Object} assignment - Assignment document, changed in place
+ */
+const archiveAssignment = assignment => {
+  assertNotArchived(assignment);
+
+  assignment.status = 'archived';
+  assignment.archivedAt = new Date();
+};
+
+/**
+ * Give a student of the course a later due date, or change the one they have
+ * @param {Object} assignment - Assignment document, changed in place
+ * @param {Object} course - Course of the assignment, with its students
+ * @param {Object} extension - { student, dueDate, reason, grantedBy }
+ */
+const grantExtension = (assignment, course, { student, dueDate, reason, grantedBy }) => {
+  assertNotArchived(assignment);
+
+  const enrollment = findEnrollment(course, student);
+  if (!enrollment || !ENROLLED_STATUSES.includes(enrollment.status)) {
+    throw new AppError('Student is not enrolled in this course', 404);
+  }
+  if (dueDate <= assignment.dueDate) {
+    throw new AppError('Extended due date must be after the due date of the assignment', 400);
+  }
+
+  const existing = assignment.extensions.find(e => e.student.toString() === student.toString());
+  if (existing) {
+    Object.assign(existing, { dueDate, reason, grantedBy, grantedAt: new Date() });
+  } else {
+    assignment.extensions.push({ student, dueDate, reason, grantedBy });
+  }
+  refreshLateStatus(assignment);
+};
+
+/**
+ * Take back a student's extension
+ * @param {Object} assignment - Assignment document, changed in place
+ * @param {string|Object} studentId - User ID
+ */
+const revokeExtension = (assignment, studentId) => {
+  assertNotArchived(assignment);
+
+  const existing = assignment.extensions.find(e => e.student.toString() === studentId.toString());
+  if (!existing) {
+    throw new AppError('Student has no extension for this assignment', 404);
+  }
+
+  existing.deleteOne();
+  refreshLateStatus(assignment);
+};
+
+module.exports = {
+  PUBLISHED_STATUSES,
+  visibleFilter,
+  isVisible,
+  canManageAssignments,
+  getDueDate,
+  calculateLatePenalty,
+  refreshLateStatus,
+  publishAssignment,
+  unpublishAssignment,
+  closeAssignment,
+  archiveAssignment,
+  grantExtension,
+  revokeExtension
+};
@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const { startOfDay } = require('date-fns');
+const { v4: uuidv4 } = require('uuid');
+const { ENROLLED_STATUSES } = require('./enrollment');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CHECK_IN_PURPOSE = 'attendance-check-in';
+
+const DEFAULT_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_MINUTES, 10) || 10;
+const DEFAULT_CODE_TTL_MINUTES = parseInt(process.env.ATTENDANCE_CODE_TTL_MINUTES, 10) || 15;
+
+/**
+ * Normalize a date to the start of its day so that a session marked without a class
+ * session maps to exactly one attendance record per student (see the unique index on
+ * Attendance)
+ * @param {Date|string|number} [value] - Session date, defaults to now
+ * @returns {Date} Start of the session day
+ */
+const toSessionDate = (value = new Date()) => startOfDay(new Date(value));
+
+/**
+ * Check whether a user is the instructor of a course
+ * @param {Object} course - Course document
+ * @param {string|Object} userId - User ID to check
+ * @returns {boolean}
+ */
+const isCourseInstructor = (course, userId) => {
+  return Boolean(course.instructor && userId) &&
+    course.instructor.toString() === userId.toString();
+};
+
+/**
+ * Get the IDs of students currently enrolled in a course (dropped students and open
+ * requests excluded)
+ * @param {Object} course - Course document
+ * @returns {Set<string>} Enrolled student IDs
+ */
+const getEnrolledStudentIds = course => {
+  return new Set(
+    (course.students || [])
+      .filter(enrollment => enrollment.student && ENROLLED_STATUSES.includes(enrollment.status))
+      .map(enrollment => enrollment.student.toString())
+  );
+};
+
+/**
+ * Find the Course.schedule slot for a session
+ * @param {Object} course - Course document
+ * @param {Date} at - Moment the session is opened
+ * @param {string} [slotId] - Explicit schedule slot ID
+ * @returns {Object|null} Matching schedule slot, or null if none applies
+ */
+const findScheduleSlot = (course, at, slotId) => {
+  const schedule = course.schedule || [];
+  if (slotId) {
+    return schedule.find(slot => slot._id && slot._id.toString() === slotId.toString()) || null;
+  }
+  return schedule.find(slot => slot.day === DAYS[at.getDay()]) || null;
+};
+
+/**
+ * Resolve the start time of a session from its schedule slot's HH:mm start time
+ * @param {Date} sessionDate - Start of the session day
+ * @param {Object|null} slot - Course.schedule slot
+ * @param {Date} fallback - Used when there is no slot or its time cannot be parsed
+ * @returns {Date} Session start
+ */
+const resolveSessionStart = (sessionDate, slot, fallback) => {
+  const match = slot && /^(\d{1,2}):(\d{2})$/.exec((slot.startTime || '').trim());
+  if (!match) return fallback;
+
+  const startsAt = new Date(sessionDate);
+  startsAt.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+  return startsAt;
+};
+
+const getCodeSecret = () => {
+  const secret = process.env.ATTENDANCE_CODE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Attendance check-in code secret is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Sign a short-lived check-in code for a class session
+ * @param {Object} session - ClassSession document
+ * @param {number} ttlMinutes - Minutes until the code expires
+ * @returns {{ code: string, codeId: string, expiresAt: Date }}
+ */
+const signCheckInCode = (session, ttlMinutes = DEFAULT_CODE_TTL_MINUTES) => {
+  const codeId = uuidv4();
+  const code = jwt.sign(
+    {
+      purpose: CHECK_IN_PURPOSE,
+      session: session._id.toString(),
+      course: session.course.toString()
+    },
+    getCodeSecret(),
+    { expiresIn: ttlMinutes * 60, jwtid: codeId }
+  );
+
+  return {
+    code,
+    codeId,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  };
+};
+
+/**
+ * Verify a check-in code
+ * @param {string} code - Signed check-in code
+ * @returns {Object} Decoded payload with session, course and jti
+ * @throws {JsonWebTokenError|TokenExpiredError} If the code is invalid or expired
+ */
+const verifyCheckInCode = code => {
+  const decoded = jwt.verify(code, getCodeSecret());
+  if (decoded.purpose !== CHECK_IN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Not an attendance check-in code');
+  }
+  return decoded;
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  DEFAULT_GRACE_MINUTES,
+  DEFAULT_CODE_TTL_MINUTES,
+  toSessionDate,
+  isCourseInstructor,
+  getEnrolledStudentIds,
+  findScheduleSlot,
+  resolveSessionStart,
+  signCheckInCode,
+  verifyCheckInCode
+};
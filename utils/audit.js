@@ -0,0 +1,326 @@
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('./requestContext');
+const { getTenantCollege } = require('./tenancy');
+const logger = require('./logger');
+
+/**
+ * Audit trail.
+ * Every write to an audited model, whether through save(), insertMany() or an
+ * update/delete query, is recorded in the AuditLog collection with the changed fields
+ * and the actor, IP and request ID of the current request (see utils/requestContext.js).
+ * The plugin must be applied after every other plugin and hook of the schema, so the
+ * filters and changes it sees are final. Writes inside a transaction are recorded in
+ * the same transaction. bulkWrite() is not audited. Update queries look up only the
+ * top-level fields they write, and none when they only write ignored fields.
+ */
+const UPDATE_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'];
+const MULTI_OPS = ['updateMany', 'deleteMany'];
+
+// Never worth an entry of their own
+const ALWAYS_IGNORED = ['_id', '__v', 'updatedAt'];
+
+const REDACTED = '[redacted]';
+
+// Documents matched by a query before it ran, until its post hook
+const pendingQueries = new WeakMap();
+
+const isLeaf = value =>
+  value === null ||
+  typeof value !== 'object' ||
+  value instanceof Date ||
+  Buffer.isBuffer(value) ||
+  Boolean(value._bsontype);
+
+const isPlainObject = value => !isLeaf(value) && !Array.isArray(value);
+
+const comparable = value => {
+  if (value === undefined) return undefined;
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return value.toISOString();
+  return isLeaf(value) ? value.toString() : JSON.stringify(value);
+};
+
+// Whether a path is one of the given paths or inside one; "*" matches any one segment
+const within = (path, paths) => {
+  const segments = path.split('.');
+  return paths.some(p => {
+    const pattern = p.split('.');
+    return pattern.length <= segments.length &&
+      pattern.every((part, i) => part === '*' || part === segments[i]);
+  });
+};
+
+// Arrays of subdocuments are matched by _id, so removing one does not shift the rest
+const keyedItems = list => {
+  const keyed = list.every(item => isPlainObject(item) && item._id);
+  return new Map(list.map((item, index) => [keyed ? item._id.toString() : String(index), item]));
+};
+
+/**
+ * Find the fields that differ between two versions of a document
+ * @param {*} before - Earlier value
+ * @param {*} after - Later value
+ * @param {string} [path] - Path of the values in the document
+ * @param {Object[]} [changes] - Changes found so far
+ * @returns {Object[]} Changes as { path, before, after } or, for arrays of plain values,
+ *                     { path, added, removed }
+ */
+const diff = (before, after, path = '', changes = []) => {
+  const at = key => (path ? `${path}.${key}` : key);
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      diff(before[key], after[key], at(key), changes);
+    });
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    if ([...before, ...after].every(isLeaf)) {
+      const beforeValues = before.map(comparable);
+      const afterValues = after.map(comparable);
+      const added = after.filter((value, i) => !beforeValues.includes(afterValues[i]));
+      const removed = before.filter((value, i) => !afterValues.includes(beforeValues[i]));
+      if (added.length || removed.length) changes.push({ path, added, removed });
+    } else {
+      const beforeItems = keyedItems(before);
+      const afterItems = keyedItems(after);
+      new Set([...beforeItems.keys(), ...afterItems.keys()]).forEach(key => {
+        diff(beforeItems.get(key), afterItems.get(key), at(key), changes);
+      });
+    }
+  } else if (comparable(before) !== comparable(after)) {
+    changes.push({ path, before, after });
+  }
+
+  return changes;
+};
+
+/**
+ * Hide secrets in a changed value, which may be a whole subdocument
+ * @param {string} path - Path of the value
+ * @param {*} value - Changed value
+ * @param {string[]} redact - Paths to hide
+ * @returns {*} Value safe to store
+ */
+const redactValue = (path, value, redact) => {
+  if (value === undefined || value === null) return value;
+  if (within(path, redact)) return REDACTED;
+  if (!isPlainObject(value)) return value;
+
+  const prefix = `${path}.`;
+  const nested = redact.filter(p => p.startsWith(prefix));
+  if (!nested.length) return value;
+
+  const copy = { ...value };
+  Object.keys(copy).forEach(key => {
+    copy[key] = redactValue(`${prefix}${key}`, copy[key], nested);
+  });
+  return copy;
+};
+
+const cleanChanges = (changes, { redact, ignore }) => changes
+  .filter(change => !within(change.path, ignore))
+  .map(change => {
+    const clean = { path: change.path };
+    ['before', 'after'].forEach(side => {
+      if (side in change) clean[side] = redactValue(change.path, change[side], redact);
+    });
+    ['added', 'removed'].forEach(side => {
+      if (side in change) {
+        clean[side] = within(change.path, redact) ? [REDACTED] : change[side];
+      }
+    });
+    return clean;
+  });
+
+/**
+ * Get the fields an update query writes
+ * @param {Object} query - Mongoose update query
+ * @returns {string[]|null} Dotted paths, or null when whole documents are replaced
+ */
+const updatedPaths = query => {
+  const update = query.getUpdate();
+  if (!update || Array.isArray(update) || query.op === 'replaceOne' || query.op === 'findOneAndReplace') {
+    return null;
+  }
+  const { upsert } = query.getOptions();
+  return Object.keys(update)
+    // $setOnInsert, e.g. createdAt of the timestamps, only writes when upserting
+    .filter(key => upsert || key !== '$setOnInsert')
+    // Fields outside an operator are set as they are
+    .flatMap(key => (key.startsWith('$') ? Object.keys(update[key] || {}) : [key]));
+};
+
+/**
+ * Write audit entries for changed documents. Auditing must never break the write
+ * itself, so failures are only logged.
+ * @param {string} entity - Model name
+ * @param {Object[]} records - { action, before, after } per document
+ * @param {Object} options - Plugin options, plus the session of the write
+ */
+const recordChanges = async (entity, records, options) => {
+  const context = getRequestContext();
+
+  const entries = records
+    .map(({ action, before, after }) => {
+      const doc = after || before;
+      return {
+        actor: context.actor,
+        action,
+        entity,
+        entityId: doc._id,
+        college: doc.college || getTenantCollege() || undefined,
+        changes: cleanChanges(diff(before || {}, after || {}), options),
+        ip: context.ip,
+        userAgent: context.userAgent,
+        requestId: context.requestId,
+        method: context.method,
+        path: context.path
+      };
+    })
+    // Updates that only touched ignored fields are not worth an entry
+    .filter(entry => entry.action !== 'update' || entry.changes.length);
+
+  if (!entries.length) return;
+
+  try {
+    await AuditLog.insertMany(entries, { session: options.session || null });
+  } catch (err) {
+    logger.error(`Failed to record audit entries for ${entity}: ${err.message}`);
+  }
+};
+
+/**
+ * Schema plugin that records every write to the model in the audit log
+ * @param {mongoose.Schema} schema - Schema to extend
+ * @param {Object} [options]
+ * @param {string[]} [options.redact] - Paths whose values are replaced by "[redacted]"
+ * @param {string[]} [options.ignore] - Paths whose changes are not recorded, e.g. 'students.*.lastAccessed'
+ */
+const audited = (schema, { redact = [], ignore = [] } = {}) => {
+  const settings = { redact, ignore: [...ALWAYS_IGNORED, ...ignore] };
+
+  // Soft-deleted documents must still be found by the lookups below
+  const lookupOptions = () => (schema.path('deletedAt') ? { withDeleted: true } : {});
+
+  schema.pre('save', async function() {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    if (this.isNew) return;
+
+    // Only the top-level fields that changed are compared
+    const roots = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))];
+    this.$locals.auditRoots = roots;
+    if (!roots.length) return;
+
+    this.$locals.auditBefore = await this.constructor.findById(this._id)
+      .select(roots.join(' '))
+      .session(this.$session())
+      .setOptions(lookupOptions())
+      .lean();
+  });
+
+  schema.post('save', async function() {
+    const { auditAction, auditRoots, auditBefore } = this.$locals;
+    const after = this.toObject({ depopulate: true });
+    const options = { ...settings, session: this.$session() };
+
+    if (auditAction === 'create') {
+      await recordChanges(this.constructor.modelName, [{ action: 'create', after }], options);
+      return;
+    }
+    if (!auditRoots || !auditRoots.length) return;
+
+    const pick = doc => Object.fromEntries(auditRoots.map(root => [root, doc ? doc[root] : undefined]));
+    await recordChanges(this.constructor.modelName, [{
+      action: 'update',
+      before: { _id: this._id, college: this.college, ...pick(auditBefore) },
+      after: { _id: this._id, college: this.college, ...pick(after) }
+    }], options);
+  });
+
+  schema.post('insertMany', async function(docs) {
+    const list = Array.isArray(docs) ? docs : [docs];
+    const session = list[0] && list[0].$session ? list[0].$session() : null;
+    await recordChanges(
+      this.modelName,
+      list.map(doc => ({ action: 'create', after: doc.toObject ? doc.toObject({ depopulate: true }) : doc })),
+      { ...settings, session }
+    );
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await recordChanges(
+      this.constructor.modelName,
+      [{ action: 'delete', before: this.toObject({ depopulate: true }) }],
+      { ...settings, session: this.$session() }
+    );
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], async function() {
+    const { session, sort, upsert } = this.getOptions();
+    const paths = UPDATE_OPS.includes(this.op) ? updatedPaths(this) : null;
+
+    // Updates of ignored fields only are not recorded, so nothing needs looking up
+    if (paths && !upsert && paths.every(path => within(path, settings.ignore))) return;
+
+    // Updates only need the top-level fields they write to be compared
+    const roots = paths && [...new Set(paths.map(path => path.split('.')[0]))];
+    const lookup = this.model.find(this.getFilter())
+      .session(session || null)
+      .setOptions(lookupOptions())
+      .lean();
+    if (roots) lookup.select([...roots, 'college'].join(' '));
+    if (!MULTI_OPS.includes(this.op)) lookup.sort(sort).limit(1);
+
+    pendingQueries.set(this, { before: await lookup, roots });
+  });
+
+  schema.post(UPDATE_OPS, async function(result) {
+    const pending = pendingQueries.get(this);
+    pendingQueries.delete(this);
+    if (!pending) return;
+
+    const { before, roots } = pending;
+    const ids = before.map(doc => doc._id);
+    // Upserts create the document instead
+    if (!ids.length && result) {
+      const upserted = result.upsertedId || result._id;
+      if (upserted) ids.push(upserted);
+    }
+    if (!ids.length) return;
+
+    const { session } = this.getOptions();
+    const lookup = this.model.find({ _id: { $in: ids } })
+      .session(session || null)
+      .setOptions(lookupOptions())
+      .lean();
+    // A created document is recorded whole
+    if (roots && before.length) lookup.select([...roots, 'college'].join(' '));
+    const after = await lookup;
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+    await recordChanges(this.model.modelName, ids.map(id => {
+      const previous = before.find(doc => doc._id.equals(id));
+      return {
+        action: previous ? 'update' : 'create',
+        before: previous,
+        after: afterById.get(id.toString())
+      };
+    }).filter(record => record.after), { ...settings, session });
+  });
+
+  schema.post(DELETE_OPS, async function() {
+    const { before } = pendingQueries.get(this) || { before: [] };
+    pendingQueries.delete(this);
+    if (!before.length) return;
+
+    await recordChanges(
+      this.model.modelName,
+      before.map(doc => ({ action: 'delete', before: doc })),
+      { ...settings, session: this.getOptions().session }
+    );
+  });
+};
+
+module.exports = {
+  audited
+};
@@ -0,0 +1,142 @@
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const { ENROLLED_STATUSES } = require('./enrollment');
+const { PUBLISHED_STATUSES } = require('./assignmentLifecycle');
+
+/**
+ * Course progress.
+ * A student's progress in a course is the weighted share of course materials they
+ * viewed and of course assignments they were graded on (see Course.progressWeights).
+ * It is stored on the enrollment, so dashboards can read it without recomputing, and is
+ * refreshed whenever one of its inputs changes.
+ */
+
+/**
+ * Calculate the progress of one student
+ * @param {Object} course - Course with materials and progressWeights
+ * @param {Object} enrollment - The student's Course.students entry
+ * @param {Object[]} assignments - Assignments of the course with their submissions
+ * @returns {number} Progress from 0 to 100
+ */
+const calculateProgress = (course, enrollment, assignments) => {
+  const studentId = enrollment.student.toString();
+  const materialIds = new Set((course.materials || []).map(material => material._id.toString()));
+  const viewed = (enrollment.completedMaterials || []).filter(id => materialIds.has(id.toString())).length;
+  const graded = assignments.filter(assignment => (assignment.submissions || []).some(submission =>
+    submission.student && submission.student.toString() === studentId && submission.status === 'graded'
+  )).length;
+
+  const weights = course.progressWeights || {};
+  // A part without any items does not count, so its weight goes to the other part
+  const parts = [
+    { weight: weights.materials === undefined ? 50 : weights.materials, done: viewed, total: materialIds.size },
+    { weight: weights.assignments === undefined ? 50 : weights.assignments, done: graded, total: assignments.length }
+  ].filter(part => part.total > 0 && part.weight > 0);
+
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  if (!totalWeight) return 0;
+
+  const progress = parts.reduce((sum, part) => sum + part.weight * (part.done / part.total), 0) / totalWeight;
+  return Math.round(progress * 100);
+};
+
+// Drafts and archived assignments do not count
+const loadAssignments = courseId => Assignment.find({ course: courseId, status: { $in: PUBLISHED_STATUSES } })
+  .select('submissions.student submissions.status')
+  .lean();
+
+/**
+ * Recalculate the progress of one student in a course
+ * @param {Object} courseId - Course ID
+ * @param {Object} studentId - User ID
+ * @returns {Promise<number|null>} New progress, or null if the student has no seat
+ */
+const updateStudentProgress = async (courseId, studentId) => {
+  const [course, assignments] = await Promise.all([
+    Course.findById(courseId).select('materials progressWeights students').lean(),
+    loadAssignments(courseId)
+  ]);
+  if (!course) return null;
+
+  const enrollment = course.students.find(e =>
+    e.student && e.student.toString() === studentId.toString() && ENROLLED_STATUSES.includes(e.status)
+  );
+  if (!enrollment) return null;
+
+  const progress = calculateProgress(course, enrollment, assignments);
+  if (progress !== enrollment.progress) {
+    await Course.updateOne(
+      { _id: courseId, 'students._id': enrollment._id },
+      { $set: { 'students.$.progress': progress } }
+    );
+  }
+  return progress;
+};
+
+/**
+ * Recalculate the progress of every seated student, e.g. after materials or
+ * assignments were added or the weights changed
+ * @param {Object} courseId - Course ID
+ */
+const recalculateCourseProgress = async courseId => {
+  const [course, assignments] = await Promise.all([
+    Course.findById(courseId).select('materials progressWeights students').lean(),
+    loadAssignments(courseId)
+  ]);
+  if (!course) return;
+
+  for (const enrollment of course.students) {
+    if (!ENROLLED_STATUSES.includes(enrollment.status)) continue;
+
+    const progress = calculateProgress(course, enrollment, assignments);
+    if (progress !== enrollment.progress) {
+      await Course.updateOne(
+        { _id: courseId, 'students._id': enrollment._id },
+        { $set: { 'students.$.progress': progress } }
+      );
+    }
+  }
+};
+
+/**
+ * Record that a student opened a course
+ * @param {Object} courseId - Course ID
+ * @param {Object} studentId - User ID
+ */
+const touchLastAccessed = (courseId, studentId) => Course.updateOne(
+  { _id: courseId, 'students.student': studentId },
+  { $set: { 'students.$.lastAccessed': new Date() } }
+);
+
+/**
+ * Mark a course material as viewed by a student and update their progress
+ * @param {Object} courseId - Course ID
+ * @param {Object} studentId - User ID
+ * @param {Object} materialId - ID of the Course.materials entry
+ * @returns {Promise<number|null>} New progress, or null if the student has no seat
+ */
+const markMaterialViewed = async (courseId, studentId, materialId) => {
+  // The filter spans two arrays, so the enrollment is picked with an array filter
+  const result = await Course.updateOne(
+    {
+      _id: courseId,
+      'materials._id': materialId,
+      students: { $elemMatch: { student: studentId, status: { $in: ENROLLED_STATUSES } } }
+    },
+    {
+      $addToSet: { 'students.$[enrollment].completedMaterials': materialId },
+      $set: { 'students.$[enrollment].lastAccessed': new Date() }
+    },
+    { arrayFilters: [{ 'enrollment.student': studentId, 'enrollment.status': { $in: ENROLLED_STATUSES } }] }
+  );
+  if (!result.matchedCount) return null;
+
+  return updateStudentProgress(courseId, studentId);
+};
+
+module.exports = {
+  updateStudentProgress,
+  recalculateCourseProgress,
+  touchLastAccessed,
+  markMaterialViewed
+};
@@ -0,0 +1,69 @@
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { runWithoutTenant } = require('./tenancy');
+
+/**
+ * Generate a unique username
+ * @param {string} firstName - User's first name
+ * @param {string} lastName - User's last name
+ * @returns {Promise<string>} Generated username
+ */
+async function generateUniqueUsername(firstName, lastName) {
+  let username, isUnique = false, attempts = 0;
+  const maxAttempts = 5;
+  
+  while (!isUnique && attempts < maxAttempts) {
+    const randomSuffix = Math.floor(100 + Math.random() * 900);
+    // Usernames only allow letters, numbers and underscores
+    const baseUsername = `${firstName}${lastName.charAt(0)}`.toLowerCase().replace(/[^a-z0-9_]/g, '');
+    username = `${baseUsername}${randomSuffix}`.substring(0, 20);
+    
+    // Usernames are unique across every college
+    const exists = await runWithoutTenant(() => User.exists({ username }).setOptions({ withDeleted: true }));
+    if (!exists) isUnique = true;
+    attempts++;
+  }
+  
+  if (!isUnique) {
+    // Fallback to UUID if we can't generate a unique username
+    return `user_${uuidv4().substring(0, 8)}`;
+  }
+  
+  return username;
+}
+
+/**
+ * Generate a strong password with the specified length
+ * @param {number} length - Length of the password
+ * @returns {string} Generated password
+ */
+function generateStrongPassword(length = 10) {
+  const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()_+~`|}{[]\\\\:;?><,./-=';
+  let password = '';
+  
+  // Ensure at least one of each character type
+  const requirements = [
+    'abcdefghijklmnopqrstuvwxyz',
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    '0123456789',
+    '!@#$%^&*()_+~`|}{[]\\\\:;?><,./-='
+  ];
+  
+  // Add one character from each requirement
+  requirements.forEach(charset => {
+    password += charset.charAt(Math.floor(Math.random() * charset.length));
+  });
+  
+  // Fill the rest randomly
+  for (let i = password.length; i < length; i++) {
+    password += charset.charAt(Math.floor(Math.random() * charset.length));
+  }
+  
+  // Shuffle the password
+  return password.split('').sort(() => Math.random() - 0.5).join('');
+}
+
+module.exports = {
+  generateUniqueUsername,
+  generateStrongPassword
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const College = require('../models/College');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+// See College.settings.emailVerificationPolicy
+const VERIFICATION_POLICIES = College.schema.path('settings.emailVerificationPolicy').enumValues;
+
+/**
+ * Get the email verification policy for a college.
+ * A college can set its own policy; EMAIL_VERIFICATION_POLICY is the default for the rest.
+ * @param {Object} [college] - College document
+ * @returns {string} One of VERIFICATION_POLICIES
+ */
+const getVerificationPolicy = college => {
+  const policy = (college && college.settings && college.settings.emailVerificationPolicy) ||
+    process.env.EMAIL_VERIFICATION_POLICY ||
+    'none';
+  return VERIFICATION_POLICIES.includes(policy) ? policy : 'none';
+};
+
+/**
+ * Check whether a user is held back by their college's verification policy. Users
+ * without an email address cannot verify one, so they are never held back.
+ * @param {Object} user - User document
+ * @param {string[]} policies - Policies that apply at this point
+ * @param {Object} [college] - The user's college, if already loaded
+ * @returns {Promise<boolean>}
+ */
+const isBlockedByVerification = async (user, policies, college) => {
+  if (!user || !user.email || user.emailVerified || user.role === 'superadmin') return false;
+
+  const userCollege = college || (user.college && await College.findById(user.college).select('settings').lean());
+  return policies.includes(getVerificationPolicy(userCollege));
+};
+
+/**
+ * Issue a new verification token for a user and email the verification link.
+ * Any token sent earlier stops working.
+ * @param {Object} user - User document with an email address
+ */
+const sendVerificationEmail = async user => {
+  if (!user.email) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: new Date(Date.now() + VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000)
+      }
+    }
+  );
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in ${VERIFICATION_EXPIRE_HOURS} hours.\n\n` +
+      `${verifyUrl}\n`
+  });
+};
+
+/**
+ * Mark the account owning a verification token as verified. The token is single-use.
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object|null>} Verified user, or null if the token is invalid or expired
+ */
+const verifyEmailToken = token => {
+  return User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  VERIFICATION_POLICIES,
+  getVerificationPolicy,
+  isBlockedByVerification,
+  sendVerificationEmail,
+  verifyEmailToken
+};
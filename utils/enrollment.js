@@ -0,0 +1,224 @@
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const AppError = require('./appError');
+
+/**
+ * Course enrollment.
+ * A request starts as `pending` when the course requires approval, and goes to the
+ * waitlist once the instructor approves it (or straight away otherwise). Waitlisted
+ * students get a seat in the order they joined the waitlist, as soon as one is free.
+ * Seats are taken by conditional updates, so concurrent requests cannot overfill a course.
+ */
+
+// Statuses of students who hold (or held) a seat
+const ENROLLED_STATUSES = ['active', 'completed'];
+// Statuses that can be requested again
+const CLOSED_STATUSES = ['dropped', 'rejected'];
+
+// Matches a course with a free seat
+const SEAT_AVAILABLE = {
+  $expr: {
+    $or: [
+      { $eq: [{ $ifNull: ['$capacity', null] }, null] },
+      {
+        $lt: [
+          { $size: { $filter: { input: '$students', cond: { $eq: ['$$this.status', 'active'] } } } },
+          '$capacity'
+        ]
+      }
+    ]
+  }
+};
+
+/**
+ * Find the enrollment of a student in a course
+ * @param {Object} course - Course document
+ * @param {string|Object} studentId - User ID
+ * @returns {Object|undefined} Enrollment subdocument
+ */
+const findEnrollment = (course, studentId) => (course.students || [])
+  .find(enrollment => enrollment.student && enrollment.student.toString() === studentId.toString());
+
+/**
+ * Get the waitlist of a course in the order seats are given
+ * @param {Object} course - Course document
+ * @returns {Object[]} Waitlisted enrollments
+ */
+const getWaitlist = course => (course.students || [])
+  .filter(enrollment => enrollment.status === 'waitlisted')
+  .sort((a, b) => new Date(a.waitlistedAt || 0) - new Date(b.waitlistedAt || 0));
+
+/**
+ * Give free seats to waitlisted students, first in first out
+ * @param {Object} courseId - Course ID
+ * @returns {Promise<Object[]>} User IDs of the promoted students
+ */
+const promoteWaitlisted = async courseId => {
+  const promoted = [];
+
+  // Each pass promotes one student; a lost race is retried a few times
+  let failures = 0;
+  while (failures < 3) {
+    const course = await Course.findById(courseId).select('capacity students').lean();
+    if (!course) break;
+
+    const [next] = getWaitlist(course);
+    const active = course.students.filter(enrollment => enrollment.status === 'active').length;
+    if (!next || (course.capacity && active >= course.capacity)) break;
+
+    const result = await Course.updateOne(
+      { _id: courseId, ...SEAT_AVAILABLE, students: { $elemMatch: { _id: next._id, status: 'waitlisted' } } },
+      { $set: { 'students.$.status': 'active', 'students.$.enrollmentDate': new Date() } }
+    );
+    if (result.modifiedCount) {
+      promoted.push(next.student);
+      failures = 0;
+    } else {
+      failures++;
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Put an enrollment on the waitlist and hand out any free seats
+ * @param {Object} courseId - Course ID
+ * @param {Object} studentId - User ID
+ * @returns {Promise<string>} Resulting status, active or waitlisted
+ */
+const joinWaitlist = async (courseId, studentId) => {
+  await promoteWaitlisted(courseId);
+
+  const course = await Course.findById(courseId).select('students').lean();
+  const enrollment = findEnrollment(course, studentId);
+  return enrollment ? enrollment.status : 'waitlisted';
+};
+
+/**
+ * Request enrollment in a course for a student of the course's batch. Dropped and
+ * rejected students can request again.
+ * @param {Object} course - Course document
+ * @param {Object} studentId - User ID
+ * @returns {Promise<string>} Status of the enrollment: pending, waitlisted or active
+ */
+const requestEnrollment = async (course, studentId) => {
+  if (!course.isActive || course.status === 'completed') {
+    throw new AppError('This course is not open for enrollment', 400);
+  }
+
+  const inBatch = await Batch.exists({ _id: course.batchId, students: studentId, isActive: true });
+  if (!inBatch) {
+    throw new AppError('Only students of the course batch can enroll', 403);
+  }
+
+  const existing = findEnrollment(course, studentId);
+  if (existing && !CLOSED_STATUSES.includes(existing.status)) {
+    throw new AppError(`Enrollment is already ${existing.status}`, 400);
+  }
+
+  const now = new Date();
+  const status = course.requiresApproval ? 'pending' : 'waitlisted';
+  const fields = {
+    status,
+    requestedAt: now,
+    waitlistedAt: status === 'waitlisted' ? now : undefined,
+    reviewedBy: undefined,
+    reviewedAt: undefined,
+    droppedAt: undefined
+  };
+
+  // Both updates only match if nobody changed the enrollment in the meantime
+  const result = existing
+    ? await Course.updateOne(
+      { _id: course._id, students: { $elemMatch: { _id: existing._id, status: existing.status } } },
+      {
+        $set: Object.fromEntries(Object.entries(fields)
+          .filter(([, value]) => value !== undefined)
+          .map(([key, value]) => [`students.$.${key}`, value])),
+        $unset: Object.fromEntries(Object.entries(fields)
+          .filter(([, value]) => value === undefined)
+          .map(([key]) => [`students.$.${key}`, 1]))
+      }
+    )
+    : await Course.updateOne(
+      { _id: course._id, 'students.student': { $ne: studentId } },
+      { $push: { students: { student: studentId, ...fields } } }
+    );
+
+  if (!result.modifiedCount) {
+    throw new AppError('Enrollment was changed by another request, please try again', 409);
+  }
+
+  return status === 'waitlisted' ? joinWaitlist(course._id, studentId) : status;
+};
+
+/**
+ * Approve or reject a pending request. Approved students go to the waitlist and get a
+ * seat when one is free. Waitlisted students can be rejected too.
+ * @param {Object} course - Course document
+ * @param {Object} studentId - User ID
+ * @param {boolean} approve - Approve or reject
+ * @param {Object} reviewerId - ID of the reviewing user
+ * @returns {Promise<string>} Resulting status: active, waitlisted or rejected
+ */
+const reviewEnrollment = async (course, studentId, approve, reviewerId) => {
+  const enrollment = findEnrollment(course, studentId);
+  const reviewable = approve ? ['pending'] : ['pending', 'waitlisted'];
+  if (!enrollment || !reviewable.includes(enrollment.status)) {
+    throw new AppError(`No ${reviewable.join(' or ')} enrollment found for this student`, 404);
+  }
+
+  const now = new Date();
+  const result = await Course.updateOne(
+    { _id: course._id, students: { $elemMatch: { _id: enrollment._id, status: enrollment.status } } },
+    {
+      $set: {
+        'students.$.status': approve ? 'waitlisted' : 'rejected',
+        'students.$.reviewedBy': reviewerId,
+        'students.$.reviewedAt': now,
+        ...(approve && { 'students.$.waitlistedAt': now })
+      }
+    }
+  );
+
+  if (!result.modifiedCount) {
+    throw new AppError('Enrollment was changed by another request, please try again', 409);
+  }
+
+  return approve ? joinWaitlist(course._id, studentId) : 'rejected';
+};
+
+/**
+ * Drop a student's enrollment or request. A freed seat goes to the waitlist.
+ * @param {Object} course - Course document
+ * @param {Object} studentId - User ID
+ * @returns {Promise<Object[]>} User IDs of students promoted from the waitlist
+ */
+const dropEnrollment = async (course, studentId) => {
+  const enrollment = findEnrollment(course, studentId);
+  if (!enrollment || !['pending', 'waitlisted', 'active'].includes(enrollment.status)) {
+    throw new AppError('You are not enrolled in this course', 404);
+  }
+
+  const result = await Course.updateOne(
+    { _id: course._id, students: { $elemMatch: { _id: enrollment._id, status: enrollment.status } } },
+    { $set: { 'students.$.status': 'dropped', 'students.$.droppedAt': new Date() } }
+  );
+
+  if (!result.modifiedCount) {
+    throw new AppError('Enrollment was changed by another request, please try again', 409);
+  }
+
+  return enrollment.status === 'active' ? promoteWaitlisted(course._id) : [];
+};
+
+module.exports = {
+  ENROLLED_STATUSES,
+  findEnrollment,
+  getWaitlist,
+  promoteWaitlisted,
+  requestEnrollment,
+  reviewEnrollment,
+  dropEnrollment
+};
@@ -2,22 +2,80 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Files under public/uploads are served as is; private files only through a route
+// that checks access
+const PUBLIC_ROOT = path.join(__dirname, '../public/uploads');
+const PRIVATE_ROOT = path.join(__dirname, '../uploads');
+
+// Accepted MIME types by kind of file, with the extensions each may have
+const FILE_TYPES = {
+  image: {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/jpg': ['.jpg', '.jpeg'],
+    'image/png': ['.png']
+  },
+  document: {
+    'application/pdf': ['.pdf'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'text/plain': ['.txt']
+  },
+  video: {
+    'video/mp4': ['.mp4'],
+    'video/webm': ['.webm'],
+    'video/ogg': ['.ogv', '.ogg'],
+    'video/quicktime': ['.mov']
+  },
+  archive: {
+    'application/zip': ['.zip'],
+    'application/x-zip-compressed': ['.zip']
+  }
+};
+
+/**
+ * Detect the kind of an uploaded file from its MIME type and extension
+ * @param {Object} file - Multer file ({ mimetype, originalname })
+ * @param {string[]} [kinds] - Kinds to consider, all by default
+ * @returns {string|null} Kind of file (image, document, video or archive), or null if not accepted
+ */
+const detectFileType = (file, kinds = Object.keys(FILE_TYPES)) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const kind = kinds.find(k => (FILE_TYPES[k][file.mimetype] || []).includes(ext));
+  return kind || null;
+};
+
 /**
  * Creates a multer upload configuration
- * @param {string} subfolder - Subfolder within uploads directory
+ * @param {string|Function} subfolder - Subfolder within uploads directory, or a function
+ *                                      of the request returning it
+ * @param {Object} [options]
+ * @param {string[]} [options.kinds] - Accepted kinds of file (see FILE_TYPES)
+ * @param {number} [options.maxFileSize] - Size limit in bytes
+ * @param {boolean} [options.isPrivate] - Store outside the public folder
  * @returns {Object} Configured multer instance
  */
-module.exports = function(subfolder = '') {
+const createUpload = (subfolder = '', options = {}) => {
+  const {
+    kinds = ['image', 'document'],
+    maxFileSize = 10 * 1024 * 1024, // 10MB limit
+    isPrivate = false
+  } = options;
+
   // Define storage configuration
   const storage = multer.diskStorage({
     destination: function(req, file, cb) {
-      const uploadDir = path.join(__dirname, `../public/uploads/${subfolder}`);
-      
+      const folder = typeof subfolder === 'function' ? subfolder(req) : subfolder;
+      const uploadDir = path.join(isPrivate ? PRIVATE_ROOT : PUBLIC_ROOT, folder);
+
       // Create directory if it doesn't exist
       if (!fs.existsSync(uploadDir)) {
         fs.mkdirSync(uploadDir, { recursive: true });
       }
-      
+
       cb(null, uploadDir);
     },
     filename: function(req, file, cb) {
@@ -28,21 +86,12 @@ module.exports = function(subfolder = '') {
     }
   });
 
-  // File filter to accept only certain file types
+  // File filter to accept only the configured kinds of file
   const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg',
-      'image/png',
-      'image/jpg',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (detectFileType(file, kinds)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only images and documents are allowed.'), false);
+      cb(new Error(`Invalid file type. Only ${kinds.join(', ')} files are allowed.`), false);
     }
   };
 
@@ -51,7 +100,65 @@ module.exports = function(subfolder = '') {
     storage: storage,
     fileFilter: fileFilter,
     limits: {
-      fileSize: 10 * 1024 * 1024 // 10MB limit
+      fileSize: maxFileSize
     }
   });
 };
+
+/**
+ * Wrap an upload middleware so a rejected or oversized file answers 400 instead of
+ * failing the request
+ * @param {Function} upload - Multer middleware, e.g. createUpload(...).single('file')
+ * @returns {Function} Express middleware
+ */
+const handleUploadErrors = upload => (req, res, next) => {
+  upload(req, res, err => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+/**
+ * Get the path of a file stored by a private upload, relative to the private root,
+ * for saving with the record that owns it
+ * @param {Object} file - Multer file
+ * @returns {string} Relative path
+ */
+const privateFileKey = file => path.relative(PRIVATE_ROOT, file.path).split(path.sep).join('/');
+
+/**
+ * Resolve a saved private file key to an absolute path
+ * @param {string} key - Key from privateFileKey
+ * @param {string} [folder] - Folder the file must be in, relative to the private root
+ * @returns {string|null} Absolute path, or null if the key points outside the folder
+ */
+const resolvePrivateFile = (key, folder = '') => {
+  const root = path.resolve(PRIVATE_ROOT, folder);
+  const filePath = path.resolve(PRIVATE_ROOT, key);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+/**
+ * Delete an uploaded file; a file that is already gone is not an error
+ * @param {string} filePath - Absolute path
+ */
+const removeUploadedFile = async filePath => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+module.exports = {
+  FILE_TYPES,
+  detectFileType,
+  createUpload,
+  handleUploadErrors,
+  privateFileKey,
+  resolvePrivateFile,
+  removeUploadedFile
+};
@@ -0,0 +1,271 @@
+const Assignment = require('../models/Assignment');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const { ENROLLED_STATUSES } = require('./enrollment');
+const { visibleFilter, getDueDate } = require('./assignmentLifecycle');
+
+/**
+ * Gradebook.
+ * A student's course grade is the weighted average of its categories (see
+ * Course.gradebook). An assignment counts in the category named by its category field,
+ * with the points of its graded submission; work that is missing after the due date
+ * counts as 0, and work still waiting for a grade does not count yet. The attendance
+ * category is the share of sessions attended, where late counts as attended and
+ * excused sessions are left out. A category without any scores does not count, so its
+ * weight goes to the others.
+ */
+
+const ATTENDANCE_CATEGORY = 'attendance';
+
+const DEFAULT_CATEGORIES = [
+  { key: 'assignments', name: 'Assignments', weight: 60, dropLowest: 0 },
+  { key: 'quizzes', name: 'Quizzes', weight: 20, dropLowest: 0 },
+  { key: ATTENDANCE_CATEGORY, name: 'Attendance', weight: 20, dropLowest: 0 }
+];
+
+const DEFAULT_LETTER_SCALE = [
+  { letter: 'A', minPercent: 90 },
+  { letter: 'B', minPercent: 80 },
+  { letter: 'C', minPercent: 70 },
+  { letter: 'D', minPercent: 60 },
+  { letter: 'F', minPercent: 0 }
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Get the gradebook settings of a course, with the defaults for what is not set
+ * @param {Object} course - Course with its gradebook
+ * @returns {Object} { categories, letterScale } with the scale from the highest grade down
+ */
+const getGradebookSettings = course => {
+  const gradebook = course.gradebook || {};
+  const pick = (list, fields) => list.map(entry => Object.fromEntries(fields.map(field => [field, entry[field]])));
+
+  const categories = gradebook.categories && gradebook.categories.length
+    ? pick(gradebook.categories, ['key', 'name', 'weight', 'dropLowest'])
+    : DEFAULT_CATEGORIES;
+  const letterScale = gradebook.letterScale && gradebook.letterScale.length
+    ? pick(gradebook.letterScale, ['letter', 'minPercent'])
+    : DEFAULT_LETTER_SCALE;
+
+  return {
+    categories: categories.map(category => ({ ...category, dropLowest: category.dropLowest || 0 })),
+    letterScale: [...letterScale].sort((a, b) => b.minPercent - a.minPercent)
+  };
+};
+
+/**
+ * Check gradebook settings before they are saved
+ * @param {Object} settings - { categories, letterScale }; either may be left out
+ * @returns {string[]} Problems found, empty when the settings are valid
+ */
+const validateGradebookSettings = ({ categories, letterScale }) => {
+  const errors = [];
+
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || !categories.length) {
+      errors.push('categories must be a non-empty array');
+    } else {
+      const keys = new Set();
+      categories.forEach((category, index) => {
+        const key = category && typeof category.key === 'string' ? category.key.trim().toLowerCase() : '';
+        if (!key) errors.push(`Category ${index + 1} needs a key`);
+        else if (keys.has(key)) errors.push(`Category ${key} is listed twice`);
+        keys.add(key);
+
+        if (!category || typeof category.weight !== 'number' || !(category.weight >= 0)) {
+          errors.push(`Category ${key || index + 1} needs a weight of at least 0`);
+        }
+        if (category && category.dropLowest !== undefined && !(Number.isInteger(category.dropLowest) && category.dropLowest >= 0)) {
+          errors.push(`dropLowest of category ${key || index + 1} must be a whole number of at least 0`);
+        }
+        if (key === ATTENDANCE_CATEGORY && category.dropLowest) {
+          errors.push('Attendance scores cannot be dropped');
+        }
+      });
+      if (!categories.some(category => category && category.weight > 0)) {
+        errors.push('At least one category needs a weight above 0');
+      }
+    }
+  }
+
+  if (letterScale !== undefined) {
+    if (!Array.isArray(letterScale) || !letterScale.length) {
+      errors.push('letterScale must be a non-empty array');
+    } else {
+      const letters = new Set();
+      const minimums = new Set();
+      letterScale.forEach((grade, index) => {
+        const letter = grade && typeof grade.letter === 'string' ? grade.letter.trim() : '';
+        if (!letter) errors.push(`Letter grade ${index + 1} needs a letter`);
+        else if (letters.has(letter)) errors.push(`Letter ${letter} is listed twice`);
+        letters.add(letter);
+
+        const minPercent = grade && grade.minPercent;
+        if (typeof minPercent !== 'number' || !(minPercent >= 0 && minPercent <= 100)) {
+          errors.push(`Letter ${letter || index + 1} needs a minPercent between 0 and 100`);
+        } else if (minimums.has(minPercent)) {
+          errors.push(`Two letters start at ${minPercent}%`);
+        }
+        minimums.add(minPercent);
+      });
+      if (!minimums.has(0)) {
+        errors.push('The lowest letter must start at 0%');
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Find the letter of a percentage
+ * @param {number} percent - Course percentage
+ * @param {Object[]} letterScale - Scale from getGradebookSettings
+ * @returns {string|null} Letter, or null without a percentage
+ */
+const letterFor = (percent, letterScale) => {
+  if (percent === null) return null;
+  const grade = letterScale.find(entry => percent >= entry.minPercent);
+  return grade ? grade.letter : null;
+};
+
+/**
+ * Score one assignment for a student
+ * @param {Object} assignment - Assignment with its submissions and extensions
+ * @param {string} studentId - User ID
+ * @param {Date} now - Moment the gradebook is calculated
+ * @returns {Object} Gradebook item; points is null while the work does not count yet
+ */
+const scoreAssignment = (assignment, studentId, now) => {
+  const submission = (assignment.submissions || [])
+    .find(s => s.student && s.student.toString() === studentId);
+  const item = {
+    assignment: assignment._id,
+    title: assignment.title,
+    totalPoints: assignment.totalPoints,
+    points: null,
+    status: submission ? submission.status : 'not-submitted'
+  };
+
+  if (submission && submission.status === 'graded') {
+    item.points = submission.grade;
+  } else if (!submission && (assignment.status === 'closed' || getDueDate(assignment, studentId) < now)) {
+    item.points = 0;
+    item.status = 'missing';
+  }
+
+  item.percent = item.points === null || !item.totalPoints ? null : round((item.points / item.totalPoints) * 100);
+  return item;
+};
+
+/**
+ * Calculate a student's standing in a course
+ * @param {Object} settings - Settings from getGradebookSettings
+ * @param {Object[]} assignments - Visible assignments of the course with their submissions
+ * @param {Object[]} attendance - The student's attendance records in the course
+ * @param {string} studentId - User ID
+ * @param {Date} [now] - Moment the gradebook is calculated
+ * @returns {Object} Categories with their items and percentages, the course percentage and letter
+ */
+const calculateStanding = (settings, assignments, attendance, studentId, now = new Date()) => {
+  const categories = settings.categories.map(category => {
+    if (category.key === ATTENDANCE_CATEGORY) {
+      const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+      attendance.forEach(record => { counts[record.status]++; });
+      const counted = counts.present + counts.late + counts.absent;
+
+      return {
+        ...category,
+        attendance: counts,
+        percent: counted ? round(((counts.present + counts.late) / counted) * 100) : null
+      };
+    }
+
+    const items = assignments
+      .filter(assignment => (assignment.category || 'assignments') === category.key)
+      .map(assignment => scoreAssignment(assignment, studentId, now));
+
+    // The lowest scores are dropped, but at least one score is always kept
+    const scored = items.filter(item => item.percent !== null).sort((a, b) => a.percent - b.percent);
+    scored.slice(0, Math.min(category.dropLowest, scored.length - 1)).forEach(item => { item.dropped = true; });
+
+    const kept = scored.filter(item => !item.dropped);
+    const possible = kept.reduce((sum, item) => sum + item.totalPoints, 0);
+    const earned = kept.reduce((sum, item) => sum + item.points, 0);
+
+    return {
+      ...category,
+      items,
+      percent: possible ? round((earned / possible) * 100) : null
+    };
+  });
+
+  const counting = categories.filter(category => category.percent !== null && category.weight > 0);
+  const totalWeight = counting.reduce((sum, category) => sum + category.weight, 0);
+  const percent = totalWeight
+    ? round(counting.reduce((sum, category) => sum + category.weight * category.percent, 0) / totalWeight)
+    : null;
+
+  return { categories, percent, letter: letterFor(percent, settings.letterScale) };
+};
+
+/**
+ * Build the gradebook of a course
+ * @param {Object} course - Course with its students and gradebook
+ * @param {Object} [options]
+ * @param {Object} [options.studentId] - Only this student, e.g. for their own standing
+ * @returns {Promise<Object>} Settings, assignments and the standing of every enrolled student
+ */
+const buildGradebook = async (course, { studentId } = {}) => {
+  const now = new Date();
+  const settings = getGradebookSettings(course);
+  const studentIds = (course.students || [])
+    .filter(e => e.student && ENROLLED_STATUSES.includes(e.status))
+    .map(e => e.student.toString())
+    .filter(id => !studentId || id === studentId.toString());
+
+  const [assignments, attendance, users] = await Promise.all([
+    Assignment.find({ course: course._id, ...visibleFilter(now) })
+      .select('title category totalPoints dueDate status extensions submissions.student submissions.status submissions.grade')
+      .sort({ dueDate: 1 })
+      .lean(),
+    Attendance.find({ course: course._id, student: { $in: studentIds } }).select('student status').lean(),
+    User.find({ _id: { $in: studentIds } })
+      .select('firstName lastName email studentInfo.rollNumber')
+      .setOptions({ withDeleted: true })
+      .lean()
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const students = studentIds.map(id => {
+    const user = usersById.get(id) || { _id: id };
+    return {
+      student: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        rollNumber: user.studentInfo && user.studentInfo.rollNumber
+      },
+      ...calculateStanding(settings, assignments, attendance.filter(record => record.student.toString() === id), id, now)
+    };
+  });
+
+  return {
+    settings,
+    assignments: assignments.map(({ _id, title, category, totalPoints, dueDate }) => ({
+      _id, title, category: category || 'assignments', totalPoints, dueDate
+    })),
+    students
+  };
+};
+
+module.exports = {
+  ATTENDANCE_CATEGORY,
+  getGradebookSettings,
+  validateGradebookSettings,
+  calculateStanding,
+  buildGradebook
+};
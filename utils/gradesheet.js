@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const { User } = require('../models');
+const { hasRubric, gradeSubmission } = require('./grading');
+
+/**
+ * Gradesheets.
+ * An assignment's submissions are exported as a sheet that graders fill in offline and
+ * import again. The grade column holds the points given, before any late penalty, as in
+ * the grading routes. Rows are matched by studentId, or roll number when it is blank;
+ * blank grade and feedback cells leave the submission as it is.
+ */
+
+// Columns of the exported sheet; studentId is the key used when the sheet is imported
+const GRADESHEET_COLUMNS = ['studentId', 'student', 'rollNumber', 'submittedAt', 'status', 'latePenalty', 'grade', 'feedback'];
+const MAX_GRADESHEET_ROWS = 2000;
+
+/**
+ * Load the students of an assignment's submissions
+ * @param {Object} assignment - Assignment document
+ * @returns {Promise<Map>} Users by ID
+ */
+const loadStudents = async assignment => {
+  const students = await User.find({ _id: { $in: assignment.submissions.map(submission => submission.student) } })
+    .select('firstName lastName studentInfo.rollNumber')
+    .setOptions({ withDeleted: true })
+    .lean();
+  return new Map(students.map(student => [student._id.toString(), student]));
+};
+
+/**
+ * Build the gradesheet rows of an assignment
+ * @param {Object} assignment - Assignment document
+ * @returns {Promise<Object[]>} One row per submission, keyed by GRADESHEET_COLUMNS
+ */
+const buildGradesheetRows = async assignment => {
+  const students = await loadStudents(assignment);
+
+  return assignment.submissions.map(submission => {
+    const student = students.get(submission.student.toString()) || {};
+    return {
+      studentId: submission.student.toString(),
+      student: [student.firstName, student.lastName].filter(Boolean).join(' '),
+      rollNumber: student.studentInfo && student.studentInfo.rollNumber,
+      submittedAt: submission.submittedAt,
+      status: submission.status,
+      latePenalty: submission.latePenalty || 0,
+      grade: submission.status === 'graded' ? (submission.pointsAwarded ?? submission.grade) : undefined,
+      feedback: submission.feedback
+    };
+  });
+};
+
+/**
+ * Read the rows of the first sheet of an XLSX or CSV gradesheet
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object[]} Rows with the trimmed studentId, rollNumber, grade and feedback
+ */
+const readGradesheet = buffer => {
+  const workbook = xlsx.read(buffer, { type: 'buffer', raw: false });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  return xlsx.utils.sheet_to_json(sheet, { defval: '', raw: false }).map(row => {
+    const values = {};
+    ['studentId', 'rollNumber', 'grade', 'feedback'].forEach(column => {
+      values[column] = String(row[column] === undefined ? '' : row[column]).trim();
+    });
+    return values;
+  });
+};
+
+/**
+ * Check an imported gradesheet against an assignment and work out the changes. Nothing
+ * is changed on the assignment.
+ * @param {Object} assignment - Assignment document
+ * @param {Object[]} rows - Rows from readGradesheet
+ * @returns {Promise<Object>} Summary, per-row results, and the changes to apply
+ */
+const planGradeImport = async (assignment, rows) => {
+  const summary = { total: rows.length, graded: 0, updated: 0, unchanged: 0, failed: 0 };
+  const results = [];
+  const changes = [];
+
+  const students = await loadStudents(assignment);
+  const byRollNumber = new Map();
+  students.forEach((student, id) => {
+    const rollNumber = student.studentInfo && student.studentInfo.rollNumber;
+    if (rollNumber) byRollNumber.set(rollNumber, id);
+  });
+  const seen = new Map();
+
+  rows.forEach((row, index) => {
+    // Row 1 of the sheet is the header
+    const result = { row: index + 2, studentId: row.studentId, rollNumber: row.rollNumber, errors: [] };
+    const add = (field, message) => result.errors.push({ field, message });
+    results.push(result);
+
+    const studentId = row.studentId || byRollNumber.get(row.rollNumber);
+    const submission = studentId && mongoose.isValidObjectId(studentId) && assignment.submissions
+      .find(s => s.student.toString() === studentId);
+
+    if (!row.studentId && !row.rollNumber) {
+      add('studentId', 'studentId or roll number is required');
+    } else if (!submission) {
+      add('studentId', 'No submission of this student for the assignment');
+    } else if (seen.has(studentId)) {
+      add('studentId', `Duplicate of row ${seen.get(studentId)}`);
+    } else {
+      seen.set(studentId, result.row);
+    }
+
+    const points = row.grade === '' ? undefined : Number(row.grade);
+    if (points !== undefined && (!Number.isFinite(points) || points < 0 || points > assignment.totalPoints)) {
+      add('grade', `Grade must be between 0 and ${assignment.totalPoints}`);
+    }
+
+    const change = {};
+    if (submission && !result.errors.length) {
+      const isGraded = submission.status === 'graded';
+      if (points !== undefined && (!isGraded || points !== (submission.pointsAwarded ?? submission.grade))) {
+        change.grade = { from: isGraded ? (submission.pointsAwarded ?? submission.grade) : undefined, to: points };
+      }
+      if (row.feedback && row.feedback !== (submission.feedback || '')) {
+        change.feedback = { from: submission.feedback, to: row.feedback };
+      }
+
+      if (change.grade && hasRubric(assignment)) {
+        add('grade', 'The assignment is graded with a rubric, grade it per criterion instead');
+      } else if (change.feedback && !change.grade && !isGraded) {
+        add('grade', 'A grade is required with the feedback of an ungraded submission');
+      }
+    }
+
+    if (result.errors.length) {
+      result.action = 'failed';
+    } else if (change.grade) {
+      result.action = 'graded';
+    } else if (change.feedback) {
+      result.action = 'updated';
+    } else {
+      result.action = 'unchanged';
+    }
+    summary[result.action]++;
+
+    if (result.action === 'graded' || result.action === 'updated') {
+      result.changes = change;
+      changes.push({ studentId, grade: change.grade && change.grade.to, feedback: change.feedback && change.feedback.to });
+    }
+  });
+
+  return { summary, rows: results, changes };
+};
+
+/**
+ * Apply the changes of a gradesheet to the assignment's submissions. The changes are
+ * saved together, and the save fails if the assignment was changed in the meantime.
+ * @param {Object} assignment - Assignment document
+ * @param {Object[]} changes - Changes from planGradeImport
+ * @param {Object} gradedBy - ID of the importing user
+ * @returns {Promise<Object[]>} IDs of the students whose grade changed
+ */
+const applyGradeImport = async (assignment, changes, gradedBy) => {
+  changes.forEach(({ studentId, grade, feedback }) => {
+    const submission = assignment.submissions.find(s => s.student.toString() === studentId);
+    if (grade !== undefined) {
+      gradeSubmission(assignment, submission, { grade, feedback, gradedBy });
+    } else {
+      submission.feedback = feedback;
+    }
+  });
+
+  assignment.increment();
+  await assignment.save();
+
+  return changes.filter(change => change.grade !== undefined).map(change => change.studentId);
+};
+
+module.exports = {
+  GRADESHEET_COLUMNS,
+  MAX_GRADESHEET_ROWS,
+  buildGradesheetRows,
+  readGradesheet,
+  planGradeImport,
+  applyGradeImport
+};
@@ -0,0 +1,162 @@
+const AppError = require('./appError');
+const { setGrade } = require('./submissions');
+
+/**
+ * Grading.
+ * Without a rubric the grader gives the points directly. With one, they score every
+ * criterion, by picking one of its levels or giving points up to its best level, and
+ * the points are the sum of the scores. Either way the points must lie between 0 and
+ * the assignment's totalPoints; the submission's late penalty is taken off afterwards.
+ */
+
+/**
+ * Check whether an assignment is graded with a rubric
+ * @param {Object} assignment - Assignment document
+ * @returns {boolean}
+ */
+const hasRubric = assignment =>
+  Boolean(assignment.rubric && assignment.rubric.criteria && assignment.rubric.criteria.length);
+
+const criterionMaxPoints = criterion => Math.max(0, ...criterion.levels.map(level => level.points));
+
+/**
+ * Get the highest score of a rubric: the best level of every criterion
+ * @param {Object} rubric - Rubric, or the copy on an assignment
+ * @returns {number} Points
+ */
+const rubricMaxPoints = rubric => rubric.criteria.reduce((sum, criterion) => sum + criterionMaxPoints(criterion), 0);
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Check the grader's scores against a rubric
+ * @param {Object} rubric - Rubric copy of the assignment
+ * @param {Object[]} scores - { criterion, level, points, comment } for every criterion
+ * @returns {Object[]} Scores in rubric order, with the points of picked levels filled in
+ * @throws {AppError} If a criterion is missing, unknown or scored out of range
+ */
+const scoreRubric = (rubric, scores) => {
+  if (!Array.isArray(scores)) {
+    throw new AppError('rubricScores must list a score for every criterion', 400);
+  }
+
+  const byCriterion = new Map(scores.map(score => [String(score && score.criterion), score]));
+  if (byCriterion.size !== scores.length) {
+    throw new AppError('Every criterion can only be scored once', 400);
+  }
+  if ([...byCriterion.keys()].some(id => !rubric.criteria.some(criterion => criterion._id.toString() === id))) {
+    throw new AppError('rubricScores contains a criterion that is not in the rubric', 400);
+  }
+
+  return rubric.criteria.map(criterion => {
+    const score = byCriterion.get(criterion._id.toString());
+    if (!score) {
+      throw new AppError(`Criterion "${criterion.title}" has no score`, 400);
+    }
+
+    const level = isSet(score.level) && criterion.levels.find(l => l._id.toString() === String(score.level));
+    if (isSet(score.level) && !level) {
+      throw new AppError(`Unknown level for criterion "${criterion.title}"`, 400);
+    }
+
+    // Points of the picked level, unless the grader gives their own
+    const points = isSet(score.points) ? Number(score.points) : (level ? level.points : NaN);
+    const maxPoints = criterionMaxPoints(criterion);
+    if (!Number.isFinite(points) || points < 0 || points > maxPoints) {
+      throw new AppError(`Points for criterion "${criterion.title}" must be between 0 and ${maxPoints}`, 400);
+    }
+
+    return {
+      criterion: criterion._id,
+      level: level ? level._id : undefined,
+      points,
+      comment: score.comment
+    };
+  });
+};
+
+/**
+ * Grade a submission
+ * @param {Object} assignment - Assignment document
+ * @param {Object} submission - Submission subdocument, changed in place
+ * @param {Object} grading - { grade, rubricScores, feedback, gradedBy }; grade is only
+ *                           used without a rubric, rubricScores only with one
+ * @throws {AppError} If the scores or the total are invalid
+ */
+const gradeSubmission = (assignment, submission, { grade, rubricScores, feedback, gradedBy }) => {
+  const scores = hasRubric(assignment) ? scoreRubric(assignment.rubric, rubricScores) : [];
+  const points = scores.length
+    ? scores.reduce((sum, score) => sum + score.points, 0)
+    : (isSet(grade) ? Number(grade) : NaN);
+
+  if (!Number.isFinite(points) || points < 0 || points > assignment.totalPoints) {
+    throw new AppError(`Grade must be between 0 and ${assignment.totalPoints}`, 400);
+  }
+
+  submission.rubricScores = scores;
+  setGrade(submission, points);
+  if (feedback !== undefined) submission.feedback = feedback;
+  submission.gradedBy = gradedBy;
+  submission.gradedAt = new Date();
+};
+
+/**
+ * Describe the rubric scores of a graded submission for the student
+ * @param {Object} assignment - Assignment document
+ * @param {Object} submission - Submission subdocument
+ * @returns {Object[]} Criterion, level, points, maximum and comment per criterion
+ */
+const describeRubricScores = (assignment, submission) => {
+  if (!hasRubric(assignment) || submission.status !== 'graded') return [];
+
+  return assignment.rubric.criteria.map(criterion => {
+    const score = (submission.rubricScores || [])
+      .find(s => s.criterion.toString() === criterion._id.toString());
+    const level = score && score.level && criterion.levels.find(l => l._id.toString() === score.level.toString());
+
+    return {
+      criterion: criterion.title,
+      level: level ? level.title : undefined,
+      points: score ? score.points : undefined,
+      maxPoints: criterionMaxPoints(criterion),
+      comment: score ? score.comment : undefined
+    };
+  });
+};
+
+/**
+ * Attach a copy of a rubric to an assignment, or detach it when rubric is null.
+ * Only possible while no submission is graded.
+ * @param {Object} assignment - Assignment document, changed in place
+ * @param {Object|null} rubric - Rubric document
+ * @throws {AppError} If submissions are graded or the rubric is worth too many points
+ */
+const attachRubric = (assignment, rubric) => {
+  if (assignment.submissions.some(submission => submission.status === 'graded')) {
+    throw new AppError('The rubric cannot change once submissions are graded', 400);
+  }
+
+  if (!rubric) {
+    assignment.rubric = undefined;
+    return;
+  }
+
+  const maxPoints = rubricMaxPoints(rubric);
+  if (maxPoints > assignment.totalPoints) {
+    throw new AppError(`Rubric is worth ${maxPoints} points, more than the assignment's ${assignment.totalPoints}`, 400);
+  }
+
+  assignment.rubric = {
+    source: rubric._id,
+    title: rubric.title,
+    criteria: rubric.criteria.map(criterion => criterion.toObject())
+  };
+};
+
+module.exports = {
+  hasRubric,
+  rubricMaxPoints,
+  gradeSubmission,
+  describeRubricScores,
+  attachRubric
+};
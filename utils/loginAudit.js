@@ -0,0 +1,29 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const logger = require('./logger');
+
+/**
+ * Store a login attempt with the client's IP and user agent.
+ * Auditing must never break the login itself, so failures are only logged.
+ * @param {Object} req - Express request
+ * @param {Object} attempt - Attempt details
+ * @param {Object} [attempt.user] - Matched user, if any
+ * @param {string} attempt.username - Username as submitted
+ * @param {boolean} attempt.success - Whether the login succeeded
+ * @param {string} attempt.reason - Outcome, see LoginAttempt.reason
+ */
+const recordLoginAttempt = async (req, { user, username, success, reason }) => {
+  try {
+    await LoginAttempt.create({
+      user: user ? user._id : undefined,
+      username,
+      success,
+      reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (err) {
+    logger.error(`Failed to record login attempt for ${username}: ${err.message}`);
+  }
+};
+
+module.exports = { recordLoginAttempt };
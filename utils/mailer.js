@@ -0,0 +1,108 @@
+const winston = require('winston');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const { combine, timestamp, json } = winston.format;
+
+/**
+ * Transport that writes every message to logs/mail.log instead of sending it.
+ * Used in development so links in emails (password reset, verification) can be
+ * copied straight from the log.
+ * @returns {Object} Transport with a send(message) method
+ */
+const createFileTransport = () => {
+  const mailLog = winston.createLogger({
+    format: combine(timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }), json()),
+    transports: [
+      new winston.transports.File({ filename: 'logs/mail.log' })
+    ]
+  });
+
+  return {
+    name: 'file',
+    send: async message => {
+      mailLog.info('mail', message);
+      return { accepted: [message.to] };
+    }
+  };
+};
+
+/**
+ * Transport that delivers through an SMTP server. Defaults point at a local
+ * SMTP stand-in (e.g. MailHog on port 1025) so development never sends real mail.
+ * @returns {Object} Transport with a send(message) method
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_EMAIL
+      ? { user: process.env.SMTP_EMAIL, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+};
+
+const transportFactories = {
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport, e.g. with a custom provider or a stub
+ * @param {Object} customTransport - Object with a send(message) method returning a Promise
+ */
+const setTransport = customTransport => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const fromName = process.env.FROM_NAME || 'College Management';
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@collegemanagement.com';
+  const message = {
+    from: `"${fromName}" <${fromEmail}>`,
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const activeTransport = getTransport();
+  const result = await activeTransport.send(message);
+  logger.info(`Mail "${subject}" sent to ${to} via ${activeTransport.name || 'custom'} transport`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,188 @@
+/**
+ * Permission registry.
+ * Every action guarded by requirePermission() is listed here with a short description.
+ * A user's effective permissions are the defaults of their role, plus the grants in
+ * adminInfo.permissions, minus the denials in adminInfo.deniedPermissions.
+ */
+const PERMISSIONS = {
+  'users:read': 'List and view user accounts',
+  'users:create': 'Create user accounts and download the upload template',
+  'users:update': 'Edit user accounts, reset passwords and activate or deactivate them',
+  'users:delete': 'Delete user accounts',
+  'users:unlock': 'Clear login lockouts',
+  'users:reset-2fa': 'Remove two-factor authentication from an account',
+  'permissions:manage': 'Grant and deny permissions to users',
+  'system:overview': 'View system-wide statistics, batches and health',
+  'system:users': 'Manage accounts of every role across colleges',
+  'colleges:manage': 'Create, edit and deactivate colleges',
+  'batches:manage': 'Create, edit, archive and clone batches and manage their trainers and students',
+  'audit:read': 'View login attempts and other audit records',
+  'students:read': 'List and view all students',
+  'students:update': 'Edit academic details of students',
+  'students:delete': 'Delete student accounts',
+  'courses:create': 'Create courses',
+  'courses:update': 'Edit courses they teach',
+  'courses:update-any': 'Edit any course',
+  'courses:enroll': 'Enroll in courses',
+  'courses:enrollments': 'Approve and reject enrollment requests for courses they teach',
+  'courses:materials': 'Upload, edit, delete and reorder materials of courses they teach',
+  'courses:gradebook': 'View the gradebook of courses they teach and set its weights and letter scale',
+  'assignments:create': 'Create, publish, close and archive assignments of courses they teach',
+  'assignments:submit': 'Submit and view their own assignments',
+  'assignments:grade': 'Grade assignment submissions',
+  'assignments:upload-resources': 'Upload assignment resources',
+  'rubrics:manage': 'Create rubrics and edit their own',
+  'attendance:mark': 'Mark attendance for courses they teach',
+  'attendance:view': 'View attendance for courses they teach',
+  'attendance:edit': 'Correct attendance records',
+  'attendance:manage-any': 'Mark, view and correct attendance for any course',
+  'attendance:sessions': 'Open and close class sessions with check-in codes',
+  'attendance:check-in': 'Check in to a class session',
+  'attendance:reports': 'View attendance reports',
+  'reports:create': 'Create reports for their students',
+  'reports:submit': 'Submit their own reports',
+  'reports:review': 'Comment on and change the status of reports of their students',
+  'reports:review-any': 'View, comment on and change the status of any report',
+  'timetable:read': 'View the timetable of any trainer, batch or student',
+  'dashboard:trainer': 'Use the trainer dashboard',
+  'dashboard:student': 'Use the student dashboard',
+  'dashboard:faculty': 'Use the faculty dashboard'
+};
+
+// Default permissions of each role. Superadmin has every permission.
+const ROLE_PERMISSIONS = {
+  student: [
+    'courses:enroll',
+    'assignments:submit',
+    'attendance:check-in',
+    'reports:submit',
+    'dashboard:student'
+  ],
+  trainer: [
+    'courses:enrollments',
+    'courses:materials',
+    'courses:gradebook',
+    'assignments:create',
+    'assignments:grade',
+    'assignments:upload-resources',
+    'rubrics:manage',
+    'attendance:mark',
+    'attendance:view',
+    'attendance:edit',
+    'attendance:sessions',
+    'attendance:reports',
+    'reports:create',
+    'reports:review',
+    'dashboard:trainer'
+  ],
+  faculty: [
+    'students:read',
+    'students:update',
+    'courses:create',
+    'courses:update',
+    'courses:enrollments',
+    'courses:materials',
+    'courses:gradebook',
+    'assignments:create',
+    'assignments:grade',
+    'rubrics:manage',
+    'attendance:mark',
+    'attendance:view',
+    'attendance:edit',
+    'attendance:sessions',
+    'reports:create',
+    'reports:review',
+    'timetable:read',
+    'dashboard:faculty'
+  ],
+  admin: [
+    'users:read',
+    'users:create',
+    'users:update',
+    'users:unlock',
+    'batches:manage',
+    'students:read',
+    'students:update',
+    'students:delete',
+    'courses:create',
+    'courses:update',
+    'courses:update-any',
+    'courses:enrollments',
+    'courses:materials',
+    'courses:gradebook',
+    'assignments:create',
+    'rubrics:manage',
+    'attendance:mark',
+    'attendance:view',
+    'attendance:edit',
+    'attendance:manage-any',
+    'attendance:reports',
+    'reports:create',
+    'reports:review',
+    'reports:review-any',
+    'timetable:read'
+  ],
+  superadmin: Object.keys(PERMISSIONS)
+};
+
+/**
+ * Check whether a permission exists in the registry
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const isKnownPermission = permission => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Get the effective permissions of a user
+ * @param {Object} user - User document
+ * @returns {Set<string>} Permission names
+ */
+const getEffectivePermissions = user => {
+  if (!user) return new Set();
+
+  const adminInfo = user.adminInfo || {};
+  const permissions = new Set(ROLE_PERMISSIONS[user.role] || []);
+
+  (adminInfo.permissions || []).filter(isKnownPermission).forEach(p => permissions.add(p));
+  (adminInfo.deniedPermissions || []).forEach(p => permissions.delete(p));
+
+  return permissions;
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => getEffectivePermissions(user).has(permission);
+
+/**
+ * Keep a user's grants and denials when a generic update replaces adminInfo.
+ * They can only be changed through PUT /api/admin/users/permissions/:userId.
+ * @param {Object} user - User document being updated
+ * @param {Object} updateFields - Fields from the request body
+ * @returns {Object} Update fields with the current grants and denials
+ */
+const preservePermissionOverrides = (user, updateFields) => {
+  if (!updateFields.adminInfo) return updateFields;
+
+  const current = user.adminInfo || {};
+  return {
+    ...updateFields,
+    adminInfo: {
+      ...updateFields.adminInfo,
+      permissions: current.permissions,
+      deniedPermissions: current.deniedPermissions
+    }
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isKnownPermission,
+  getEffectivePermissions,
+  hasPermission,
+  preservePermissionOverrides
+};
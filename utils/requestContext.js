@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context.
+ * Everything that runs on behalf of a request can find out who made it and from where,
+ * without passing req around; the audit log (see utils/audit.js) relies on it.
+ * Scripts and background jobs run without a context.
+ */
+const requestStorage = new AsyncLocalStorage();
+
+// Request IDs sent by a proxy are reused, as long as they look like one
+const REQUEST_ID_PATTERN = /^[\w-]{8,100}$/;
+
+/**
+ * Express middleware that opens the context and assigns a request ID, which is
+ * also returned in the X-Request-Id response header
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  requestStorage.run({
+    requestId: req.id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    actor: null
+  }, next);
+};
+
+/**
+ * Record the authenticated user as the actor of the current request
+ * @param {Object} user - User document
+ */
+const setRequestActor = user => {
+  const store = requestStorage.getStore();
+  if (store) store.actor = user._id;
+};
+
+/**
+ * Get the context of the current request
+ * @returns {Object} requestId, ip, userAgent, method, path and actor; empty outside a request
+ */
+const getRequestContext = () => requestStorage.getStore() || {};
+
+module.exports = {
+  requestContext,
+  setRequestActor,
+  getRequestContext
+};
@@ -0,0 +1,9 @@
+/**
+ * Build a case-insensitive regex that matches search text literally, so characters such
+ * as "(" or "*" in a search box cannot break the query or make it slow
+ * @param {string} text - Search text from the request
+ * @returns {RegExp} Regex for a MongoDB filter
+ */
+const searchRegex = text => new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+module.exports = { searchRegex };
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft delete.
+ * A deleted document keeps its data and references but gets a `deletedAt` date, and
+ * every query, update and aggregation skips it by default. To reach deleted documents,
+ * either filter on `deletedAt` yourself or set the `withDeleted` query option:
+ *   User.findById(id).setOptions({ withDeleted: true })
+ * This also applies to populate(), which needs options: { withDeleted: true } to load a
+ * deleted document.
+ */
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+const mentionsDeletedAt = filter => Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * Schema plugin that adds soft delete
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDeletable = schema => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    // Our own option, which is not passed on to MongoDB
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted;
+
+    if (withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.pipeline().some(stage => stage.$match && mentionsDeletedAt(stage.$match))) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Mark the document as deleted
+   * @param {Object} [deletedBy] - ID of the user deleting it
+   * @param {Object} [options] - Query options such as { session }
+   */
+  schema.methods.softDelete = function(deletedBy, options = {}) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { deletedAt: this.deletedAt, deletedBy } },
+      options
+    );
+  };
+
+  /**
+   * Undo a soft delete
+   * @param {Object} [options] - Query options such as { session }
+   */
+  schema.methods.restore = function(options = {}) {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+      { ...options, withDeleted: true }
+    );
+  };
+};
+
+module.exports = {
+  softDeletable
+};
@@ -0,0 +1,95 @@
+const { once } = require('events');
+const xlsx = require('xlsx');
+
+const EXPORT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Pick the columns of an export from a comma-separated list
+ * @param {string} [requested] - Columns from the query string, e.g. "username,studentInfo.rollNumber"
+ * @param {string[]} allowed - Columns that can be exported
+ * @param {string[]} defaults - Columns used when none are requested
+ * @returns {Object} { columns } or { unknown } with the columns that are not allowed
+ */
+const selectColumns = (requested, allowed, defaults) => {
+  if (!requested) return { columns: defaults };
+
+  const columns = [...new Set(String(requested).split(',').map(c => c.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !allowed.includes(column));
+  return unknown.length ? { unknown } : { columns };
+};
+
+/**
+ * Read a dotted path from a document and turn it into a cell value
+ * @param {Object} doc - Plain document
+ * @param {string} column - Dotted path, e.g. trainerInfo.specialization
+ * @returns {string|number|boolean} Cell value
+ */
+const cellValue = (doc, column) => {
+  const value = column.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return value.toString();
+  return value;
+};
+
+const csvCell = value => {
+  // Keep spreadsheet apps from running cell text as a formula
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Send documents as a spreadsheet download. CSV is written row by row as documents
+ * arrive; XLSX has to be built in memory before it is sent.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {AsyncIterable<Object>} options.rows - Documents, e.g. a lean query cursor
+ * @param {string[]} options.columns - Columns from selectColumns
+ * @param {string} options.format - 'xlsx' or 'csv'
+ * @param {string} options.name - File name without extension; the date is appended
+ */
+const sendSpreadsheet = async (res, { rows, columns, format, name }) => {
+  const filename = `${name}_${new Date().toISOString().slice(0, 10)}.${format}`;
+  const setHeaders = () => {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  };
+
+  if (format === 'csv') {
+    setHeaders();
+    try {
+      res.write(`${columns.map(csvCell).join(',')}\r\n`);
+      for await (const doc of rows) {
+        const line = `${columns.map(column => csvCell(cellValue(doc, column))).join(',')}\r\n`;
+        if (!res.write(line)) await once(res, 'drain');
+      }
+      res.end();
+    } catch (err) {
+      // The download has started, so the error can only be reported by cutting it short
+      console.error('Spreadsheet export error:', err);
+      res.destroy(err);
+    }
+    return;
+  }
+
+  const data = [columns];
+  for await (const doc of rows) {
+    data.push(columns.map(column => cellValue(doc, column)));
+  }
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(data), name.slice(0, 31));
+  setHeaders();
+  res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  selectColumns,
+  sendSpreadsheet
+};
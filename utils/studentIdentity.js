@@ -0,0 +1,89 @@
+const Student = require('../models/Student');
+const User = require('../models/User');
+
+/**
+ * A student is one User account (role 'student') plus at most one Student academic record.
+ * The two link both ways: Student.user and User.studentProfile. Attendance, batches,
+ * course enrollment and assignment submissions reference the User; reports reference
+ * the Student record.
+ */
+
+/**
+ * Build the Student record fields that mirror the user account
+ * @param {Object} user - User document with role 'student'
+ * @returns {Object} Student fields, without the ones the user does not have
+ */
+const profileFieldsFromUser = user => {
+  const info = user.studentInfo || {};
+  const fields = {
+    user: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    college: user.college,
+    rollNumber: info.rollNumber,
+    department: info.branch,
+    semester: info.semester,
+    academicYear: info.academicYear
+  };
+
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+/**
+ * Link a user account and a Student record to each other
+ * @param {Object} user - User document
+ * @param {Object} student - Student document
+ * @param {Object} [options] - Query options such as { session }
+ */
+const linkStudentProfile = async (user, student, options = {}) => {
+  // Sequential, as operations of one transaction must not run in parallel
+  await Student.updateOne({ _id: student._id }, { $set: { user: user._id } }, options);
+  await User.updateOne({ _id: user._id }, { $set: { studentProfile: student._id } }, options);
+};
+
+/**
+ * Create the Student record of a user account and link the two
+ * @param {Object} user - User document with role 'student'
+ * @param {Object} [details] - Academic fields not held on the user, e.g. assignedFaculty
+ * @param {Object} [options] - Query options such as { session }
+ * @returns {Promise<Object>} Student document
+ */
+const createStudentProfile = async (user, details = {}, options = {}) => {
+  const student = new Student({ ...details, ...profileFieldsFromUser(user) });
+  await student.save(options);
+  await User.updateOne({ _id: user._id }, { $set: { studentProfile: student._id } }, options);
+  return student;
+};
+
+/**
+ * Copy the user's name, email and academic details to their Student record, if they have one
+ * @param {Object} user - User document with role 'student'
+ * @param {Object} [details] - Additional Student fields to set
+ * @param {Object} [options] - Query options such as { session }
+ * @returns {Promise<Object|null>} Updated Student document, or null if there is none
+ */
+const syncStudentProfile = (user, details = {}, options = {}) => {
+  const { user: userId, ...fields } = profileFieldsFromUser(user);
+  return Student.findOneAndUpdate(
+    { user: userId },
+    { $set: { ...details, ...fields } },
+    { ...options, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Find the Student record of a user account
+ * @param {string|Object} userId - User ID
+ * @returns {Promise<Object|null>} Student document
+ */
+const findStudentProfile = userId => Student.findOne({ user: userId });
+
+module.exports = {
+  profileFieldsFromUser,
+  linkStudentProfile,
+  createStudentProfile,
+  syncStudentProfile,
+  findStudentProfile
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const AppError = require('./appError');
+const { privateFileKey } = require('./fileUpload');
+const { isVisible, getDueDate, calculateLatePenalty } = require('./assignmentLifecycle');
+
+/**
+ * Assignment submissions.
+ * Students upload their work as files. Every upload is an attempt that is kept with its
+ * file, so graders can go back to any version; the latest attempt is the one graded. An
+ * assignment allows maxAttempts uploads, and a late attempt loses the share of its
+ * grade set by the assignment's latePolicy.
+ */
+
+/**
+ * Find the submission of a student
+ * @param {Object} assignment - Assignment document
+ * @param {string|Object} studentId - User ID
+ * @returns {Object|undefined} Submission subdocument
+ */
+const findSubmission = (assignment, studentId) => assignment.submissions
+  .find(submission => submission.student && submission.student.toString() === studentId.toString());
+
+/**
+ * Get the attempts of a submission. A submission made before uploads existed counts as
+ * one attempt with its link.
+ * @param {Object} submission - Submission subdocument
+ * @returns {Object[]} Attempts, oldest first
+ */
+const getAttempts = submission => (submission.attempts && submission.attempts.length
+  ? submission.attempts
+  : [{ number: 1, fileUrl: submission.fileUrl, submittedAt: submission.submittedAt, daysLate: 0 }]);
+
+/**
+ * Check that a student may upload an attempt now
+ * @param {Object} assignment - Assignment document
+ * @param {string|Object} studentId - User ID
+ * @param {Date} [now] - Time of the attempt
+ * @returns {Object|undefined} The student's current submission
+ * @throws {AppError} If the assignment takes no submission from the student
+ */
+const assertCanSubmit = (assignment, studentId, now = new Date()) => {
+  if (!isVisible(assignment, now)) {
+    throw new AppError('Assignment not found', 404);
+  }
+  if (assignment.status === 'closed') {
+    throw new AppError('Assignment is closed for submissions', 400);
+  }
+  if (assignment.latePolicy && assignment.latePolicy.acceptLate === false && now > getDueDate(assignment, studentId)) {
+    throw new AppError('The due date has passed and late submissions are not accepted', 400);
+  }
+
+  const submission = findSubmission(assignment, studentId);
+  if (submission && submission.status === 'graded') {
+    throw new AppError('Submission is already graded', 400);
+  }
+  const maxAttempts = assignment.maxAttempts || 1;
+  if (submission && getAttempts(submission).length >= maxAttempts) {
+    throw new AppError(`No attempts left, the maximum is ${maxAttempts}`, 400);
+  }
+  return submission;
+};
+
+/**
+ * Record an uploaded file as the student's next attempt. The update only applies if no
+ * other attempt was recorded in the meantime.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} studentId - User ID
+ * @param {Object} file - Multer file, stored by a private upload
+ * @returns {Promise<Object>} The attempt, with the resulting status and late penalty
+ */
+const recordAttempt = async (assignment, studentId, file) => {
+  const now = new Date();
+  const existing = assertCanSubmit(assignment, studentId, now);
+  const { daysLate, percent } = calculateLatePenalty(assignment, now, getDueDate(assignment, studentId));
+
+  const previous = existing ? existing.attempts : [];
+  // A submission made before uploads existed is kept as the first attempt
+  const legacy = existing && !previous.length ? getAttempts(existing) : [];
+  const attempt = {
+    _id: new mongoose.Types.ObjectId(),
+    number: previous.length + legacy.length + 1,
+    file: {
+      key: privateFileKey(file),
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    },
+    submittedAt: now,
+    daysLate
+  };
+  const fields = {
+    submittedAt: now,
+    fileUrl: `/api/assignments/${assignment._id}/submissions/${studentId}/attempts/${attempt.number}/download`,
+    status: daysLate ? 'late' : 'submitted',
+    latePenalty: percent
+  };
+
+  const result = existing
+    ? await Assignment.updateOne(
+      {
+        _id: assignment._id,
+        submissions: { $elemMatch: { _id: existing._id, status: { $ne: 'graded' }, attempts: { $size: previous.length } } }
+      },
+      {
+        $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`submissions.$.${key}`, value])),
+        $push: { 'submissions.$.attempts': { $each: [...legacy, attempt] } }
+      }
+    )
+    : await Assignment.updateOne(
+      { _id: assignment._id, 'submissions.student': { $ne: studentId } },
+      { $push: { submissions: { student: studentId, ...fields, attempts: [attempt] } } }
+    );
+
+  if (!result.modifiedCount) {
+    throw new AppError('Submission was changed by another request, please try again', 409);
+  }
+
+  return { ...attempt, status: fields.status, latePenalty: percent };
+};
+
+/**
+ * Grade a submission with the points the grader gave, minus its late penalty
+ * @param {Object} submission - Submission subdocument, changed in place
+ * @param {number} points - Points before the penalty
+ */
+const setGrade = (submission, points) => {
+  submission.pointsAwarded = points;
+  submission.grade = Math.round(points * (100 - (submission.latePenalty || 0))) / 100;
+  submission.status = 'graded';
+};
+
+module.exports = {
+  findSubmission,
+  getAttempts,
+  assertCanSubmit,
+  recordAttempt,
+  setGrade
+};
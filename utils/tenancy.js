@@ -0,0 +1,151 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const mongoose = require('mongoose');
+
+/**
+ * Multi-college tenancy.
+ * While a request runs inside a tenant context (see runWithTenant), every query on a
+ * tenant-scoped model is restricted to that college and every new document is stamped
+ * with it. Superadmins, scripts and unauthenticated code paths run without a context
+ * and see every college.
+ */
+const tenantStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with queries scoped to one college
+ * @param {Object|string} collegeId - College ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithTenant = (collegeId, fn) => tenantStorage.run({ college: collegeId }, fn);
+
+/**
+ * Run a function without tenant scoping, e.g. to check values that must be unique
+ * across every college. A query returned by fn is executed here, since a query only
+ * runs when awaited and would otherwise pick up the caller's college.
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn, or the promise of the query it returned
+ */
+const runWithoutTenant = fn => tenantStorage.exit(() => {
+  const result = fn();
+  return result instanceof mongoose.Query ? result.exec() : result;
+});
+
+/**
+ * Get the college the current request is scoped to
+ * @returns {Object|null} College ID, or null outside a tenant context
+ */
+const getTenantCollege = () => {
+  const store = tenantStorage.getStore();
+  return store ? store.college : null;
+};
+
+/**
+ * Keep the tenant context across middleware that calls next() from an event handler,
+ * such as multer, where it would otherwise be lost.
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Wrapped middleware
+ */
+const preserveTenant = middleware => (req, res, next) => {
+  middleware(req, res, AsyncResource.bind(next));
+};
+
+const sameCollege = (a, b) => String(a) === String(b);
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Schema plugin that makes a model tenant-scoped. Adds an indexed `college` reference
+ * unless the schema defines one already.
+ * Note that $lookup stages in aggregations are not scoped; they should only join
+ * documents reached from already scoped ones.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const tenantScoped = schema => {
+  if (!schema.path('college')) {
+    schema.add({
+      college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College',
+        index: true
+      }
+    });
+  }
+
+  schema.pre(QUERY_HOOKS, function() {
+    const college = getTenantCollege();
+    if (!college) return;
+
+    this.where({ college });
+
+    const update = this.getUpdate();
+    if (!update) return;
+
+    const isReplace = this.op === 'replaceOne' || this.op === 'findOneAndReplace';
+    const target = isReplace ? update.college : (update.$set && update.$set.college) || update.college;
+    if (target && !sameCollege(target, college)) {
+      throw new Error('Cannot move documents to another college');
+    }
+
+    // Upserts and replacements must not create documents without the college
+    if (isReplace) {
+      update.college = college;
+    } else if (this.getOptions().upsert) {
+      update.$setOnInsert = { ...update.$setOnInsert, college };
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const college = getTenantCollege();
+    if (!college) return;
+
+    this.pipeline().unshift({ $match: { college: new mongoose.Types.ObjectId(String(college)) } });
+  });
+
+  schema.pre('validate', function() {
+    const college = getTenantCollege();
+    if (!college) return;
+
+    if (!this.college) {
+      this.college = college;
+    } else if (!sameCollege(this.college, college)) {
+      throw new Error('Cannot write documents of another college');
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const college = getTenantCollege();
+    if (!college) return next();
+
+    const list = Array.isArray(docs) ? docs : [docs];
+    for (const doc of list) {
+      if (!doc.college) {
+        doc.college = college;
+      } else if (!sameCollege(doc.college, college)) {
+        return next(new Error('Cannot write documents of another college'));
+      }
+    }
+    next();
+  });
+};
+
+module.exports = {
+  runWithTenant,
+  runWithoutTenant,
+  getTenantCollege,
+  preserveTenant,
+  tenantScoped
+};
@@ -0,0 +1,240 @@
+const { addDays, format, startOfDay, endOfDay, differenceInCalendarDays } = require('date-fns');
+const Course = require('../models/Course');
+const { ENROLLED_STATUSES } = require('./enrollment');
+
+/**
+ * Timetables.
+ * Courses meet in weekly slots (Course.schedule) between their start and end dates. Slot
+ * times are HH:mm wall-clock times of the college. A course clashes with another course
+ * running at the same time if both have the same instructor or the same batch and two of
+ * their slots overlap on the same day.
+ */
+
+// Week order of the timetable
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+// Indexed by Date#getDay()
+const JS_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ICAL_DAYS = { Sunday: 'SU', Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA' };
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Courses that still take up their slots
+const RUNNING = { isActive: true, status: { $ne: 'completed' } };
+
+/**
+ * Parse an H:mm or HH:mm time
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+const parseTime = value => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+const formatTime = minutes =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const overlaps = (a, b) => a.day === b.day && a.start < b.end && b.start < a.end;
+
+// Slots with their times in minutes; slots that cannot be parsed are left out
+const parseSlots = schedule => (schedule || [])
+  .map(slot => ({ slot, day: slot.day, start: parseTime(slot.startTime), end: parseTime(slot.endTime) }))
+  .filter(s => WEEK_DAYS.includes(s.day) && s.start !== null && s.end !== null && s.start < s.end);
+
+/**
+ * Validate a course schedule and write its times as HH:mm
+ * @param {Object[]} schedule - Course.schedule slots, changed in place
+ * @returns {string[]} Problems found, empty if the schedule is valid
+ */
+const validateSchedule = schedule => {
+  const errors = [];
+
+  (schedule || []).forEach((slot, index) => {
+    const label = `Slot ${index + 1}`;
+    const start = parseTime(slot.startTime);
+    const end = parseTime(slot.endTime);
+
+    if (!WEEK_DAYS.includes(slot.day)) errors.push(`${label}: day must be one of ${WEEK_DAYS.join(', ')}`);
+    if (start === null) errors.push(`${label}: start time must be HH:mm`);
+    if (end === null) errors.push(`${label}: end time must be HH:mm`);
+    if (start !== null && end !== null && start >= end) errors.push(`${label}: must end after it starts`);
+
+    if (start !== null) slot.startTime = formatTime(start);
+    if (end !== null) slot.endTime = formatTime(end);
+  });
+
+  if (!errors.length) {
+    const slots = parseSlots(schedule);
+    slots.forEach((a, i) => slots.slice(i + 1).forEach(b => {
+      if (overlaps(a, b)) {
+        errors.push(`Slots ${a.day} ${a.slot.startTime}-${a.slot.endTime} and ${b.slot.startTime}-${b.slot.endTime} overlap`);
+      }
+    }));
+  }
+
+  return errors;
+};
+
+// Whether a weekday falls between two dates, both included
+const occursBetween = (day, from, to) => {
+  const days = differenceInCalendarDays(to, from);
+  if (days < 0) return false;
+  if (days >= 6) return true;
+  return Array.from({ length: days + 1 }, (_, i) => JS_DAYS[addDays(from, i).getDay()]).includes(day);
+};
+
+/**
+ * Find running courses that clash with a course's schedule
+ * @param {Object} course - Course with schedule, instructor, batchId, startDate and endDate
+ * @returns {Promise<Object[]>} Clashes as { course, reason, day, slot, conflictingSlot },
+ *                              where reason is instructor or batch
+ */
+const findScheduleConflicts = async course => {
+  const slots = parseSlots(course.schedule);
+  if (!slots.length || !course.startDate || !course.endDate) return [];
+  if (course.isActive === false || course.status === 'completed') return [];
+
+  const others = await Course.find({
+    ...RUNNING,
+    _id: { $ne: course._id },
+    $or: [{ instructor: course.instructor }, { batchId: course.batchId }],
+    startDate: { $lte: course.endDate },
+    endDate: { $gte: course.startDate }
+  }).select('title batchId batchName instructor schedule startDate endDate').lean();
+
+  const conflicts = [];
+  others.forEach(other => {
+    const from = new Date(Math.max(course.startDate, other.startDate));
+    const to = new Date(Math.min(course.endDate, other.endDate));
+    const reason = String(other.instructor) === String(course.instructor) ? 'instructor' : 'batch';
+
+    slots.forEach(a => parseSlots(other.schedule).forEach(b => {
+      if (overlaps(a, b) && occursBetween(a.day, from, to)) {
+        conflicts.push({
+          course: { _id: other._id, title: other.title, batchName: other.batchName },
+          reason,
+          day: a.day,
+          slot: { startTime: a.slot.startTime, endTime: a.slot.endTime },
+          conflictingSlot: { startTime: b.slot.startTime, endTime: b.slot.endTime }
+        });
+      }
+    }));
+  });
+
+  return conflicts;
+};
+
+/**
+ * Load the running courses of a trainer, batch or student
+ * @param {Object} owner - One of { trainer }, { batch } or { student }, each an ID
+ * @returns {Promise<Object[]>} Courses with their schedule
+ */
+const findTimetableCourses = ({ trainer, batch, student }) => {
+  const filter = { ...RUNNING };
+  if (trainer) filter.instructor = trainer;
+  if (batch) filter.batchId = batch;
+  if (student) filter.students = { $elemMatch: { student, status: { $in: ENROLLED_STATUSES } } };
+
+  return Course.find(filter)
+    .select('title batchId batchName instructor schedule startDate endDate')
+    .populate('instructor', 'firstName lastName email')
+    .lean();
+};
+
+/**
+ * Arrange courses into a weekly timetable
+ * @param {Object[]} courses - Courses with their schedule
+ * @returns {Object} Classes of each day from Monday to Sunday, in time order
+ */
+const buildWeeklyTimetable = courses => {
+  const week = Object.fromEntries(WEEK_DAYS.map(day => [day, []]));
+
+  courses.forEach(course => parseSlots(course.schedule).forEach(({ slot, day, start }) => {
+    week[day].push({
+      course: course._id,
+      slot: slot._id,
+      title: course.title,
+      batchName: course.batchName,
+      instructor: course.instructor,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      startDate: course.startDate,
+      endDate: course.endDate,
+      start
+    });
+  }));
+
+  WEEK_DAYS.forEach(day => {
+    week[day] = week[day].sort((a, b) => a.start - b.start).map(({ start, ...entry }) => entry);
+  });
+  return week;
+};
+
+// Escape a text value and fold its line at 75 characters (RFC 5545)
+const icalLine = (name, value, escape = true) => {
+  const text = escape
+    ? String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+    : String(value);
+  const line = `${name}:${text}`;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`);
+  }
+  return parts.join('\r\n');
+};
+
+// Local date and time without a zone, e.g. 20250106T093000
+const icalDateTime = (day, minutes) => {
+  const date = new Date(day);
+  date.setHours(0, minutes, 0, 0);
+  return format(date, "yyyyMMdd'T'HHmmss");
+};
+
+/**
+ * Export courses as an iCalendar feed with one weekly recurring event per slot.
+ * Times are floating, i.e. shown in the local time of the calendar.
+ * @param {Object[]} courses - Courses with their schedule
+ * @param {string} name - Calendar name
+ * @returns {string} Calendar in text/calendar format
+ */
+const toICalendar = (courses, name) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//College Management//Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    icalLine('X-WR-CALNAME', name)
+  ];
+
+  courses.forEach(course => parseSlots(course.schedule).forEach(({ slot, day, start, end }) => {
+    // First meeting on the slot's weekday
+    const courseStart = startOfDay(new Date(course.startDate));
+    const first = addDays(courseStart, (JS_DAYS.indexOf(day) - courseStart.getDay() + 7) % 7);
+    if (first > new Date(course.endDate)) return;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      icalLine('UID', `${course._id}-${slot._id}@college-management`, false),
+      icalLine('DTSTAMP', stamp, false),
+      icalLine('DTSTART', icalDateTime(first, start), false),
+      icalLine('DTEND', icalDateTime(first, end), false),
+      icalLine('RRULE', `FREQ=WEEKLY;BYDAY=${ICAL_DAYS[day]};UNTIL=${format(endOfDay(new Date(course.endDate)), "yyyyMMdd'T'HHmmss")}`, false),
+      icalLine('SUMMARY', course.title),
+      icalLine('DESCRIPTION', `Batch: ${course.batchName}`),
+      'END:VEVENT'
+    );
+  }));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  WEEK_DAYS,
+  validateSchedule,
+  findScheduleConflicts,
+  findTimetableCourses,
+  buildWeeklyTimetable,
+  toICalendar
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 30;
+const MAX_SESSIONS_PER_USER = parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 10;
+
+/**
+ * Get the secret used to sign access tokens. There is deliberately no fallback:
+ * without a configured secret no token can be issued or accepted.
+ * @returns {string} JWT secret
+ * @throws {Error} If JWT_SECRET is not set
+ */
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+/**
+ * Sign a short-lived access token bound to a refresh token session
+ * @param {Object} user - User document
+ * @param {string|Object} sessionId - ID of the refresh token session
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    sid: sessionId.toString(),
+    ver: user.tokenVersion || 0
+  };
+
+  return jwt.sign(payload, getJwtSecret(), { expiresIn: ACCESS_TOKEN_EXPIRE });
+};
+
+/**
+ * Start a new signed-in session for a device
+ * @param {Object} user - User document
+ * @param {Object} [meta] - Device name and IP address of the client
+ * @returns {Promise<Object>} Access token, refresh token and refresh token expiry
+ */
+const createSession = async (user, { device, ip } = {}) => {
+  const now = new Date();
+  const refreshToken = generateRefreshToken();
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    tokenHash: hashToken(refreshToken),
+    device,
+    ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  // Drop expired sessions, then keep only the most recent devices
+  await User.updateOne(
+    { _id: user._id },
+    { $pull: { refreshTokens: { expiresAt: { $lte: now } } } }
+  );
+  await User.updateOne(
+    { _id: user._id },
+    { $push: { refreshTokens: { $each: [session], $slice: -MAX_SESSIONS_PER_USER } } }
+  );
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated out revokes that session.
+ * @param {string} refreshToken - Refresh token issued earlier
+ * @param {Object} [meta] - IP address of the client
+ * @returns {Promise<Object|null>} New tokens and the user, or null if the token is not valid
+ */
+const rotateSession = async (refreshToken, { ip } = {}) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+
+  const user = await User.findOne({ 'refreshTokens.tokenHash': tokenHash }).select('+refreshTokens');
+
+  if (!user) {
+    await User.updateOne(
+      { 'refreshTokens.previousHash': tokenHash },
+      { $pull: { refreshTokens: { previousHash: tokenHash } } }
+    );
+    return null;
+  }
+
+  const session = user.refreshTokens.find(token => token.tokenHash === tokenHash);
+
+  if (session.expiresAt <= now || user.isActive === false) {
+    await revokeSession(user._id, session._id);
+    return null;
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      refreshTokens: { $elemMatch: { _id: session._id, tokenHash } }
+    },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': hashToken(nextRefreshToken),
+        'refreshTokens.$.previousHash': tokenHash,
+        'refreshTokens.$.lastUsedAt': now,
+        ...(ip && { 'refreshTokens.$.ip': ip })
+      }
+    }
+  );
+
+  // Another request rotated this token first
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  return {
+    user,
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Revoke a single device session
+ * @param {string|Object} userId - User ID
+ * @param {string|Object} sessionId - Refresh token session ID
+ */
+const revokeSession = (userId, sessionId) => {
+  return User.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { _id: sessionId } } }
+  );
+};
+
+/**
+ * Revoke every session of a user, including access tokens already issued
+ * @param {string|Object} userId - User ID
+ */
+const revokeAllSessions = userId => {
+  return User.updateOne(
+    { _id: userId },
+    { $set: { refreshTokens: [] }, $inc: { tokenVersion: 1 } }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed access token
+ * @returns {Object} Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+const verifyAccessToken = token => jwt.verify(token, getJwtSecret());
+
+/**
+ * Load the user an access token was issued to, provided the session it is bound to
+ * is still active (not logged out, rotated out by logout-all, or deleted with the user)
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} User document without password, or null
+ */
+const findSessionUser = async decoded => {
+  if (!decoded || !decoded.user || !mongoose.isValidObjectId(decoded.user.id) || !decoded.sid) {
+    return null;
+  }
+
+  const version = decoded.ver || 0;
+  return User.findOne({
+    _id: decoded.user.id,
+    // Accounts created before token versioning have no tokenVersion stored
+    tokenVersion: version === 0 ? { $in: [0, null] } : version,
+    'refreshTokens._id': decoded.sid
+  }).select('-password');
+};
+
+module.exports = {
+  getJwtSecret,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  findSessionUser
+};
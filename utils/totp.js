@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226).
+ * Secrets are exchanged as base32 (RFC 4648), which authenticator apps expect.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = buffer => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains characters outside the base32 alphabet
+ */
+const base32Decode = input => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} [size=20] - Secret length in bytes (20 bytes = 160 bits, as recommended for SHA-1)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {Object} [options]
+ * @param {number} [options.digits=6] - Length of the code
+ * @param {string} [options.algorithm='sha1'] - HMAC algorithm: sha1, sha256 or sha512
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter, { digits = 6, algorithm = 'sha1' } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Get the time step counter for a moment in time
+ * @param {number} [time=Date.now()] - Unix time in milliseconds
+ * @param {number} [step=30] - Time step in seconds
+ * @returns {number} Counter
+ */
+const timeCounter = (time = Date.now(), step = 30) => Math.floor(time / 1000 / step);
+
+/**
+ * Compute a TOTP code (RFC 6238)
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Unix time in milliseconds
+ * @param {number} [options.step=30] - Time step in seconds
+ * @param {number} [options.digits=6] - Length of the code
+ * @param {string} [options.algorithm='sha1'] - HMAC algorithm
+ * @returns {string} Code
+ */
+const totp = (secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = {}) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  return hotp(key, timeCounter(time, step), { digits, algorithm });
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} token - Code entered by the user
+ * @param {string|Buffer} secret - Base32 secret or raw key
+ * @param {Object} [options] - Same as totp(), plus window (default 1)
+ * @returns {number|null} The matching time step counter, or null if the code is wrong
+ */
+const verifyTotp = (token, secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1', window = 1 } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const current = timeCounter(time, step);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const counter = current + drift;
+    const expected = hotp(key, counter, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label, e.g. the username
+ * @param {string} params.issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  timeCounter,
+  verifyTotp,
+  buildOtpauthUrl
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getJwtSecret, hashToken } = require('./tokens');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('./totp');
+
+// Roles that may enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'superadmin'];
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'College Management';
+
+// Fields holding 2FA secrets, which are never loaded by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Check whether a user's role may use two-factor authentication
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const canUseTwoFactor = user => Boolean(user) && TWO_FACTOR_ROLES.includes(user.role);
+
+/**
+ * Check whether two-factor authentication is mandatory for a user.
+ * Controlled by TWO_FACTOR_REQUIRED=true, which applies to every role in TWO_FACTOR_ROLES.
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = user => {
+  return process.env.TWO_FACTOR_REQUIRED === 'true' && canUseTwoFactor(user);
+};
+
+const isTwoFactorEnabled = user => Boolean(user && user.twoFactor && user.twoFactor.enabled);
+
+/**
+ * Sign a short-lived token that lets a user finish signing in after the password step.
+ * Purposes:
+ * - 2fa-login: a TOTP or recovery code is still needed
+ * - 2fa-setup: the role must enroll in 2FA before it can sign in
+ * @param {Object} user - User document
+ * @param {string} purpose - '2fa-login' or '2fa-setup'
+ * @returns {string} Signed JWT
+ */
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { sub: user.id, purpose, ver: user.tokenVersion || 0 },
+    getJwtSecret(),
+    { expiresIn: CHALLENGE_EXPIRE }
+  );
+};
+
+/**
+ * Load the user a challenge token was issued to
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} User document with 2FA secrets, or null if the token is not valid
+ */
+const findChallengeUser = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose || !mongoose.isValidObjectId(decoded.sub)) {
+    return null;
+  }
+
+  // A password reset or logout-all bumps tokenVersion and invalidates pending challenges
+  const version = decoded.ver || 0;
+  return User.findOne({
+    _id: decoded.sub,
+    tokenVersion: version === 0 ? { $in: [0, null] } : version
+  }).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+/**
+ * Generate one-time recovery codes. Only hashes are stored; the plain codes are shown once.
+ * @returns {Object} Plain codes and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+const normalizeRecoveryCode = code => String(code).trim().toLowerCase();
+
+/**
+ * Start enrollment by storing a new pending secret
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Base32 secret and otpauth URI for the authenticator app
+ */
+const startEnrollment = async user => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, account: user.username, issuer: ISSUER })
+  };
+};
+
+/**
+ * Finish enrollment once the user proves the authenticator app works
+ * @param {Object} user - User document loaded with 2FA secrets
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong or no enrollment was started
+ */
+const confirmEnrollment = async (user, code) => {
+  const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(code, pendingSecret);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+  return codes;
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * A TOTP code is accepted only once, and a recovery code is consumed when used.
+ * @param {Object} user - User document loaded with 2FA secrets
+ * @param {Object} input
+ * @param {string} [input.code] - TOTP code
+ * @param {string} [input.recoveryCode] - Recovery code
+ * @returns {Promise<Object|null>} The method used ('totp' or 'recovery'), or null if the code is not valid
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!isTwoFactorEnabled(user) || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(code, user.twoFactor.secret);
+    if (step === null) return null;
+
+    // Only moving forward in time is accepted, so an observed code cannot be replayed
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? { method: 'totp' } : null;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    return {
+      method: 'recovery',
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.filter(hash => hash !== codeHash).length
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} New recovery codes
+ */
+const regenerateRecoveryCodes = async user => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+/**
+ * Turn off two-factor authentication and drop every secret
+ * @param {string|Object} userId - User ID
+ */
+const disableTwoFactor = userId => {
+  return User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  TWO_FACTOR_SECRET_FIELDS,
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  signChallengeToken,
+  findChallengeUser,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
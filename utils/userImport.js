@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const { User, Batch } = require('../models');
+const { generateUniqueUsername, generateStrongPassword } = require('./credentials');
+const { createStudentProfile, syncStudentProfile, findStudentProfile } = require('./studentIdentity');
+const { sendVerificationEmail } = require('./emailVerification');
+
+// Columns of the sheet served by GET /api/admin/users/template
+const IMPORT_COLUMNS = [
+  'firstName', 'lastName', 'email', 'role', 'batchId', 'rollNumber', 'department', 'phoneNumber',
+  'semester', 'academicYear', 'assignedFaculty'
+];
+const IMPORT_ROLES = ['student', 'trainer', 'faculty'];
+const MAX_IMPORT_ROWS = 2000;
+
+// Where each optional column is stored, per role
+const ROLE_FIELDS = {
+  student: {
+    rollNumber: 'studentInfo.rollNumber',
+    department: 'studentInfo.branch',
+    phoneNumber: 'studentInfo.phoneNumber',
+    semester: 'studentInfo.semester',
+    academicYear: 'studentInfo.academicYear'
+  },
+  trainer: {
+    phoneNumber: 'trainerInfo.phoneNumber'
+  },
+  faculty: {}
+};
+
+// Credentials sheets are kept in memory only, until downloaded or expired
+const CREDENTIALS_TTL_MS = 15 * 60 * 1000;
+const credentialSheets = new Map();
+
+/**
+ * Read the rows of the first sheet of an XLSX or CSV file
+ * @param {string} filePath - Uploaded file
+ * @returns {Object[]} Rows keyed by the header row, with trimmed values
+ */
+const readImportFile = filePath => {
+  const workbook = xlsx.readFile(filePath, { raw: false });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  return xlsx.utils.sheet_to_json(sheet, { defval: '', raw: false }).map(row => {
+    const values = {};
+    IMPORT_COLUMNS.forEach(column => {
+      values[column] = String(row[column] === undefined ? '' : row[column]).trim();
+    });
+    values.email = values.email.toLowerCase();
+    values.role = values.role.toLowerCase();
+    values.batchIds = values.batchId ? values.batchId.split(',').map(id => id.trim()).filter(Boolean) : [];
+    return values;
+  });
+};
+
+/**
+ * Check the values of one row on their own
+ * @param {Object} row - Row from readImportFile
+ * @returns {Object[]} Errors as { field, message }
+ */
+const validateRow = row => {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!row.firstName) add('firstName', 'First name is required');
+  if (!row.lastName) add('lastName', 'Last name is required');
+  if (!IMPORT_ROLES.includes(row.role)) add('role', `Role must be one of ${IMPORT_ROLES.join(', ')}`);
+  if (row.email && !/^\S+@\S+\.\S+$/.test(row.email)) add('email', 'Email is not valid');
+  if (!row.email && !(row.role === 'student' && row.rollNumber)) {
+    add('email', row.role === 'student' ? 'Email or roll number is required' : 'Email is required');
+  }
+  if (row.role === 'student') {
+    // Needed for the student's Student record
+    if (!row.rollNumber) add('rollNumber', 'Roll number is required for students');
+    if (!row.department) add('department', 'Department is required for students');
+    if (!/^[1-8]$/.test(row.semester)) add('semester', 'Semester must be a number from 1 to 8');
+    if (!row.academicYear) add('academicYear', 'Academic year is required for students');
+    if (!mongoose.isValidObjectId(row.assignedFaculty)) add('assignedFaculty', 'A valid faculty user ID is required for students');
+  }
+  if (row.role === 'student' && row.batchIds.length !== 1) add('batchId', 'Students need exactly one batch ID');
+  if (row.role === 'faculty' && row.batchIds.length) add('batchId', 'Faculty cannot be assigned to batches');
+  row.batchIds
+    .filter(id => !mongoose.isValidObjectId(id))
+    .forEach(id => add('batchId', `Invalid batch ID ${id}`));
+
+  return errors;
+};
+
+/**
+ * Find the account a row refers to, by email or, for students, roll number
+ * @param {Object} row - Row from readImportFile
+ * @returns {Promise<Object>} { user } or { error } when the keys match different accounts
+ */
+const findExistingUser = async row => {
+  const keys = [];
+  if (row.email) keys.push({ email: row.email });
+  if (row.role === 'student' && row.rollNumber) keys.push({ role: 'student', 'studentInfo.rollNumber': row.rollNumber });
+
+  const matches = await User.find({ $or: keys }).setOptions({ withDeleted: true });
+  if (matches.length > 1) {
+    return { error: 'Email and roll number belong to different accounts' };
+  }
+  if (matches[0] && matches[0].deletedAt) {
+    return { error: `Account ${matches[0].username} is deleted and must be restored first` };
+  }
+  return { user: matches[0] || null };
+};
+
+/**
+ * Apply the values of a row to an account
+ * @param {Object} user - User document
+ * @param {Object} row - Row from readImportFile
+ * @returns {string[]} Paths that changed
+ */
+const applyRow = (user, row) => {
+  const values = { firstName: row.firstName, lastName: row.lastName };
+  if (row.email) values.email = row.email;
+  Object.entries(ROLE_FIELDS[row.role]).forEach(([column, field]) => {
+    if (row[column]) values[field] = row[column];
+  });
+
+  // Sheet values are text, so numbers such as the semester are compared as text
+  return Object.entries(values)
+    .filter(([field, value]) => String(user.get(field)) !== value)
+    .map(([field, value]) => {
+      user.set(field, value);
+      return field;
+    });
+};
+
+/**
+ * Get the Student record fields of a row that are not kept on the user account
+ * @param {Object} row - Row from readImportFile
+ * @returns {Object} Student fields
+ */
+const studentDetails = row => ({ assignedFaculty: row.assignedFaculty });
+
+/**
+ * Find what an import would change on a student's Student record
+ * @param {Object} user - Existing user document with role 'student'
+ * @param {Object} row - Row from readImportFile
+ * @returns {Promise<string[]>} 'studentProfile' when there is no record yet, or the changed fields
+ */
+const studentProfileChanges = async (user, row) => {
+  const profile = await findStudentProfile(user._id);
+  if (!profile) return ['studentProfile'];
+  return String(profile.assignedFaculty) === row.assignedFaculty ? [] : ['assignedFaculty'];
+};
+
+/**
+ * Save an imported account. A student's Student record is created, or updated to match,
+ * in the same transaction, so no student is left without an academic record.
+ * @param {Object} user - User document
+ * @param {Object} [details] - Student record fields from studentDetails
+ */
+const saveAccount = async (user, details = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    await user.save({ session });
+    if (user.role === 'student' && !await syncStudentProfile(user, details, { session })) {
+      await createStudentProfile(user, details, { session });
+    }
+
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Add an account to the batches of its row
+ * @param {Object} user - User document
+ * @param {Object} row - Row from readImportFile
+ * @param {boolean} [dryRun] - Only count the batches the account would be added to
+ * @returns {Promise<number>} Number of batches the account was added to
+ */
+const enrollInBatches = async (user, row, dryRun = false) => {
+  if (!row.batchIds.length) return 0;
+
+  const field = row.role === 'student' ? 'students' : 'trainers';
+  if (dryRun) {
+    return Batch.countDocuments({ _id: { $in: row.batchIds }, [field]: { $ne: user._id } });
+  }
+
+  const result = await Batch.updateMany(
+    { _id: { $in: row.batchIds } },
+    { $addToSet: { [field]: user._id } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Import users from parsed rows. Rows are processed one by one and are idempotent:
+ * an existing account (matched by email or roll number) is updated instead of duplicated,
+ * and running the same file twice changes nothing. A failing row does not stop the others.
+ * @param {Object[]} rows - Rows from readImportFile
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] - Validate and report without writing anything
+ * @param {Object} options.createdBy - ID of the importing user
+ * @returns {Promise<Object>} Summary, per-row results and credentials of created accounts
+ */
+const importUsers = async (rows, { dryRun = false, createdBy }) => {
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const results = [];
+  const credentials = [];
+
+  // Batches are looked up once; only batches of the importer's college are found
+  const batchIds = [...new Set(rows.flatMap(row => row.batchIds).filter(id => mongoose.isValidObjectId(id)))];
+  const knownBatches = new Set(
+    (await Batch.find({ _id: { $in: batchIds } }).select('_id').lean()).map(batch => batch._id.toString())
+  );
+  const facultyIds = [...new Set(rows.map(row => row.role === 'student' && row.assignedFaculty).filter(id => mongoose.isValidObjectId(id)))];
+  const knownFaculty = new Set(
+    (await User.find({ _id: { $in: facultyIds }, role: 'faculty' }).select('_id').lean()).map(user => user._id.toString())
+  );
+
+  const seenKeys = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    // Row 1 of the sheet is the header
+    const result = { row: index + 2, email: row.email, rollNumber: row.rollNumber, role: row.role, errors: validateRow(row) };
+    results.push(result);
+
+    row.batchIds
+      .filter(id => mongoose.isValidObjectId(id) && !knownBatches.has(id))
+      .forEach(id => result.errors.push({ field: 'batchId', message: `Batch ${id} not found` }));
+    if (row.role === 'student' && mongoose.isValidObjectId(row.assignedFaculty) && !knownFaculty.has(row.assignedFaculty)) {
+      result.errors.push({ field: 'assignedFaculty', message: `Faculty ${row.assignedFaculty} not found` });
+    }
+
+    // The same account must not appear twice in one file
+    [['email', row.email], ['rollNumber', row.rollNumber]]
+      .filter(([, value]) => value)
+      .forEach(([field, value]) => {
+        const key = `${field}:${value}`;
+        if (seenKeys.has(key)) {
+          result.errors.push({ field, message: `Duplicate of row ${seenKeys.get(key)}` });
+        } else {
+          seenKeys.set(key, result.row);
+        }
+      });
+
+    try {
+      let user = null;
+      if (!result.errors.length) {
+        const existing = await findExistingUser(row);
+        if (existing.error) {
+          result.errors.push({ field: 'email', message: existing.error });
+        } else if (existing.user && existing.user.role !== row.role) {
+          result.errors.push({ field: 'role', message: `Existing account ${existing.user.username} has role ${existing.user.role}` });
+        }
+        user = existing.user;
+      }
+
+      if (result.errors.length) {
+        result.action = 'failed';
+        summary.failed++;
+        continue;
+      }
+
+      if (user) {
+        const changes = applyRow(user, row);
+        if (row.role === 'student') changes.push(...await studentProfileChanges(user, row));
+        if (changes.length && !dryRun) {
+          await saveAccount(user, studentDetails(row));
+
+          // A new email address has to be verified again
+          if (changes.includes('email')) {
+            try {
+              await sendVerificationEmail(user);
+            } catch (mailError) {
+              console.error('Verification email error:', mailError);
+            }
+          }
+        }
+        if (await enrollInBatches(user, row, dryRun)) changes.push('batches');
+
+        result.username = user.username;
+        result.action = changes.length ? 'updated' : 'unchanged';
+        result.changes = changes;
+      } else {
+        result.action = 'created';
+
+        if (!dryRun) {
+          const username = await generateUniqueUsername(row.firstName, row.lastName);
+          const password = generateStrongPassword(10);
+
+          user = new User({
+            username,
+            password,
+            role: row.role,
+            isActive: true,
+            createdBy,
+            email: row.email || undefined
+          });
+          applyRow(user, row);
+          await saveAccount(user, studentDetails(row));
+          await enrollInBatches(user, row);
+
+          result.username = username;
+          credentials.push({
+            username,
+            password,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: row.email,
+            role: row.role,
+            rollNumber: row.rollNumber
+          });
+
+          if (row.email) {
+            try {
+              await sendVerificationEmail(user);
+            } catch (mailError) {
+              console.error('Verification email error:', mailError);
+            }
+          }
+        }
+      }
+
+      summary[result.action]++;
+    } catch (err) {
+      result.action = 'failed';
+      result.errors.push({
+        field: err.code === 11000 ? Object.keys(err.keyPattern || {})[0] : undefined,
+        message: err.code === 11000 ? 'Already in use by another account' : err.message
+      });
+      summary.failed++;
+    }
+  }
+
+  return { summary, rows: results, credentials };
+};
+
+/**
+ * Build an XLSX sheet with the credentials of imported accounts
+ * @param {Object[]} credentials - Credentials from importUsers
+ * @returns {Buffer} XLSX file
+ */
+const buildCredentialsSheet = credentials => {
+  const workbook = xlsx.utils.book_new();
+  const sheet = xlsx.utils.json_to_sheet(credentials, {
+    header: ['username', 'password', 'firstName', 'lastName', 'email', 'role', 'rollNumber']
+  });
+  xlsx.utils.book_append_sheet(workbook, sheet, 'Credentials');
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const removeExpiredSheets = () => {
+  const now = Date.now();
+  credentialSheets.forEach((sheet, id) => {
+    if (sheet.expiresAt <= now) credentialSheets.delete(id);
+  });
+};
+
+/**
+ * Keep a credentials sheet for one download by the importing user
+ * @param {Object[]} credentials - Credentials from importUsers
+ * @param {Object} ownerId - ID of the importing user
+ * @returns {Object} Import ID and expiry time
+ */
+const storeCredentialsSheet = (credentials, ownerId) => {
+  removeExpiredSheets();
+
+  const importId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + CREDENTIALS_TTL_MS;
+  credentialSheets.set(importId, {
+    ownerId: ownerId.toString(),
+    buffer: buildCredentialsSheet(credentials),
+    expiresAt
+  });
+
+  return { importId, expiresAt: new Date(expiresAt) };
+};
+
+/**
+ * Take a stored credentials sheet. It is removed, so it can only be downloaded once.
+ * @param {string} importId - Import ID from storeCredentialsSheet
+ * @param {Object} ownerId - ID of the requesting user
+ * @returns {Buffer|null} XLSX file, or null if unknown, expired or owned by someone else
+ */
+const takeCredentialsSheet = (importId, ownerId) => {
+  removeExpiredSheets();
+
+  const sheet = credentialSheets.get(importId);
+  if (!sheet || sheet.ownerId !== ownerId.toString()) return null;
+
+  credentialSheets.delete(importId);
+  return sheet.buffer;
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  importUsers,
+  storeCredentialsSheet,
+  takeCredentialsSheet
+};
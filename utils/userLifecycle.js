@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { User, Student, Batch, Course, Assignment, Attendance, Report } = require('../models');
+const { revokeAllSessions } = require('./tokens');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * Get the number of days soft-deleted accounts are kept before they are purged for good.
+ * USER_RETENTION_DAYS is read on every call, so scripts that load their settings after
+ * requiring this module still get the configured value.
+ * @returns {number} Days
+ */
+const getRetentionDays = () => parseInt(process.env.USER_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+/**
+ * Soft delete an account and the student's academic record. Attendance, reports and
+ * submissions are kept, and the account can be restored until it is purged.
+ * @param {Object} user - User document
+ * @param {Object} deletedBy - ID of the user deleting it
+ */
+const softDeleteUser = async (user, deletedBy) => {
+  await user.softDelete(deletedBy);
+  await Student.updateOne({ user: user._id }, { $set: { deletedAt: user.deletedAt, deletedBy } });
+
+  // Signed-in sessions of the account end at once
+  await revokeAllSessions(user._id);
+};
+
+/**
+ * Restore a soft-deleted account and the student's academic record
+ * @param {Object} user - User document, loaded with the withDeleted option
+ */
+const restoreUser = async user => {
+  await user.restore();
+  await Student.updateOne(
+    { user: user._id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+  );
+};
+
+/**
+ * Permanently delete an account with everything that only makes sense with it:
+ * the student's attendance, submissions, enrollments, academic record and reports,
+ * and the account's places in batches and courses.
+ * @param {Object} user - User document, loaded with the withDeleted option
+ * @param {Object} session - MongoDB session of the surrounding transaction
+ */
+const purgeUser = async (user, session) => {
+  const options = { session, withDeleted: true };
+
+  switch (user.role) {
+    case 'admin':
+      // Keep batches the admin created, under whoever deleted the admin
+      if (user.deletedBy) {
+        await Batch.updateMany({ createdBy: user._id }, { $set: { createdBy: user.deletedBy } }, { session });
+      }
+      break;
+
+    case 'trainer':
+      await Batch.updateMany({ trainers: user._id }, { $pull: { trainers: user._id } }, { session });
+      await Course.updateMany({ instructor: user._id }, { $set: { instructor: null } }, { session });
+      break;
+
+    case 'faculty':
+      await Student.updateMany({ assignedFaculty: user._id }, { $unset: { assignedFaculty: 1 } }, options);
+      await Course.updateMany({ instructor: user._id }, { $set: { instructor: null } }, { session });
+      break;
+
+    case 'student': {
+      await Batch.updateMany({ students: user._id }, { $pull: { students: user._id } }, { session });
+      await Course.updateMany(
+        { 'students.student': user._id },
+        { $pull: { students: { student: user._id } } },
+        { session }
+      );
+      await Assignment.updateMany(
+        { 'submissions.student': user._id },
+        { $pull: { submissions: { student: user._id } } },
+        { session }
+      );
+      await Attendance.deleteMany({ student: user._id }, { session });
+
+      const profile = await Student.findOne({ user: user._id }, null, options);
+      if (profile) {
+        await Report.deleteMany({ student: profile._id }, { session });
+        await Student.deleteOne({ _id: profile._id }, { session });
+      }
+      break;
+    }
+  }
+
+  await User.deleteOne({ _id: user._id }, { session });
+};
+
+/**
+ * Purge every account that was soft-deleted longer ago than the retention period
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Days to keep deleted accounts
+ * @returns {Promise<Object>} Number of purged and failed accounts
+ */
+const purgeDeletedUsers = async ({ retentionDays = getRetentionDays() } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  const result = { purged: 0, failed: 0 };
+
+  for (const user of users) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() => purgeUser(user, session));
+      result.purged++;
+    } catch (err) {
+      console.error(`Failed to purge user ${user._id}:`, err);
+      result.failed++;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  getRetentionDays,
+  softDeleteUser,
+  restoreUser,
+  purgeUser,
+  purgeDeletedUsers
+};